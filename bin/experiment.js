@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// bin/experiment.js
+//
+// Headless batch runner: runs every combination of an experiment file (see
+// lib/experiments.js) with the server's providers and turn logic, and writes
+// one JSONL transcript per run plus summary.json and summary.csv.
+//
+//   node bin/experiment.js experiment.json [--out DIR] [--concurrency N] [--dry-run] [--verbose]
+//
+//   --out DIR          where to write the results (default .data/experiments/<name>-<time>)
+//   --concurrency N    runs in parallel (overrides the experiment file)
+//   --dry-run          list the runs without calling any model
+//   --verbose          keep the per-turn server logs
+
+require('dotenv').config({ quiet: true });
+const path = require('path');
+const { validateExperiment, readExperiment, expandRuns, runExperiment, formatSummaryTable } = require('../lib/experiments');
+const { templateStoreFromEnv } = require('../lib/templates');
+
+// Where the turn logic's logs go without --verbose: progress lines only
+// (failures still reach the summary)
+const QUIET_LOGGER = { log() {}, error() {} };
+
+const USAGE = 'Usage: node bin/experiment.js experiment.json [--out DIR] [--concurrency N] [--dry-run] [--verbose]';
+
+function parseArgs(argv) {
+    const args = { file: null, out: null, concurrency: null, dryRun: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            args.out = argv[++i];
+        } else if (arg === '--concurrency') {
+            args.concurrency = Number(argv[++i]);
+        } else if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--verbose') {
+            args.verbose = true;
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (!arg.startsWith('--') && !args.file) {
+            args.file = arg;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (args.concurrency !== null && !(Number.isInteger(args.concurrency) && args.concurrency > 0)) {
+        throw new Error('--concurrency must be a positive integer');
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.file) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+
+    const experiment = readExperiment(args.file);
+    const templates = templateStoreFromEnv();
+    const validationError = validateExperiment(experiment, templates);
+    if (validationError) {
+        throw new Error(`Invalid experiment: ${validationError}`);
+    }
+
+    const runs = expandRuns(experiment);
+    const name = experiment.name || path.basename(args.file, path.extname(args.file));
+    if (args.dryRun) {
+        runs.forEach(run => console.log(`run-${String(run.number).padStart(3, '0')}  prompt ${run.promptIndex + 1}  ${run.ordering.join(' > ')}  tokensPerTurn ${run.tokensPerTurn}  maxTurns ${run.maxTurns}  seed ${run.seed}  repeat ${run.repeat}`));
+        console.log(`${runs.length} runs`);
+        return;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outDir = path.resolve(args.out || path.join(__dirname, '..', '.data', 'experiments', `${name}-${stamp}`));
+    console.log(`Running ${runs.length} runs of ${name} into ${outDir}`);
+    const rows = await runExperiment(experiment, {
+        outDir,
+        templates,
+        concurrency: args.concurrency || experiment.concurrency || 1,
+        logger: args.verbose ? console : QUIET_LOGGER,
+        onRunDone: (row, done, total) => console.log(`[${done}/${total}] ${row.run} ${row.status}: ${row.turns} turns, ${row.keptTokens} tokens${row.error ? ` (${row.error})` : ''}`)
+    });
+
+    console.log('');
+    console.log(formatSummaryTable(rows));
+    console.log('');
+    console.log(`Transcripts and summary written to ${outDir}`);
+    if (rows.some(row => row.status === 'failed')) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
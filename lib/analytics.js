@@ -0,0 +1,108 @@
+// lib/analytics.js
+//
+// Per-model analytics of a session, from what every turn recorded (see
+// measureCall in lib/turns.js):
+//   share             fraction of the text written by the turns (not the
+//                     prompt or follow-ups) that comes from the model
+//   survival          kept / raw characters: how much of its output survived cleanup
+//   averageLatencyMs  over every call, race candidates included
+//   cost              estimated, race candidates included
+//   failures          model calls that gave up a turn
+// Turns recorded before these measurements existed count with what they have.
+
+const modelKey = ({ provider, modelName }) => `${provider}:${modelName}`;
+
+function sessionAnalytics(session, { currency = 'USD' } = {}) {
+    const models = new Map();
+    const entryFor = (model) => {
+        const key = modelKey(model);
+        if (!models.has(key)) {
+            const known = session.models.find(m => modelKey(m) === key);
+            models.set(key, {
+                modelName: model.modelName,
+                provider: model.provider,
+                displayName: (known && known.displayName) || model.modelName,
+                turns: 0,
+                candidates: 0,
+                keptCharacters: 0,
+                rawCharacters: 0,
+                promptTokens: 0,
+                completionTokens: 0,
+                cost: 0,
+                failures: 0,
+                latencies: []
+            });
+        }
+        return models.get(key);
+    };
+    session.models.forEach(entryFor);
+
+    // One model call: a turn, or a race candidate that was not kept
+    const addCall = (entry, { usage, latencyMs, cost }) => {
+        if (usage) {
+            entry.promptTokens += usage.promptTokens || 0;
+            entry.completionTokens += usage.completionTokens || 0;
+        }
+        if (Number.isFinite(latencyMs)) entry.latencies.push(latencyMs);
+        if (Number.isFinite(cost)) entry.cost += cost;
+    };
+
+    const turns = session.conversationHistory.filter(message => message.role === 'assistant');
+    turns.forEach(message => {
+        const entry = entryFor({ modelName: message.model, provider: message.provider });
+        entry.turns++;
+        entry.keptCharacters += message.content.length;
+        entry.rawCharacters += message.characters ? message.characters.raw : message.content.length;
+
+        if (message.race) {
+            message.race.candidates.forEach(candidate => {
+                const candidateEntry = entryFor(candidate);
+                candidateEntry.candidates++;
+                if (!candidate.selected) addCall(candidateEntry, candidate);
+            });
+            // The turn's cost covers every candidate; count only the kept one here
+            const kept = message.race.candidates.find(candidate => candidate.selected);
+            addCall(entry, { usage: message.usage, latencyMs: message.latencyMs, cost: kept ? kept.cost : null });
+        } else {
+            addCall(entry, message);
+        }
+    });
+    (session.failures || []).filter(failure => !failure.skipped).forEach(failure => entryFor(failure).failures++);
+
+    const totalCharacters = turns.reduce((sum, message) => sum + message.content.length, 0);
+    const average = (values) => values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+    const perModel = Array.from(models.values()).map(({ latencies, ...entry }) => ({
+        ...entry,
+        share: totalCharacters ? entry.keptCharacters / totalCharacters : 0,
+        survival: entry.rawCharacters ? entry.keptCharacters / entry.rawCharacters : null,
+        averageLatencyMs: average(latencies)
+    }));
+
+    return {
+        currency,
+        totals: {
+            turns: turns.length,
+            characters: totalCharacters,
+            promptTokens: perModel.reduce((sum, entry) => sum + entry.promptTokens, 0),
+            completionTokens: perModel.reduce((sum, entry) => sum + entry.completionTokens, 0),
+            cost: perModel.reduce((sum, entry) => sum + entry.cost, 0),
+            failures: perModel.reduce((sum, entry) => sum + entry.failures, 0),
+            averageLatencyMs: average(turns.map(message => message.latencyMs).filter(Number.isFinite))
+        },
+        models: perModel,
+        turns: turns.map(message => ({
+            turn: message.turn,
+            modelName: message.model,
+            provider: message.provider,
+            latencyMs: Number.isFinite(message.latencyMs) ? message.latencyMs : null,
+            usage: message.usage || null,
+            cost: Number.isFinite(message.cost) ? message.cost : null,
+            characters: message.characters || null
+        }))
+    };
+}
+
+module.exports = {
+    sessionAnalytics
+};
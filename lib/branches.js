@@ -0,0 +1,126 @@
+// lib/branches.js
+//
+// Branches of a session. A session is a tree: every branch has a parent and
+// the turn at which it diverges from it (forkTurn, the first turn the two do
+// not share). The active branch lives in the session's usual top-level fields
+// (conversationHistory, fullContent, currentTurn, failures), so turns, runs
+// and exports work on it unchanged; the other branches keep their copy of
+// those fields in branch.state until they are switched to.
+//   session.branches      { [id]: { id, name, parentId, forkTurn, createdAt, state } }
+//   session.activeBranch  id of the branch in the top-level fields
+
+const { rebuildContent } = require('./turns');
+
+const BRANCH_FIELDS = ['conversationHistory', 'fullContent', 'currentTurn', 'failures'];
+const MAIN_BRANCH = 'main';
+
+// Sessions created before branching existed have a single, implicit main branch
+function ensureBranches(session) {
+    if (!session.branches) {
+        session.branches = {
+            [MAIN_BRANCH]: { id: MAIN_BRANCH, name: 'Main', parentId: null, forkTurn: null, createdAt: session.createdAt, state: null }
+        };
+        session.activeBranch = MAIN_BRANCH;
+    }
+    return session.branches;
+}
+
+function takeState(session) {
+    const state = {};
+    BRANCH_FIELDS.forEach(field => { state[field] = session[field]; });
+    return state;
+}
+
+function branchState(session, id) {
+    return id === session.activeBranch ? takeState(session) : session.branches[id].state;
+}
+
+// Turn text of a branch at `turn`, or null when the branch has no such turn.
+function turnText(state, turn) {
+    const entry = state.conversationHistory.find(message => message.role === 'assistant' && message.turn === turn);
+    return entry ? entry.content : null;
+}
+
+// Check a fork request against the active branch; returns an error message or null.
+function validateFork(session, afterTurn) {
+    if (!Number.isInteger(afterTurn) || afterTurn < -1 || afterTurn >= session.currentTurn) {
+        return `afterTurn must be a turn of the current branch (-1 to ${session.currentTurn - 1}; -1 keeps only the prompt)`;
+    }
+    return null;
+}
+
+// Start a new branch from the active one, keeping the prompt and turns
+// 0..afterTurn, and make it active. Call validateFork() first.
+function forkBranch(session, afterTurn, { name } = {}) {
+    const branches = ensureBranches(session);
+    const parentId = session.activeBranch;
+
+    // Copy what the new branch shares with its parent; the parent keeps its own objects
+    const shared = JSON.parse(JSON.stringify(takeState(session)));
+    const [system, prompt, ...rest] = shared.conversationHistory;
+    shared.conversationHistory = [system, prompt, ...rest.filter(message => message.turn <= afterTurn)];
+    shared.failures = (shared.failures || []).filter(failure => failure.turn <= afterTurn);
+    shared.currentTurn = afterTurn + 1;
+
+    let number = Object.keys(branches).length + 1;
+    while (branches[`branch-${number}`]) number++;
+    const id = `branch-${number}`;
+
+    branches[parentId].state = takeState(session);
+    branches[id] = {
+        id,
+        name: name || `Branch ${number}`,
+        parentId,
+        forkTurn: afterTurn + 1,
+        createdAt: new Date().toISOString(),
+        state: null
+    };
+    Object.assign(session, shared);
+    rebuildContent(session);
+    session.activeBranch = id;
+    return branches[id];
+}
+
+function switchBranch(session, id) {
+    const branches = ensureBranches(session);
+    if (id === session.activeBranch) return branches[id];
+
+    branches[session.activeBranch].state = takeState(session);
+    Object.assign(session, branches[id].state);
+    branches[id].state = null;
+    session.activeBranch = id;
+    return branches[id];
+}
+
+// Public view of the branch tree. For every branch but the root, `divergence`
+// shows the first turn after the fork on both sides, so different orderings
+// of the same prefix can be compared.
+function listBranches(session) {
+    const branches = ensureBranches(session);
+    return Object.values(branches).map(branch => {
+        const state = branchState(session, branch.id);
+        const parent = branch.parentId && branches[branch.parentId];
+        return {
+            id: branch.id,
+            name: branch.name,
+            parentId: branch.parentId,
+            forkTurn: branch.forkTurn,
+            currentTurn: state.currentTurn,
+            createdAt: branch.createdAt,
+            active: branch.id === session.activeBranch,
+            divergence: parent ? {
+                text: turnText(state, branch.forkTurn),
+                parentText: turnText(branchState(session, parent.id), branch.forkTurn)
+            } : null
+        };
+    });
+}
+
+module.exports = {
+    MAIN_BRANCH,
+    ensureBranches,
+    validateFork,
+    forkBranch,
+    switchBranch,
+    listBranches
+};
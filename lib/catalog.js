@@ -0,0 +1,163 @@
+// lib/catalog.js
+//
+// The model catalog (config/models.json by default), served by GET /models:
+//   categories  sections of the setup card, in order: { id, title, note }
+//   providers   { label, category, keys, keyHelp, keyPattern, keyExample, tooltip, openModels, customEntry, baseURLs, sampling } by name, where
+//                 keys         server (credentials on the server), user (the caller sends one),
+//                              optional, or none
+//                 keyPattern   regular expression the provider's API keys match; keyExample
+//                              shows their shape in error messages (e.g. "sk-…")
+//                 openModels   any model name is accepted, not only the listed ones
+//                 customEntry  the setup card asks for the model name and base URL
+//                 baseURLs     the base URLs a request may name for the provider; any other
+//                              is refused, so callers cannot point the server at hosts
+//                              of their choosing (none listed: only the server's own)
+//                 sampling     { supports, defaults }: the sampling settings the provider
+//                              takes and the values sent when they are left out (lib/sampling.js)
+//   families    provider quirks: { provider, modelPrefix, asciiOnly, minTokens, payload, contextTokens };
+//               like templates and prices, the longest matching modelPrefix wins
+//   models      { id, provider, modelName, displayName, note, contextTokens } as listed on the setup card
+// contextTokens is the model's context length (prompt and reply); a listed
+// model's own value wins over its family's, and without either there is no limit.
+// Providers read the quirks of the model they call through traits().
+
+const fs = require('fs');
+const path = require('path');
+const { validateSampling, resolveSampling } = require('./sampling');
+
+const KEY_MODES = ['server', 'user', 'optional', 'none'];
+// Any API key: printable ASCII without spaces
+const API_KEY_PATTERN = /^[\x21-\x7e]{1,512}$/;
+
+function createCatalog({ file }) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read the model catalog ${file}: ${error.message}`);
+    }
+    const { categories = [], providers = {}, families = [], models = [] } = config;
+
+    const keyPatterns = {};
+    Object.entries(providers).forEach(([name, provider]) => {
+        if (!KEY_MODES.includes(provider.keys)) {
+            throw new Error(`${file}: provider "${name}" needs keys set to one of ${KEY_MODES.join(', ')}`);
+        }
+        if (provider.keyPattern) {
+            try {
+                keyPatterns[name] = new RegExp(provider.keyPattern);
+            } catch (error) {
+                throw new Error(`${file}: provider "${name}" has an invalid keyPattern: ${error.message}`);
+            }
+        }
+    });
+    models.forEach(model => {
+        if (!providers[model.provider]) {
+            throw new Error(`${file}: model "${model.id}" has unknown provider "${model.provider}"`);
+        }
+    });
+
+    function traits({ provider, modelName }) {
+        let best = null;
+        families.forEach(rule => {
+            if (rule.provider !== provider) return;
+            const prefix = rule.modelPrefix || '';
+            if (!(modelName || '').startsWith(prefix)) return;
+            if (!best || prefix.length > (best.modelPrefix || '').length) best = rule;
+        });
+        const { asciiOnly = false, minTokens = 1, payload = null } = best || {};
+        const listed = findModel({ provider, modelName });
+        const contextTokens = (listed && listed.contextTokens) || (best && best.contextTokens) || null;
+        return { asciiOnly, minTokens, payload, contextTokens };
+    }
+
+    // The sampling settings a turn of this provider uses (see lib/sampling.js)
+    function sampling({ provider }, requested) {
+        return resolveSampling(requested, (providers[provider] || {}).sampling);
+    }
+
+    const trimSlash = (url) => url.replace(/\/$/, '');
+    // Whether a request may send the provider's calls to `baseURL`
+    const allowsBaseURL = (provider, baseURL) => (provider.baseURLs || []).some(allowed => trimSlash(allowed) === trimSlash(baseURL));
+
+    const findModel = ({ provider, modelName }) => models.find(model => model.provider === provider && model.modelName === modelName);
+
+    // Check the shape of an API key for a provider; returns an error message or null.
+    function validateKey(name, apiKey) {
+        const provider = providers[name];
+        if (!provider) {
+            return `Unsupported provider: ${name}`;
+        }
+        if (provider.keys === 'server' || provider.keys === 'none') {
+            return `${provider.label} takes no API key`;
+        }
+        if (typeof apiKey !== 'string' || !API_KEY_PATTERN.test(apiKey) || (keyPatterns[name] && !keyPatterns[name].test(apiKey))) {
+            return `That does not look like an API key for ${provider.label}${provider.keyExample ? ` (they look like ${provider.keyExample})` : ''}`;
+        }
+        return null;
+    }
+
+    return {
+        traits,
+        sampling,
+        validateKey,
+
+        // The catalog as the setup card renders it, every model with its traits
+        describe() {
+            return {
+                categories,
+                providers,
+                models: models.map(model => ({ ...model, ...traits(model) }))
+            };
+        },
+
+        // Check the models of a request; returns an error message or null.
+        // keys: false skips the API key checks, for models whose keys are
+        // only read when they run (see lib/experiments.js).
+        validateModels(requested, { keys = true } = {}) {
+            for (const model of requested) {
+                if (!model || typeof model.provider !== 'string' || typeof model.modelName !== 'string' || !model.modelName.trim()) {
+                    return 'Every model needs a provider and a modelName';
+                }
+                const provider = providers[model.provider];
+                if (!provider) {
+                    return `Unsupported provider: ${model.provider}`;
+                }
+                const listed = findModel(model);
+                if (!listed && !provider.openModels) {
+                    return `Unknown ${provider.label} model: ${model.modelName}`;
+                }
+                if (keys && provider.keys === 'user' && !(typeof model.apiKey === 'string' && model.apiKey.trim())) {
+                    return `${listed ? listed.displayName : model.modelName} needs an API key`;
+                }
+                const keyError = keys && model.apiKey && (provider.keys === 'user' || provider.keys === 'optional') ? validateKey(model.provider, model.apiKey.trim()) : null;
+                if (keyError) {
+                    return `${listed ? listed.displayName : model.modelName}: ${keyError}`;
+                }
+                if (model.baseURL !== undefined && model.baseURL !== '' && !(typeof model.baseURL === 'string' && allowsBaseURL(provider, model.baseURL))) {
+                    return `${listed ? listed.displayName : model.modelName}: base URL ${model.baseURL} is not allowed; leave it empty to use the server's endpoint`;
+                }
+                const samplingError = validateSampling(model.sampling, (provider.sampling || {}).supports || []);
+                if (samplingError) {
+                    return `${listed ? listed.displayName : model.modelName}: ${samplingError}`;
+                }
+            }
+            return null;
+        }
+    };
+}
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, '..', 'config', 'models.json');
+
+let defaultCatalogInstance = null;
+
+// The catalog named by MODEL_CATALOG_FILE (default config/models.json), read once.
+function defaultCatalog(env = process.env) {
+    defaultCatalogInstance = defaultCatalogInstance || createCatalog({ file: env.MODEL_CATALOG_FILE || DEFAULT_CATALOG_FILE });
+    return defaultCatalogInstance;
+}
+
+module.exports = {
+    createCatalog,
+    defaultCatalog
+};
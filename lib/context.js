@@ -0,0 +1,201 @@
+// lib/context.js
+//
+// Context window management: how much of the shared text a turn sends as
+// {{content}}. A context is { policy, ...options }:
+//   full     the whole text (default)
+//   window   { tokens } only the last `tokens` tokens
+//   summary  { tokens, summarizer } a rolling summary of the older text,
+//            written by the model at index `summarizer`, then the recent
+//            tail (the last `tokens` tokens and whatever was written since
+//            the summary). The summary is kept on the session and extended
+//            once a quarter of `tokens` more text has left the tail, so the
+//            summarizer is called every few turns rather than every turn.
+// In chat mode the window and summary policies also keep the role-tagged
+// history within `tokens`, dropping the oldest messages first.
+// Whatever the policy, the prompt must then fit the model's context length
+// (contextTokens in config/models.json) with room for the reply: the chat
+// history loses its oldest messages and the content its beginning until it
+// does. Every turn records what it sent as `context` (see renderContext).
+
+const { generate } = require('./providers');
+const { defaultCatalog } = require('./catalog');
+const { withTimeout } = require('./retry');
+const { countTokens, truncateToTokens, lastTokens, fitTextToContext, countRequestTokens } = require('./tokens');
+const { renderTemplate } = require('./templates');
+const { hashString } = require('./random');
+const { log, logError } = require('./log');
+
+const CONTEXT_POLICIES = ['full', 'window', 'summary'];
+const DEFAULT_CONTEXT = { policy: 'full' };
+
+// Longest summary the summarizer may write
+const SUMMARY_MAX_TOKENS = 256;
+
+const CONTENT_VARIABLE = /\{\{\s*content\s*\}\}/g;
+
+// Check a context against the selected models; returns an error message or null.
+function validateContext(context, models) {
+    if (context === undefined) return null;
+    if (!context || typeof context !== 'object') {
+        return 'context must be an object';
+    }
+
+    const { policy, tokens, summarizer } = context;
+    if (!CONTEXT_POLICIES.includes(policy)) {
+        return `context.policy must be one of ${CONTEXT_POLICIES.join(', ')}`;
+    }
+    if (policy !== 'full' && !(Number.isInteger(tokens) && tokens > 0)) {
+        return 'context.tokens must be a positive integer';
+    }
+    if (policy === 'summary' && (!Number.isInteger(summarizer) || summarizer < 0 || summarizer >= models.length)) {
+        return 'context.summarizer must be the index of one of the selected models';
+    }
+    if (policy === 'summary' && models[summarizer].provider === 'human') {
+        return 'context.summarizer must be a model; the human participant cannot summarize';
+    }
+    return null;
+}
+
+// New text the tail may gather before it is folded into the summary
+const summaryStep = (context) => Math.ceil(context.tokens / 4);
+
+// The session's summary, if it still covers the start of the text. Editing a
+// turn or switching branches rewrites the text and so discards the summary.
+function currentSummary(session) {
+    const summary = session.contextSummary;
+    if (!summary || summary.upTo > session.fullContent.length) return null;
+    return hashString(session.fullContent.slice(0, summary.upTo)) === summary.hash ? summary : null;
+}
+
+const summaryMessages = (summary, added) => [
+    { role: "system", content: "You keep a running summary of a text that several writers are writing together. Keep the names, facts, events and tone a writer needs to continue the text. Reply with the summary only." },
+    { role: "user", content: `${summary ? `Summary so far: "${summary.text}"\n\n` : ''}Text to add to the summary: "${added}"\n\nWrite the updated summary in at most ${SUMMARY_MAX_TOKENS} tokens.` }
+];
+
+// Before a turn under the summary policy: fold the text that has left the
+// tail into the summary once there is enough of it. A summarizer that fails
+// or times out (TURN_TIMEOUT_MS) keeps the previous summary; the turn goes
+// on without it.
+async function refreshSummary(session, models, context) {
+    if (!context || context.policy !== 'summary') return;
+
+    const text = session.fullContent;
+    const summary = currentSummary(session);
+    const from = summary ? summary.upTo : 0;
+    if (countTokens(text.slice(from)) <= context.tokens + summaryStep(context)) return;
+
+    const upTo = text.length - lastTokens(text, context.tokens).text.length;
+    const summarizer = models[context.summarizer];
+    const traits = defaultCatalog().traits(summarizer);
+    // Text too long for the summarizer's context is folded in from its end
+    const added = fitTextToContext(text.slice(from, upTo), (part) => summaryMessages(summary, part), { contextTokens: traits.contextTokens, replyTokens: SUMMARY_MAX_TOKENS });
+    try {
+        const { text: written } = await withTimeout(generate(summarizer.provider, {
+            modelName: summarizer.modelName,
+            apiKey: summarizer.apiKey,
+            baseURL: summarizer.baseURL,
+            sampling: summarizer.sampling,
+            traits,
+            fullContent: added,
+            tokensPerTurn: SUMMARY_MAX_TOKENS,
+            messages: summaryMessages(summary, added)
+        }));
+        session.contextSummary = {
+            text: truncateToTokens(written.trim(), SUMMARY_MAX_TOKENS).text,
+            upTo,
+            hash: hashString(text.slice(0, upTo)),
+            modelName: summarizer.modelName,
+            provider: summarizer.provider,
+            turn: session.currentTurn
+        };
+        log(`Summarized the first ${upTo} characters with ${summarizer.modelName} before turn ${session.currentTurn}`);
+    } catch (error) {
+        logError(`Summarizer failed on turn ${session.currentTurn}, keeping the previous summary:`, error.message);
+    }
+}
+
+// {{content}} under the policy, before it is fitted to the model
+function selectContent(session, context) {
+    const text = session.fullContent;
+    if (context.policy === 'window') {
+        return { content: lastTokens(text, context.tokens).text, summary: null };
+    }
+    if (context.policy === 'summary') {
+        const summary = currentSummary(session);
+        const recent = lastTokens(text.slice(summary ? summary.upTo : 0), context.tokens + summaryStep(context)).text;
+        return { content: summary ? `(Summary of the earlier text: ${summary.text})\n\n${recent}` : recent, summary };
+    }
+    return { content: text, summary: null };
+}
+
+const historyTokens = (history) => history.reduce((sum, message) => sum + countTokens(message.content), 0);
+
+// Drop the oldest history messages while over(messages) holds; what is kept
+// still starts with a user message.
+function trimHistory(history, over) {
+    let kept = history;
+    while (kept.length && over(kept)) {
+        kept = kept.slice(1);
+        while (kept.length && kept[0].role !== 'user') kept = kept.slice(1);
+    }
+    return kept;
+}
+
+// Render a turn's messages under the context policy and within the model's
+// context length. `variables` are the template variables except content.
+// Returns { messages, context }, where context reports what was sent:
+//   { policy, textTokens, contentTokens, summaryTokens, promptTokens, limit, cut }
+// (textTokens: the whole text; promptTokens: every message; limit: the
+// model's context length or null; cut: whether fitting it dropped text).
+function renderContext(session, template, variables, history, { context = DEFAULT_CONTEXT, tokensPerTurn, contextTokens = null }) {
+    let { content, summary } = selectContent(session, context);
+    let kept = context.policy === 'full' ? history : trimHistory(history, messages => historyTokens(messages) > context.tokens);
+    const render = () => renderTemplate(template, { ...variables, content }, kept);
+    let messages = render();
+    let cut = false;
+
+    if (contextTokens) {
+        const budget = contextTokens - tokensPerTurn;
+        const overBudget = () => countRequestTokens({ messages }) - budget;
+
+        if (overBudget() > 0 && kept.length) {
+            kept = trimHistory(kept, candidate => {
+                kept = candidate;
+                messages = render();
+                return overBudget() > 0;
+            });
+            messages = render();
+            cut = true;
+        }
+
+        // {{content}} may appear more than once; each copy shrinks by its share
+        const copies = Math.max(1, `${template.system || ''}\n${template.user}`.match(CONTENT_VARIABLE)?.length || 0);
+        for (let attempt = 0; attempt < 3 && overBudget() > 0 && content; attempt++) {
+            const keep = Math.max(0, countTokens(content) - Math.ceil(overBudget() / copies));
+            content = lastTokens(content, keep).text;
+            messages = render();
+            cut = true;
+        }
+    }
+
+    return {
+        messages,
+        context: {
+            policy: context.policy,
+            textTokens: countTokens(session.fullContent),
+            contentTokens: countTokens(content),
+            summaryTokens: summary ? countTokens(summary.text) : 0,
+            promptTokens: countRequestTokens({ messages }),
+            limit: contextTokens,
+            cut
+        }
+    };
+}
+
+module.exports = {
+    CONTEXT_POLICIES,
+    DEFAULT_CONTEXT,
+    validateContext,
+    refreshSummary,
+    renderContext
+};
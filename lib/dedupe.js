@@ -0,0 +1,234 @@
+// lib/dedupe.js
+//
+// Repetition removal between turns. Models asked to continue a text often
+// re-emit its ending (or all of it) before adding anything new, and some
+// loop on the same phrase turn after turn. dedupeResponse() strips:
+//   label       "Assistant:" prefixes some models prepend
+//   overlap     the longest end of the existing text that the reply starts with
+//   repetition  runs of words the text already contains (word n-grams)
+// Matching is fuzzy about case, punctuation and whitespace: "Legs, and" and
+// "legs and" are the same words. Every removal is reported so a turn can show
+// what was dropped. Words of scripts written without spaces (Chinese,
+// Japanese, Thai...) are found with the word segmenter of lib/language.js;
+// options.language is the session's language setting.
+
+const { splitRun, unspacedBoundaries } = require('./language');
+
+const DEDUPE_OPTIONS = {
+    // Shortest overlap (in normalized characters) worth removing; shorter
+    // matches such as a lone "a" are more likely coincidence than repetition.
+    minOverlapChars: 4,
+    // Length of the word n-grams used to spot repeated phrases
+    ngramSize: 6
+};
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+const WORD_CHAR = /[\p{L}\p{M}\p{N}]/u;
+// Text ending a sentence, allowing closing quotes and brackets after the mark
+const SENTENCE_END = /[.!?\u3002\uFF01\uFF1F\u2026]["'\u201D\u2019)\]]*\s*$/u;
+const LEADING_SENTENCE_END = /^[.!?\u3002\uFF01\uFF1F\u2026]["'\u201D\u2019)\]]*/u;
+
+// Lower-case the text and collapse every run of punctuation and whitespace
+// into one space, trimmed at both ends. map[i] is the index in the original
+// text of normalized character i.
+function normalize(text) {
+    let normalized = '';
+    const map = [];
+    let pendingSpace = false;
+
+    let i = 0;
+    for (const char of text) { // by code point, so astral letters stay whole
+        const index = i;
+        i += char.length;
+        if (!WORD_CHAR.test(char)) {
+            pendingSpace = normalized.length > 0;
+            continue;
+        }
+        if (pendingSpace) {
+            normalized += ' ';
+            map.push(index);
+            pendingSpace = false;
+        }
+        const lower = char.toLowerCase();
+        // Keep the map aligned when lower-casing changes the length
+        for (let j = 0; j < lower.length; j++) {
+            normalized += lower[j];
+            map.push(index + char.length - 1);
+        }
+    }
+    return { normalized, map };
+}
+
+// KMP failure function: border[i] is the length of the longest proper prefix
+// of pattern[0..i] that is also a suffix of it.
+function borders(pattern) {
+    const border = new Array(pattern.length).fill(0);
+    for (let i = 1, k = 0; i < pattern.length; i++) {
+        while (k > 0 && pattern[i] !== pattern[k]) k = border[k - 1];
+        if (pattern[i] === pattern[k]) k++;
+        border[i] = k;
+    }
+    return border;
+}
+
+// Length of the longest prefix of `head` that is a suffix of `tail`, as the
+// chain of every such length from longest to shortest.
+function suffixPrefixMatches(tail, head) {
+    const border = borders(head);
+    let k = 0;
+    for (let i = 0; i < tail.length; i++) {
+        while (k > 0 && (k === head.length || tail[i] !== head[k])) k = border[k - 1];
+        if (tail[i] === head[k]) k++;
+    }
+
+    const lengths = [];
+    while (k > 0) {
+        lengths.push(k);
+        k = border[k - 1];
+    }
+    return lengths;
+}
+
+// Remove the longest end of `existing` that `response` starts with. The
+// match must cover whole words on both sides, so "cat" never eats the start
+// of "category". When the existing text ends a sentence, the match must
+// also start at a sentence start: "Who is a pig?" followed by "A pig is..."
+// is an answer, not an echo. Returns { text, removed } where removed is the
+// original response text that was cut, or null.
+function removeOverlap(existing, response, { minOverlapChars = DEDUPE_OPTIONS.minOverlapChars, language } = {}) {
+    const { normalized: normExisting, map: existingMap } = normalize(existing);
+    const { normalized: normResponse, map } = normalize(response);
+    if (!normExisting || !normResponse) {
+        return { text: response, removed: null };
+    }
+
+    // The overlap can never be longer than the response itself
+    const tail = normExisting.slice(-normResponse.length);
+    const offset = normExisting.length - tail.length;
+
+    // Without spaces between words, word boundaries come from the segmenter
+    const existingBoundaries = unspacedBoundaries(normExisting, language);
+    const responseBoundaries = unspacedBoundaries(normResponse, language);
+
+    const endsSentence = SENTENCE_END.test(existing);
+    const startsSentence = (start) => start === 0 || SENTENCE_END.test(existing.slice(0, existingMap[start]));
+
+    const length = suffixPrefixMatches(tail, normResponse).find(k => {
+        const start = offset + tail.length - k;
+        return k >= minOverlapChars
+            && (start === 0 || normExisting[start - 1] === ' ' || existingBoundaries.has(start))
+            && (k === normResponse.length || normResponse[k] === ' ' || responseBoundaries.has(k))
+            && (!endsSentence || startsSentence(start));
+    });
+    if (!length) {
+        return { text: response, removed: null };
+    }
+
+    // Cut after the last matched character, keeping any punctuation that
+    // follows it (unless it repeats the sentence end the existing text
+    // already has) but not the whitespace separating it from the new text
+    let rest = response.slice(map[length - 1] + 1);
+    if (endsSentence) {
+        rest = rest.replace(LEADING_SENTENCE_END, '');
+    }
+    const text = rest.replace(/^\s+/, '');
+    return { text, removed: response.slice(0, response.length - text.length) };
+}
+
+function words(text, language) {
+    return Array.from(text.matchAll(WORD_PATTERN)).flatMap(match =>
+        splitRun(match[0], language).map(({ text: word, index }) => ({
+            word: word.toLowerCase(),
+            start: match.index + index,
+            end: match.index + index + word.length
+        })));
+}
+
+// Remove runs of at least ngramSize words that already appear in `existing`
+// or earlier in the response itself (a model looping within one turn).
+// Returns { text, removed } where removed lists the cut spans in order.
+function removeRepeatedNgrams(existing, response, { ngramSize = DEDUPE_OPTIONS.ngramSize, language } = {}) {
+    const responseWords = words(response, language);
+    if (responseWords.length < ngramSize) {
+        return { text: response, removed: [] };
+    }
+
+    const key = (list, i) => list.slice(i, i + ngramSize).map(entry => entry.word).join(' ');
+    const existingWords = words(existing, language);
+    const seen = new Set();
+    for (let i = 0; i + ngramSize <= existingWords.length; i++) {
+        seen.add(key(existingWords, i));
+    }
+
+    const repeated = new Array(responseWords.length).fill(false);
+    for (let i = 0; i + ngramSize <= responseWords.length; i++) {
+        const ngram = key(responseWords, i);
+        if (seen.has(ngram)) {
+            repeated.fill(true, i, i + ngramSize);
+        }
+        seen.add(ngram);
+    }
+
+    // Cut each repeated run from its first word up to the next kept word
+    const spans = [];
+    for (let i = 0; i < responseWords.length; i++) {
+        if (!repeated[i]) continue;
+        let j = i;
+        while (j + 1 < responseWords.length && repeated[j + 1]) j++;
+        const start = responseWords[i].start;
+        const end = j + 1 < responseWords.length ? responseWords[j + 1].start : response.length;
+        spans.push({ start, end });
+        i = j;
+    }
+    if (!spans.length) {
+        return { text: response, removed: [] };
+    }
+
+    let text = '';
+    let position = 0;
+    spans.forEach(({ start, end }) => {
+        text += response.slice(position, start);
+        position = end;
+    });
+    text += response.slice(position);
+    if (position === response.length) {
+        // Nothing follows the last cut; drop the whitespace that led into it
+        text = text.replace(/\s+$/, '');
+    }
+
+    return { text, removed: spans.map(({ start, end }) => response.slice(start, end)) };
+}
+
+// Clean one reply against the text it continues. Returns
+// { text, removed: [{ type: 'label'|'overlap'|'repetition', text }] }.
+// Only removed parts change; the rest of the reply keeps its exact formatting.
+function dedupeResponse(existing, response, options = {}) {
+    const removed = [];
+    let text = response;
+
+    const label = text.match(/^(Assistant:\s*)+/i);
+    if (label) {
+        removed.push({ type: 'label', text: label[0] });
+        text = text.slice(label[0].length);
+    }
+
+    const overlap = removeOverlap(existing, text, options);
+    if (overlap.removed) {
+        removed.push({ type: 'overlap', text: overlap.removed });
+        text = overlap.text;
+    }
+
+    const repetition = removeRepeatedNgrams(existing, text, options);
+    repetition.removed.forEach(span => removed.push({ type: 'repetition', text: span }));
+
+    return { text: repetition.text, removed };
+}
+
+module.exports = {
+    DEDUPE_OPTIONS,
+    SENTENCE_END,
+    normalize,
+    removeOverlap,
+    removeRepeatedNgrams,
+    dedupeResponse
+};
@@ -0,0 +1,280 @@
+// lib/experiments.js
+//
+// Batch experiments for the headless runner (bin/experiment.js). An
+// experiment file is JSON:
+//   {
+//     "name": "pig-story",
+//     "models": { "gpt": { "provider": "openai", "modelName": "gpt-4o-mini", "apiKeyEnv": "OPENAI_API_KEY" }, ... },
+//     "prompts": ["Who is a pig?"],
+//     "orderings": [["gpt", "deepseek"], ["deepseek", "gpt"]],
+//     "tokensPerTurn": 5,          a number or a list of numbers
+//     "maxTurns": 20,              a number or a list of numbers
+//     "repeats": 2,                runs of every combination (default 1)
+//     "seeds": [1, 2],             schedule seeds (default [0])
+//     "schedule": { "strategy": "round-robin" },
+//     "context": { "policy": "window", "tokens": 1000 },   see lib/context.js (default the full text)
+//     "stop": { "combine": "any", "conditions": [{ "type": "phrase", "phrase": "The End" }] },
+//                                  end runs before maxTurns, see lib/stop.js
+//     "mode": "continue",
+//     "template": "continue",
+//     "language": "zh",            session language (default "auto", see lib/language.js)
+//     "concurrency": 2             runs in parallel (default 1)
+//   }
+// Every combination of prompt, ordering, tokensPerTurn, maxTurns and seed
+// runs `repeats` times. An ordering lists model names from "models"; the
+// rotation follows it. Seeds go to the schedule (the random turn order uses
+// them) and, when "seeds" is given, to the sampling seed of every model that
+// does not set its own. API keys are never written into experiment files: apiKeyEnv names
+// the environment variable holding the key. A model may also set "sampling"
+// ({ temperature, topP, seed, stop }, see lib/sampling.js); settings its
+// provider does not take are left out, and every turn records what was used.
+// Models are checked against the model catalog (lib/catalog.js) as the
+// server checks them: listed models only for providers without open models,
+// and a baseURL only when the catalog allows it.
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { SESSION_MODES, HUMAN_PROVIDER, createSession, runTurn, sessionTurns, sessionUsage, describeError } = require('./turns');
+const { DEFAULT_SCHEDULE, validateSchedule } = require('./schedulers');
+const { exportSession } = require('./transcripts');
+const { MAX_TOTAL_TOKENS } = require('./tokens');
+const { validateLanguage } = require('./language');
+const { defaultCatalog } = require('./catalog');
+const { DEFAULT_CONTEXT, validateContext } = require('./context');
+const { validateStop, checkStop } = require('./stop');
+const { withLogger } = require('./log');
+
+const listOf = (value) => Array.isArray(value) ? value : [value];
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Check an experiment against the template store and the model catalog;
+// returns an error message or null.
+function validateExperiment(experiment, templates, catalog = defaultCatalog()) {
+    if (!experiment || typeof experiment !== 'object') {
+        return 'The experiment must be a JSON object';
+    }
+    const { models, prompts, orderings, tokensPerTurn, maxTurns, repeats = 1, seeds = [0], schedule, context, stop, mode, template, language, concurrency = 1 } = experiment;
+
+    if (!models || typeof models !== 'object' || !Object.keys(models).length) {
+        return '"models" must map names to { provider, modelName }';
+    }
+    for (const [name, model] of Object.entries(models)) {
+        if (!model || typeof model.provider !== 'string' || typeof model.modelName !== 'string') {
+            return `Model "${name}" needs a provider and a modelName`;
+        }
+        if (model.provider === HUMAN_PROVIDER) {
+            return `Model "${name}": the human participant cannot take part in headless runs`;
+        }
+        const { provider, modelName, baseURL, sampling } = model;
+        const catalogError = catalog.validateModels([{ provider, modelName, baseURL, sampling }], { keys: false });
+        if (catalogError) {
+            return `Model "${name}": ${catalogError}`;
+        }
+    }
+    if (!Array.isArray(prompts) || !prompts.length || !prompts.every(prompt => typeof prompt === 'string' && prompt.trim())) {
+        return '"prompts" must be a non-empty list of non-empty strings';
+    }
+    if (!Array.isArray(orderings) || !orderings.length) {
+        return '"orderings" must be a non-empty list of model name lists';
+    }
+    for (const ordering of orderings) {
+        if (!Array.isArray(ordering) || !ordering.length) {
+            return 'Every ordering must be a non-empty list of model names';
+        }
+        const unknown = ordering.find(name => !models[name]);
+        if (unknown !== undefined) {
+            return `Ordering ${JSON.stringify(ordering)} names unknown model "${unknown}"`;
+        }
+    }
+    if (!listOf(tokensPerTurn).every(isPositiveInteger)) {
+        return '"tokensPerTurn" must be a positive integer or a list of them';
+    }
+    if (!listOf(maxTurns).every(isPositiveInteger)) {
+        return '"maxTurns" must be a positive integer or a list of them';
+    }
+    if (Math.max(...listOf(tokensPerTurn)) * Math.max(...listOf(maxTurns)) > MAX_TOTAL_TOKENS) {
+        return `tokensPerTurn × maxTurns must be at most ${MAX_TOTAL_TOKENS} (set MAX_TOTAL_TOKENS to raise it)`;
+    }
+    if (!isPositiveInteger(repeats)) {
+        return '"repeats" must be a positive integer';
+    }
+    if (!Array.isArray(seeds) || !seeds.length || !seeds.every(Number.isInteger)) {
+        return '"seeds" must be a non-empty list of integers';
+    }
+    if (!isPositiveInteger(concurrency)) {
+        return '"concurrency" must be a positive integer';
+    }
+    if (mode !== undefined && !SESSION_MODES.includes(mode)) {
+        return `"mode" must be one of ${SESSION_MODES.join(', ')}`;
+    }
+    if (template !== undefined && !templates.get(template)) {
+        return `Unknown prompt template: ${template}`;
+    }
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        return `"language": ${languageError}`;
+    }
+    if (schedule && schedule.strategy === 'race' && schedule.policy === 'user') {
+        return 'Races decided by the user need the web interface';
+    }
+    for (const ordering of orderings) {
+        const members = ordering.map(name => models[name]);
+        const scheduleError = validateSchedule(schedule, members) || validateContext(context, members) || validateStop(stop, members);
+        if (scheduleError) {
+            return `Ordering ${JSON.stringify(ordering)}: ${scheduleError}`;
+        }
+    }
+    return null;
+}
+
+function readExperiment(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read experiment ${file}: ${error.message}`);
+    }
+}
+
+// Models of an ordering as runTurn expects them, with keys from the
+// environment and the run's seed as their sampling seed.
+function orderingModels(experiment, ordering, seed, env) {
+    return ordering.map(name => {
+        const { provider, modelName, baseURL, apiKeyEnv, sampling } = experiment.models[name];
+        const seeded = experiment.seeds ? { seed, ...sampling } : sampling;
+        return { provider, modelName, baseURL, sampling: seeded, displayName: name, apiKey: apiKeyEnv ? env[apiKeyEnv] || '' : '' };
+    });
+}
+
+// Every run of an experiment, in a stable order, numbered from 1.
+function expandRuns(experiment) {
+    const runs = [];
+    experiment.prompts.forEach((prompt, promptIndex) => {
+        experiment.orderings.forEach(ordering => {
+            listOf(experiment.tokensPerTurn).forEach(tokensPerTurn => {
+                listOf(experiment.maxTurns).forEach(maxTurns => {
+                    (experiment.seeds || [0]).forEach(seed => {
+                        for (let repeat = 1; repeat <= (experiment.repeats || 1); repeat++) {
+                            runs.push({ number: runs.length + 1, prompt, promptIndex, ordering, tokensPerTurn, maxTurns, seed, repeat });
+                        }
+                    });
+                });
+            });
+        });
+    });
+    return runs;
+}
+
+// Drive one run to maxTurns (or until its stop conditions hold or a turn
+// fails) and write its transcript.
+async function executeRun(experiment, spec, { outDir, templates, env }) {
+    const models = orderingModels(experiment, spec.ordering, spec.seed, env);
+    const schedule = { ...(experiment.schedule || DEFAULT_SCHEDULE), seed: spec.seed };
+    const id = `run-${String(spec.number).padStart(3, '0')}`;
+    const session = createSession(spec.prompt, {
+        id,
+        models,
+        tokensPerTurn: spec.tokensPerTurn,
+        template: experiment.template,
+        mode: experiment.mode,
+        language: experiment.language
+    });
+
+    const startedAt = Date.now();
+    let error = null;
+    let stopped = null;
+    try {
+        while (!stopped && session.currentTurn < spec.maxTurns) {
+            const turn = await runTurn(session, models, spec.tokensPerTurn, { schedule, context: experiment.context || DEFAULT_CONTEXT, templates });
+            stopped = await checkStop(experiment.stop, session, models, turn, sessionTurns(session));
+        }
+    } catch (turnError) {
+        error = describeError(turnError).error;
+    }
+
+    const file = path.join(outDir, `${id}.jsonl`);
+    await fsPromises.writeFile(file, exportSession(session, 'jsonl').body);
+
+    const usage = sessionUsage(session);
+    return {
+        run: id,
+        prompt: spec.promptIndex + 1,
+        ordering: spec.ordering.join(' > '),
+        tokensPerTurn: spec.tokensPerTurn,
+        maxTurns: spec.maxTurns,
+        seed: spec.seed,
+        repeat: spec.repeat,
+        status: error ? 'failed' : 'completed',
+        turns: session.currentTurn,
+        stop: stopped ? stopped.reason : null,
+        keptTokens: usage.keptTokens,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        failures: session.failures.length,
+        durationMs: Date.now() - startedAt,
+        file: path.basename(file),
+        error
+    };
+}
+
+// Run every combination, at most `concurrency` at a time. Writes one JSONL
+// transcript per run plus summary.json and summary.csv to outDir, and
+// resolves to the summary rows in run order. onRunDone(row, done, total)
+// reports progress; what the turns log goes to `logger` ({ log, error }).
+async function runExperiment(experiment, { outDir, templates, concurrency = experiment.concurrency || 1, env = process.env, logger = console, onRunDone } = {}) {
+    await fsPromises.mkdir(outDir, { recursive: true });
+    const specs = expandRuns(experiment);
+    const rows = new Array(specs.length);
+    let next = 0;
+    let done = 0;
+
+    async function worker() {
+        while (next < specs.length) {
+            const index = next++;
+            rows[index] = await withLogger(logger, () => executeRun(experiment, specs[index], { outDir, templates, env }));
+            done++;
+            if (onRunDone) onRunDone(rows[index], done, specs.length);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, specs.length) }, worker));
+
+    await fsPromises.writeFile(path.join(outDir, 'summary.json'), JSON.stringify({ experiment: { ...experiment, models: publicExperimentModels(experiment) }, runs: rows }, null, 2));
+    await fsPromises.writeFile(path.join(outDir, 'summary.csv'), toCsv(rows));
+    return rows;
+}
+
+// The experiment's models without anything secret, for the summary file
+function publicExperimentModels(experiment) {
+    const models = {};
+    Object.entries(experiment.models).forEach(([name, { provider, modelName, baseURL, apiKeyEnv, sampling }]) => {
+        models[name] = { provider, modelName, baseURL, apiKeyEnv, sampling };
+    });
+    return models;
+}
+
+const SUMMARY_COLUMNS = ['run', 'prompt', 'ordering', 'tokensPerTurn', 'maxTurns', 'seed', 'repeat', 'status', 'turns', 'keptTokens', 'promptTokens', 'completionTokens', 'failures', 'durationMs', 'file'];
+
+function toCsv(rows) {
+    const quote = (value) => {
+        const text = value == null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const columns = [...SUMMARY_COLUMNS, 'stop', 'error'];
+    return [columns.join(','), ...rows.map(row => columns.map(column => quote(row[column])).join(','))].join('\n') + '\n';
+}
+
+// Summary rows as an aligned plain-text table for the terminal.
+function formatSummaryTable(rows) {
+    const cells = [SUMMARY_COLUMNS, ...rows.map(row => SUMMARY_COLUMNS.map(column => String(row[column])))];
+    const widths = SUMMARY_COLUMNS.map((column, i) => Math.max(...cells.map(line => line[i].length)));
+    const format = (line) => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [format(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(format)].join('\n');
+}
+
+module.exports = {
+    validateExperiment,
+    readExperiment,
+    expandRuns,
+    runExperiment,
+    formatSummaryTable
+};
@@ -0,0 +1,63 @@
+// lib/judge.js
+//
+// Judge calls: a model asked a short question about the text so far, such as
+// who writes next (lib/schedulers.js), which race candidate to keep
+// (lib/race.js) or whether the piece is finished (lib/stop.js). Every judge
+// sees the same prompt shape, and the text is cut from the start when the
+// whole prompt would not fit the judge's context length (contextTokens in
+// config/models.json), the way turns fit theirs (lib/context.js).
+
+const { generate } = require('./providers');
+const { defaultCatalog } = require('./catalog');
+const { withTimeout } = require('./retry');
+const { fitTextToContext } = require('./tokens');
+
+// A judge answers with a number or a word
+const JUDGE_REPLY_TOKENS = 5;
+
+const judgeMessages = (system, text, question) => [
+    { role: "system", content: system },
+    { role: "user", content: `The text so far: "${text}"\n\n${question}` }
+];
+
+// The end of `text` that fits a judge prompt within contextTokens, room for
+// the reply included. Without a known context length the whole text is sent.
+function fitJudgeText(text, { system, question, contextTokens = null }) {
+    return fitTextToContext(text, (candidate) => judgeMessages(system, candidate, question), { contextTokens, replyTokens: JUDGE_REPLY_TOKENS });
+}
+
+// Ask `judge` (a selected model) about the session's text; resolves to the
+// reply, or rejects once the call takes longer than TURN_TIMEOUT_MS
+async function askJudge(judge, session, { system, question }) {
+    const traits = defaultCatalog().traits(judge);
+    const text = fitJudgeText(session.fullContent, { system, question, contextTokens: traits.contextTokens });
+
+    const { text: reply } = await withTimeout(generate(judge.provider, {
+        modelName: judge.modelName,
+        apiKey: judge.apiKey,
+        baseURL: judge.baseURL,
+        sampling: judge.sampling,
+        traits,
+        fullContent: text,
+        tokensPerTurn: JUDGE_REPLY_TOKENS,
+        messages: judgeMessages(system, text, question)
+    }));
+    return reply;
+}
+
+// The 0-based index a judge reply names out of `count` numbered options;
+// throws when it names none of them
+function pickNumber(reply, count, what) {
+    const match = reply.match(/\d+/);
+    const choice = match ? parseInt(match[0], 10) - 1 : -1;
+    if (choice < 0 || choice >= count) {
+        throw new Error(`Judge reply "${reply}" does not name ${what}`);
+    }
+    return choice;
+}
+
+module.exports = {
+    fitJudgeText,
+    askJudge,
+    pickNumber
+};
@@ -0,0 +1,96 @@
+// lib/language.js
+//
+// Language-aware text handling. Chinese, Japanese, Thai and similar scripts
+// write words without spaces between them, so neither "split on spaces" nor
+// "join turns with a space" works for them. A session's `language` is
+// 'auto' (decide from the characters) or a BCP 47 tag such as "zh", "ja",
+// "th" or "en"; it picks how turns are joined and seeds the word segmenter.
+
+const DEFAULT_LANGUAGE = 'auto';
+
+// Primary subtags of languages written without spaces between words
+const UNSPACED_LANGUAGES = ['zh', 'ja', 'th', 'lo', 'km', 'my', 'bo'];
+
+// Characters of those scripts, plus CJK and full-width punctuation
+const UNSPACED_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\p{Script=Tibetan}\u3000-\u303F\uFF00-\uFFEF]/u;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Check a language setting; returns an error message or null.
+function validateLanguage(language) {
+    if (language === undefined || language === DEFAULT_LANGUAGE) return null;
+    if (typeof language !== 'string') {
+        return 'language must be "auto" or a language tag such as "en" or "zh"';
+    }
+    try {
+        Intl.getCanonicalLocales(language);
+        return null;
+    } catch (error) {
+        return `language "${language}" is not a valid language tag`;
+    }
+}
+
+const primarySubtag = (language) => (language || '').toLowerCase().split('-')[0];
+const isUnspacedLanguage = (language) => UNSPACED_LANGUAGES.includes(primarySubtag(language));
+const isUnspacedChar = (char) => Boolean(char) && UNSPACED_CHAR.test(char);
+
+// The text between `left` and `right` when a turn is appended: nothing where
+// either side is written without spaces, a space otherwise. In an unspaced
+// language a space is only kept before a letter or digit, so English inside
+// Chinese keeps its spaces but punctuation does not get one in front of it.
+function joinSeparator(left, right, language = DEFAULT_LANGUAGE) {
+    if (!left || !right) return ' ';
+    const last = Array.from(left.slice(-2)).pop();
+    const first = Array.from(right.slice(0, 2))[0];
+
+    if (isUnspacedChar(last) || isUnspacedChar(first)) return '';
+    if (isUnspacedLanguage(language) && !WORD_CHAR.test(first)) return '';
+    return ' ';
+}
+
+function joinText(left, right, language) {
+    return left + joinSeparator(left, right, language) + right;
+}
+
+const segmenters = new Map();
+
+function wordSegmenter(language) {
+    const locale = language && language !== DEFAULT_LANGUAGE ? language : undefined;
+    if (!segmenters.has(locale)) {
+        segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+    }
+    return segmenters.get(locale);
+}
+
+// Split a run of letters and digits into words. Runs of spaced scripts are
+// one word already; runs containing unspaced scripts go through the
+// dictionary-based word segmenter. Returns [{ text, index }] relative to the run.
+function splitRun(run, language) {
+    if (!UNSPACED_CHAR.test(run)) {
+        return [{ text: run, index: 0 }];
+    }
+    return Array.from(wordSegmenter(language).segment(run))
+        .filter(segment => segment.isWordLike)
+        .map(({ segment, index }) => ({ text: segment, index }));
+}
+
+// Word boundaries inside runs of unspaced scripts, as a set of indices
+// into `text`. Spaces and punctuation mark every other boundary.
+function unspacedBoundaries(text, language) {
+    const boundaries = new Set();
+    if (!UNSPACED_CHAR.test(text)) return boundaries;
+    for (const { index, segment } of wordSegmenter(language).segment(text)) {
+        boundaries.add(index);
+        boundaries.add(index + segment.length);
+    }
+    return boundaries;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    validateLanguage,
+    isUnspacedLanguage,
+    joinSeparator,
+    joinText,
+    splitRun,
+    unspacedBoundaries
+};
@@ -0,0 +1,55 @@
+// lib/log.js
+//
+// What the server log says about the text it handles. Prompts, replies and
+// edits belong to the people writing them, so by default the log only gives
+// their length. Set DEBUG_CONTENT=1 to log the text itself (and raw provider
+// payloads) while debugging. The flag is read on every call.
+// The turn logic logs through log() and logError(), which write to the
+// console unless the caller runs it under withLogger() with a logger of its
+// own (the headless experiment runner keeps its terminal quiet that way).
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const loggers = new AsyncLocalStorage();
+
+const ENABLED_VALUES = ['1', 'true', 'yes', 'on'];
+
+function debugContent(env = process.env) {
+    return ENABLED_VALUES.includes(String(env.DEBUG_CONTENT || '').toLowerCase());
+}
+
+// `text` quoted for a log line with DEBUG_CONTENT on, else only its length
+function loggedText(text, env = process.env) {
+    const value = typeof text === 'string' ? text : String(text ?? '');
+    return debugContent(env) ? `"${value}"` : `[${value.length} chars]`;
+}
+
+// The logger ({ log, error }) of the code running now
+const currentLogger = () => loggers.getStore() || console;
+
+function log(...args) {
+    currentLogger().log(...args);
+}
+
+function logError(...args) {
+    currentLogger().error(...args);
+}
+
+// Call fn() with every line it logs, including those of what it awaits, going to `logger`
+function withLogger(logger, fn) {
+    return loggers.run(logger, fn);
+}
+
+// log(), but only with DEBUG_CONTENT on
+function debugLog(...args) {
+    if (debugContent()) log(...args);
+}
+
+module.exports = {
+    debugContent,
+    loggedText,
+    log,
+    logError,
+    withLogger,
+    debugLog
+};
@@ -0,0 +1,61 @@
+// lib/pricing.js
+//
+// Cost estimates from a price table (config/prices.json by default):
+//   { "currency": "USD", "prices": [{ "provider": "openai", "modelPrefix": "gpt-4o", "input": 2.5, "output": 10 }] }
+// Prices are per million tokens. A model takes the rule of its provider with
+// the longest matching modelPrefix (a rule without one matches every model
+// of the provider); models without a rule have no estimate (null).
+
+const fs = require('fs');
+const path = require('path');
+
+const TOKENS_PER_UNIT = 1000000;
+
+function createPriceTable({ file }) {
+    let table;
+    try {
+        table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read prices from ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(table.prices)) {
+        throw new Error(`${file} must define a "prices" list`);
+    }
+
+    function priceOf({ provider, modelName }) {
+        let best = null;
+        table.prices.forEach(rule => {
+            if (rule.provider !== provider) return;
+            const prefix = rule.modelPrefix || '';
+            if (!(modelName || '').startsWith(prefix)) return;
+            if (!best || prefix.length > (best.modelPrefix || '').length) best = rule;
+        });
+        return best;
+    }
+
+    return {
+        currency: table.currency || 'USD',
+
+        // Estimated cost of one call from its token usage, or null without a price
+        estimate(model, usage) {
+            const price = priceOf(model);
+            if (!price || !usage) return null;
+            return (usage.promptTokens * price.input + usage.completionTokens * price.output) / TOKENS_PER_UNIT;
+        }
+    };
+}
+
+const DEFAULT_PRICES_FILE = path.join(__dirname, '..', 'config', 'prices.json');
+
+let defaultTable = null;
+
+// The price table named by PRICE_TABLE_FILE (default config/prices.json), read once.
+function defaultPriceTable(env = process.env) {
+    defaultTable = defaultTable || createPriceTable({ file: env.PRICE_TABLE_FILE || DEFAULT_PRICES_FILE });
+    return defaultTable;
+}
+
+module.exports = {
+    createPriceTable,
+    defaultPriceTable
+};
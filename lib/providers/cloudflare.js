@@ -0,0 +1,145 @@
+// lib/providers/cloudflare.js
+//
+// Workers AI models, called with the server-side Cloudflare credentials
+// configured via environment variables.
+
+const { readEventData } = require('../sse');
+const { debugLog } = require('../log');
+
+// Some Cloudflare model backends are strict about ByteString/ASCII-only
+// inputs. Unicode text still reaches them intact: the JSON body escapes every
+// non-ASCII character as \uXXXX, so the request is plain ASCII on the wire.
+const toAsciiJson = (payload) => JSON.stringify(payload)
+    .replace(/[\u0080-\uFFFF]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+// Fallback for models marked asciiOnly in the catalog, which fail on
+// non-ASCII text however it is encoded: drop accents ("é" -> "e"), fold
+// full-width forms, and replace what is left with "?".
+const sanitizeToAscii = (text) => text
+    ? text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x00-\x7F]/gu, '?')
+    : '';
+
+const stringifyPayload = (payload) => {
+    if (payload == null) return '';
+    return typeof payload === 'string' ? payload : JSON.stringify(payload);
+};
+
+function getCredentials() {
+    const apiKey = process.env.CLOUDFLARE_API_KEY;
+    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
+    const apiBase = process.env.CLOUDFLARE_API_BASE || 'https://api.cloudflare.com/client/v4';
+
+    if (!apiKey || !accountId) {
+        throw new Error('Cloudflare API key and account ID must be configured on the server (CLOUDFLARE_API_KEY and CLOUDFLARE_ACCOUNT_ID).');
+    }
+
+    // Normalize base URL to avoid duplicate slashes
+    return { apiKey, accountId, apiBase: apiBase.replace(/\/$/, '') };
+}
+
+async function runModel(modelName, payload) {
+    const { apiKey, accountId, apiBase } = getCredentials();
+    const url = `${apiBase}/accounts/${accountId}/ai/run/${modelName}`;
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        body: toAsciiJson(payload)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Cloudflare API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+// Workers AI takes the OpenAI names for the sampling settings it supports
+function samplingParams({ temperature, topP, seed } = {}) {
+    const params = {};
+    if (temperature !== undefined) params.temperature = temperature;
+    if (topP !== undefined) params.top_p = topP;
+    if (seed !== undefined) params.seed = seed;
+    return params;
+}
+
+module.exports = {
+    buildRequest({ tokensPerTurn, messages, traits, sampling }) {
+        if (traits.asciiOnly) {
+            messages = messages.map(message => ({ ...message, content: sanitizeToAscii(message.content) }));
+        }
+
+        // The catalog names the payload family of the model (config/models.json).
+        if (traits.payload === 'input') {
+            // GPT-OSS models expect `input` or `requests` at the top level, not `messages`.
+            const label = (role) => role.charAt(0).toUpperCase() + role.slice(1);
+            return {
+                input: messages.map(message => `${label(message.role)}: ${message.content}`).join("\\n\\n"),
+                max_tokens: tokensPerTurn,
+                ...samplingParams(sampling)
+            };
+        }
+
+        // Llama, Gemma, Mistral etc. work with a messages-style payload.
+        return {
+            messages,
+            max_tokens: tokensPerTurn,
+            ...samplingParams(sampling)
+        };
+    },
+
+    async call(request, { modelName }) {
+        const response = await runModel(modelName, request);
+        const data = await response.json();
+        debugLog('Cloudflare response structure:', JSON.stringify(data, null, 2));
+        return data;
+    },
+
+    async *stream(request, { modelName }) {
+        const response = await runModel(modelName, { ...request, stream: true });
+
+        for await (const data of readEventData(response.body)) {
+            if (data === '[DONE]') break;
+
+            const event = JSON.parse(data);
+            if (typeof event.response === 'string') {
+                yield event.response;
+            } else if (event.choices && event.choices[0]) {
+                const choice = event.choices[0];
+                yield (choice.delta && choice.delta.content) || choice.text || '';
+            }
+        }
+    },
+
+    // Extract response text from Cloudflare's response format
+    extractText(data) {
+        const resultPayload = data.result;
+
+        if (resultPayload && resultPayload.response) {
+            return resultPayload.response;
+        } else if (resultPayload && resultPayload.choices && resultPayload.choices[0]) {
+            return resultPayload.choices[0].message?.content || resultPayload.choices[0].text;
+        } else if (resultPayload && typeof resultPayload === 'string') {
+            return resultPayload;
+        } else if (Array.isArray(resultPayload) && resultPayload.length > 0) {
+            return stringifyPayload(resultPayload[0]);
+        } else if (typeof resultPayload === 'object' && resultPayload !== null) {
+            return stringifyPayload(resultPayload);
+        }
+        return stringifyPayload(data);
+    },
+
+    extractUsage(data) {
+        const usage = data.result && data.result.usage;
+        if (!usage) return null;
+        return {
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens
+        };
+    }
+};
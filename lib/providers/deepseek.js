@@ -0,0 +1,5 @@
+// lib/providers/deepseek.js
+
+const { createOpenAIChatProvider } = require('./openai-chat');
+
+module.exports = createOpenAIChatProvider({ baseURL: 'https://api.deepseek.com' });
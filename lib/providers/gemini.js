@@ -0,0 +1,76 @@
+// lib/providers/gemini.js
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+function getModel({ apiKey, modelName }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    return genAI.getGenerativeModel({ model: modelName });
+}
+
+module.exports = {
+    buildRequest({ tokensPerTurn, messages, traits, sampling = {} }) {
+        // Gemini takes system text separately, calls the assistant role "model"
+        // and expects roles to alternate, so consecutive messages of one role share a turn
+        const system = messages.filter(message => message.role === 'system').map(message => message.content);
+        const contents = [];
+        messages.filter(message => message.role !== 'system').forEach(message => {
+            const role = message.role === 'assistant' ? 'model' : 'user';
+            const last = contents[contents.length - 1];
+            if (last && last.role === role) {
+                last.parts.push({ text: message.content });
+            } else {
+                contents.push({ role, parts: [{ text: message.content }] });
+            }
+        });
+
+        // For very small token counts, we need to be more explicit with Gemini.
+        // Output beyond tokensPerTurn is trimmed by the server (lib/tokens.js).
+        // Stop sequences default to paragraph breaks to limit output (see config/models.json)
+        const generationConfig = {
+            maxOutputTokens: Math.max(tokensPerTurn, traits.minTokens) // Gemini has a minimum (see config/models.json)
+        };
+        const stopSequences = [...(sampling.stop || [])];
+        if (sampling.temperature !== undefined) generationConfig.temperature = sampling.temperature;
+        if (sampling.topP !== undefined) generationConfig.topP = sampling.topP;
+        if (sampling.seed !== undefined) generationConfig.seed = sampling.seed;
+
+        // If tokens per turn is very small, add additional stopping criteria
+        if (tokensPerTurn <= traits.minTokens) {
+            stopSequences.push('.', '!', '?', ',', ';');
+        }
+        if (stopSequences.length) {
+            generationConfig.stopSequences = stopSequences;
+        }
+
+        const request = { contents, generationConfig };
+        if (system.length) {
+            request.systemInstruction = system.join('\n\n');
+        }
+        return request;
+    },
+
+    async call(request, ctx) {
+        return getModel(ctx).generateContent(request);
+    },
+
+    async *stream(request, ctx) {
+        const result = await getModel(ctx).generateContentStream(request);
+
+        for await (const chunk of result.stream) {
+            yield chunk.text();
+        }
+    },
+
+    extractText(raw) {
+        return raw.response.text();
+    },
+
+    extractUsage(raw) {
+        const usage = raw.response.usageMetadata;
+        if (!usage) return null;
+        return {
+            promptTokens: usage.promptTokenCount,
+            completionTokens: usage.candidatesTokenCount
+        };
+    }
+};
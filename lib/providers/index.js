@@ -0,0 +1,102 @@
+// lib/providers/index.js
+//
+// Provider adapter registry. Every adapter follows the same interface:
+//   buildRequest(ctx)          -> provider-specific request payload
+//   call(request, ctx)         -> raw provider response
+//   extractText(raw, request)  -> generated text
+//   extractUsage(raw)          -> { promptTokens, completionTokens } or null
+//   stream(request, ctx)       -> optional async generator of text deltas
+// where ctx is { modelName, apiKey, baseURL, fullContent, tokensPerTurn, messages, traits, sampling }.
+// ctx.messages are the chat messages to send, usually rendered from a prompt
+// template (lib/templates.js); adapters only adapt them to their API.
+// ctx.traits are the model's quirks from the catalog (lib/catalog.js):
+// { asciiOnly, minTokens, payload, contextTokens }. ctx.sampling holds the requested sampling
+// settings; generate() resolves them against the catalog's provider defaults
+// (lib/sampling.js), adapters map them to their API and results report them.
+
+const { defaultCatalog } = require('../catalog');
+
+const registry = new Map();
+
+function registerProvider(name, adapter) {
+    for (const method of ['buildRequest', 'call', 'extractText', 'extractUsage']) {
+        if (typeof adapter[method] !== 'function') {
+            throw new Error(`Provider "${name}" is missing ${method}()`);
+        }
+    }
+    registry.set(name, adapter);
+}
+
+function getProvider(name) {
+    const adapter = registry.get(name);
+    if (!adapter) {
+        throw new Error(`Unsupported provider: ${name}`);
+    }
+    return adapter;
+}
+
+function listProviders() {
+    return Array.from(registry.keys());
+}
+
+// Fill in the model's traits and the sampling settings this call uses
+const withCatalog = (name, ctx) => ({
+    ...ctx,
+    traits: ctx.traits || defaultCatalog().traits({ provider: name, modelName: ctx.modelName }),
+    sampling: defaultCatalog().sampling({ provider: name }, ctx.sampling)
+});
+
+// Run one generation through the named provider and normalize the result.
+async function generate(name, ctx) {
+    const adapter = getProvider(name);
+    ctx = withCatalog(name, ctx);
+    const request = adapter.buildRequest(ctx);
+    const raw = await adapter.call(request, ctx);
+
+    let text = adapter.extractText(raw, request);
+    if (typeof text !== 'string') {
+        text = text != null ? String(text) : '';
+    }
+
+    return { text, usage: adapter.extractUsage(raw), request, sampling: ctx.sampling };
+}
+
+// Stream one generation, calling onDelta(text) as output arrives. Providers
+// without stream() are called normally and delivered as a single delta.
+async function generateStream(name, ctx, onDelta) {
+    const adapter = getProvider(name);
+    ctx = withCatalog(name, ctx);
+    if (typeof adapter.stream !== 'function') {
+        const result = await generate(name, ctx);
+        if (result.text) onDelta(result.text);
+        return result;
+    }
+
+    const request = adapter.buildRequest(ctx);
+    let text = '';
+
+    for await (const delta of adapter.stream(request, ctx)) {
+        if (delta) {
+            text += delta;
+            onDelta(delta);
+        }
+    }
+
+    return { text, usage: null, request, sampling: ctx.sampling };
+}
+
+registerProvider('openai', require('./openai'));
+registerProvider('perplexity', require('./perplexity'));
+registerProvider('deepseek', require('./deepseek'));
+registerProvider('gemini', require('./gemini'));
+registerProvider('cloudflare', require('./cloudflare'));
+registerProvider('openai-compatible', require('./openai-compatible'));
+registerProvider('mock', require('./mock'));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+    generate,
+    generateStream
+};
@@ -0,0 +1,93 @@
+// lib/providers/mock.js
+//
+// Offline provider for demos and tests: no network, no key, and the same
+// context always gets the same reply. The model name picks the behaviour,
+// with options in query-string form:
+//   echo                       repeats the last words of the text
+//   scripted?replies=a|b|c     replies a, b, c, a... in call order
+//   seeded?seed=7              words drawn from a PRNG seeded by the seed and the text;
+//                              a sampling seed (lib/sampling.js) takes precedence
+// Options every behaviour accepts:
+//   delayMs=N          wait N ms before answering
+//   fail=STATUS        throw an error with that HTTP status...
+//   failTimes=N        ...on the first N calls only (default: every call)
+//   repeatPrompt=1     start the reply with the whole text so far
+//   ignoreMaxTokens=1  write three times tokensPerTurn words
+// Calls are counted per model name; reset() starts the counts over.
+
+const { seededRandom, hashString } = require('../random');
+const { sleep } = require('../retry');
+
+const BEHAVIOURS = ['echo', 'scripted', 'seeded'];
+
+const VOCABULARY = ['the', 'pig', 'walked', 'slowly', 'through', 'a', 'muddy', 'field', 'and', 'found', 'an', 'old', 'gate',
+    'under', 'grey', 'sky', 'while', 'farmer', 'sang', 'quietly', 'to', 'his', 'sheep', 'near', 'river', 'bank'];
+
+const callCounts = new Map();
+
+function parseModelName(modelName) {
+    const [behaviour, query = ''] = String(modelName).split('?');
+    if (!BEHAVIOURS.includes(behaviour)) {
+        throw new Error(`Unknown mock behaviour "${behaviour}"; use one of ${BEHAVIOURS.join(', ')}`);
+    }
+    return { behaviour, options: Object.fromEntries(new URLSearchParams(query)) };
+}
+
+function compose({ behaviour, options, fullContent, wordCount, call }) {
+    if (behaviour === 'scripted') {
+        const replies = (options.replies || 'scripted reply').split('|');
+        return replies[(call - 1) % replies.length];
+    }
+    if (behaviour === 'echo') {
+        return fullContent.split(/\s+/).filter(Boolean).slice(-wordCount).join(' ');
+    }
+    const random = seededRandom(hashString(`${options.seed || 0}:${fullContent}`));
+    return Array.from({ length: wordCount }, () => VOCABULARY[Math.floor(random() * VOCABULARY.length)]).join(' ');
+}
+
+async function callMock(request, { modelName }) {
+    const { behaviour, options, fullContent, max_tokens } = request;
+    const call = (callCounts.get(modelName) || 0) + 1;
+    callCounts.set(modelName, call);
+
+    if (options.delayMs) await sleep(Number(options.delayMs));
+
+    if (options.fail && (!options.failTimes || call <= Number(options.failTimes))) {
+        const error = new Error(`Mock API error: ${options.fail} on call ${call}`);
+        error.status = Number(options.fail);
+        throw error;
+    }
+
+    const wordCount = options.ignoreMaxTokens === '1' ? max_tokens * 3 : max_tokens;
+    const text = compose({ behaviour, options, fullContent, wordCount, call });
+    return { text: options.repeatPrompt === '1' ? `${fullContent} ${text}` : text };
+}
+
+module.exports = {
+    buildRequest({ modelName, fullContent, tokensPerTurn, messages, sampling = {} }) {
+        const { behaviour, options } = parseModelName(modelName);
+        if (sampling.seed !== undefined) options.seed = String(sampling.seed);
+        return { behaviour, options, messages, fullContent: fullContent || '', max_tokens: tokensPerTurn };
+    },
+
+    call: callMock,
+
+    async *stream(request, ctx) {
+        const { text } = await callMock(request, ctx);
+        for (const word of text.split(/(?<=\s)/)) {
+            yield word;
+        }
+    },
+
+    extractText(raw) {
+        return raw.text;
+    },
+
+    extractUsage() {
+        return null;
+    },
+
+    reset() {
+        callCounts.clear();
+    }
+};
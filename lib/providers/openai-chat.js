@@ -0,0 +1,55 @@
+// lib/providers/openai-chat.js
+//
+// Shared adapter factory for providers that speak the OpenAI chat completions API.
+
+const { OpenAI } = require('openai');
+
+function createOpenAIChatProvider({ baseURL, resolveClientOptions } = {}) {
+    // Retries are handled per turn (lib/retry.js), not inside the client
+    const createClient = (ctx) => new OpenAI({
+        ...(resolveClientOptions ? resolveClientOptions(ctx) : { apiKey: ctx.apiKey, baseURL }),
+        maxRetries: 0
+    });
+
+    return {
+        buildRequest(ctx) {
+            const { temperature, topP, seed, stop } = ctx.sampling || {};
+            const request = {
+                model: ctx.modelName,
+                messages: ctx.messages,
+                max_tokens: ctx.tokensPerTurn
+            };
+            if (temperature !== undefined) request.temperature = temperature;
+            if (topP !== undefined) request.top_p = topP;
+            if (seed !== undefined) request.seed = seed;
+            if (stop !== undefined) request.stop = stop;
+            return request;
+        },
+
+        async call(request, ctx) {
+            return createClient(ctx).chat.completions.create(request);
+        },
+
+        async *stream(request, ctx) {
+            const chunks = await createClient(ctx).chat.completions.create({ ...request, stream: true });
+            for await (const chunk of chunks) {
+                const delta = chunk.choices[0] && chunk.choices[0].delta;
+                if (delta && delta.content) yield delta.content;
+            }
+        },
+
+        extractText(raw) {
+            return raw.choices[0].message.content;
+        },
+
+        extractUsage(raw) {
+            if (!raw.usage) return null;
+            return {
+                promptTokens: raw.usage.prompt_tokens,
+                completionTokens: raw.usage.completion_tokens
+            };
+        }
+    };
+}
+
+module.exports = { createOpenAIChatProvider };
@@ -0,0 +1,26 @@
+// lib/providers/openai-compatible.js
+//
+// Generic provider for any server exposing the OpenAI chat completions API
+// (llama.cpp, vLLM, Ollama, a local stub...). The base URL comes from the
+// model entry (only the ones the catalog lists as baseURLs get this far) or,
+// failing that, from OPENAI_COMPATIBLE_BASE_URL. The server's own key,
+// OPENAI_COMPATIBLE_API_KEY, is only ever sent to that server endpoint.
+
+const { createOpenAIChatProvider } = require('./openai-chat');
+
+const trimSlash = (url) => url.replace(/\/$/, '');
+
+module.exports = createOpenAIChatProvider({
+    resolveClientOptions(ctx) {
+        const serverURL = process.env.OPENAI_COMPATIBLE_BASE_URL;
+        const baseURL = ctx.baseURL || serverURL;
+        if (!baseURL) {
+            throw new Error('OpenAI-compatible provider needs a baseURL (per model or OPENAI_COMPATIBLE_BASE_URL).');
+        }
+
+        // Local servers usually ignore the key, but the client refuses an empty one.
+        const ownEndpoint = Boolean(serverURL) && trimSlash(baseURL) === trimSlash(serverURL);
+        const apiKey = ctx.apiKey || (ownEndpoint ? process.env.OPENAI_COMPATIBLE_API_KEY : '') || 'not-needed';
+        return { apiKey, baseURL: trimSlash(baseURL) };
+    }
+});
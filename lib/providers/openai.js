@@ -0,0 +1,5 @@
+// lib/providers/openai.js
+
+const { createOpenAIChatProvider } = require('./openai-chat');
+
+module.exports = createOpenAIChatProvider();
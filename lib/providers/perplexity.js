@@ -0,0 +1,5 @@
+// lib/providers/perplexity.js
+
+const { createOpenAIChatProvider } = require('./openai-chat');
+
+module.exports = createOpenAIChatProvider({ baseURL: 'https://api.perplexity.ai' });
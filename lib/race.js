@@ -0,0 +1,91 @@
+// lib/race.js
+//
+// Race turns: every selected model gets the same context at once and writes
+// a candidate continuation; one candidate is kept and the others are stored
+// with the turn. A race is the schedule { strategy: 'race', policy, judge }
+// where policy picks the winner:
+//   fastest           the candidate that arrived first
+//   least-repetition  the candidate that lost the least text to deduplication
+//   judge             the model at index `judge` votes for one
+//   user              the run waits for the user to click one
+// Candidates are { modelName, provider, text, removed, usage, latencyMs, cost,
+// characters, template }.
+
+const { askJudge, pickNumber } = require('./judge');
+const { logError } = require('./log');
+
+const RACE_POLICIES = ['fastest', 'least-repetition', 'judge', 'user'];
+
+// Check the race options of a schedule; returns an error message or null.
+function validateRace({ policy, judge }, models) {
+    if (!RACE_POLICIES.includes(policy)) {
+        return `schedule.policy must be one of ${RACE_POLICIES.join(', ')}`;
+    }
+    if (models.length < 2) {
+        return 'A race needs at least two models';
+    }
+    if (models.some(model => model.provider === 'human')) {
+        return 'The human participant cannot race; use another turn order';
+    }
+    if (policy === 'judge' && (!Number.isInteger(judge) || judge < 0 || judge >= models.length)) {
+        return 'schedule.judge must be the index of one of the selected models';
+    }
+    return null;
+}
+
+const removedChars = (candidate) => candidate.removed.reduce((sum, { text }) => sum + text.length, 0);
+
+function fastest(candidates) {
+    return candidates.reduce((best, candidate, index) =>
+        candidate.latencyMs < candidates[best].latencyMs ? index : best, 0);
+}
+
+async function judgeVote(session, candidates, judge) {
+    const options = candidates.map((candidate, index) => `${index + 1}. ${candidate.text}`).join('\n');
+    const reply = await askJudge(judge, session, {
+        system: "You are judging a collaborative writing session. Several writers proposed the next part of the same text; choose the one that continues it best.",
+        question: `Proposed continuations:\n${options}\n\nReply with only the number of the best continuation.`
+    });
+    return pickNumber(reply, candidates.length, 'a candidate');
+}
+
+// Pick the winning candidate. Resolves to { index, reason }. awaitChoice
+// ({ turn, candidates }) resolves to the index the user clicked; it is
+// required for the user policy.
+async function selectCandidate(session, candidates, { policy, judge }, models, awaitChoice) {
+    if (candidates.length === 1) {
+        return { index: 0, reason: 'only candidate' };
+    }
+
+    if (policy === 'least-repetition') {
+        const index = candidates.reduce((best, candidate, i) => {
+            const difference = removedChars(candidate) - removedChars(candidates[best]);
+            return difference < 0 || (difference === 0 && candidate.latencyMs < candidates[best].latencyMs) ? i : best;
+        }, 0);
+        return { index, reason: `least repetition (${removedChars(candidates[index])} characters removed)` };
+    }
+
+    if (policy === 'judge') {
+        try {
+            return { index: await judgeVote(session, candidates, models[judge]), reason: `judge vote (${models[judge].displayName || models[judge].modelName})` };
+        } catch (error) {
+            // A confused or failing judge should not stop the run
+            logError(`Judge failed on turn ${session.currentTurn}, keeping the fastest candidate:`, error.message);
+            return { index: fastest(candidates), reason: 'fastest (the judge failed)' };
+        }
+    }
+
+    if (policy === 'user') {
+        const index = await awaitChoice({ turn: session.currentTurn, candidates });
+        return { index, reason: 'user choice' };
+    }
+
+    const index = fastest(candidates);
+    return { index, reason: `fastest (${candidates[index].latencyMs} ms)` };
+}
+
+module.exports = {
+    RACE_POLICIES,
+    validateRace,
+    selectCandidate
+};
@@ -0,0 +1,31 @@
+// lib/random.js
+//
+// Deterministic randomness for the parts of the app that must be
+// reproducible (seeded turn orders, the mock provider).
+
+// mulberry32: tiny deterministic PRNG, good enough for picking speakers
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a hash of a string, to seed from text
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+module.exports = {
+    seededRandom,
+    hashString
+};
@@ -0,0 +1,54 @@
+// lib/ratelimit.js
+//
+// In-memory fixed-window rate limits. Each key (a caller's IP address, a
+// session id) may make `limit` requests per window; the next one is refused
+// until the window ends. A limit of 0 turns the limiter off.
+
+// Windows kept before expired ones are swept
+const SWEEP_THRESHOLD = 10000;
+
+function createRateLimiter({ limit, windowMs = 60 * 1000 }) {
+    const windows = new Map();
+
+    function sweep(now) {
+        windows.forEach((window, key) => {
+            if (now >= window.resetAt) windows.delete(key);
+        });
+    }
+
+    return {
+        limit,
+
+        // Count a request by `key`: { allowed, retryAfterMs }
+        take(key, now = Date.now()) {
+            if (!limit) return { allowed: true, retryAfterMs: 0 };
+            let window = windows.get(key);
+            if (!window || now >= window.resetAt) {
+                if (windows.size >= SWEEP_THRESHOLD) sweep(now);
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count++;
+            return window.count <= limit ? { allowed: true, retryAfterMs: 0 } : { allowed: false, retryAfterMs: window.resetAt - now };
+        }
+    };
+}
+
+// The limits of /chat and /chat/stream, from environment variables:
+//   CHAT_RATE_LIMIT_PER_IP       requests per minute from one IP address (default 60)
+//   CHAT_RATE_LIMIT_PER_SESSION  requests per minute on one session (default 30)
+// Registering keys (POST /keys) counts against the caller's IP as well.
+function chatRateLimitsFromEnv(env = process.env) {
+    const perIp = env.CHAT_RATE_LIMIT_PER_IP !== undefined ? Number(env.CHAT_RATE_LIMIT_PER_IP) : 60;
+    const perSession = env.CHAT_RATE_LIMIT_PER_SESSION !== undefined ? Number(env.CHAT_RATE_LIMIT_PER_SESSION) : 30;
+
+    return {
+        ip: createRateLimiter({ limit: perIp }),
+        session: createRateLimiter({ limit: perSession })
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    chatRateLimitsFromEnv
+};
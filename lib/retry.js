@@ -0,0 +1,70 @@
+// lib/retry.js
+//
+// Retry policy for provider calls. Tunable through environment variables:
+//   TURN_MAX_RETRIES       retries per model before failing over (default 2)
+//   TURN_RETRY_BASE_MS     first backoff delay, doubled on every retry (default 1000)
+//   TURN_TIMEOUT_MS        give up on a single provider call after this long (default 60000)
+//   BENCH_AFTER_FAILURES   consecutive failed turns before a model is benched (default 3)
+//   BENCH_TURNS            how many turns a benched model sits out (default 5)
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const RETRY_POLICY = {
+    maxRetries: numberFromEnv('TURN_MAX_RETRIES', 2),
+    baseDelayMs: numberFromEnv('TURN_RETRY_BASE_MS', 1000),
+    timeoutMs: numberFromEnv('TURN_TIMEOUT_MS', 60000),
+    benchAfterFailures: numberFromEnv('BENCH_AFTER_FAILURES', 3),
+    benchTurns: numberFromEnv('BENCH_TURNS', 5)
+};
+
+const RETRYABLE_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET']);
+
+// Rate limits, server errors and network trouble are worth retrying;
+// bad keys, bad requests and unknown models are not.
+function isRetryableError(error) {
+    const status = error.status || error.statusCode;
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    const code = error.code || (error.cause && error.cause.code);
+    if (RETRYABLE_CODES.has(code)) return true;
+
+    const errorType = `${error.name} ${error.constructor && error.constructor.name}`;
+    return /APIConnection(Timeout)?Error|TimeoutError|AbortError/.test(errorType)
+        || /timed? ?out|fetch failed|socket hang up|connection error/i.test(error.message || '');
+}
+
+// Exponential backoff with a little jitter so parallel runs do not retry in lockstep
+function backoffDelay(attempt, baseDelayMs = RETRY_POLICY.baseDelayMs) {
+    return baseDelayMs * 2 ** (attempt - 1) + Math.floor(Math.random() * baseDelayMs * 0.25);
+}
+
+function withTimeout(promise, timeoutMs = RETRY_POLICY.timeoutMs) {
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Provider call timed out after ${timeoutMs} ms`);
+            error.code = 'ETIMEDOUT';
+            reject(error);
+        }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    RETRY_POLICY,
+    isRetryableError,
+    backoffDelay,
+    withTimeout,
+    sleep
+};
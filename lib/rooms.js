@@ -0,0 +1,67 @@
+// lib/rooms.js
+//
+// Live shared rooms. Every stored session is a room: its link (/?room=<id>)
+// lets anyone watch it, and GET /sessions/:id/events keeps them up to date
+// with every turn, including those of runs started after they joined.
+// Sessions created through POST /runs or an import get an owner token,
+// returned once to the browser that created them. Only requests carrying it
+// (the X-Owner-Token header) may start, stop, pause, edit, branch or delete
+// the session; everyone else only watches. The session keeps a hash of the
+// token, never the token itself. Sessions without one (made by /chat, or
+// stored before rooms existed) are open to everyone, as they always were.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const OWNER_HEADER = 'X-Owner-Token';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A fresh owner token for a session: { token, hash }. Store the hash on the
+// session as ownerTokenHash and hand the token to the owner.
+function createOwnerToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, hash: hashToken(token) };
+}
+
+// Whether `token` (the request's X-Owner-Token header) owns the session
+function isOwner(session, token) {
+    if (!session.ownerTokenHash) return true;
+    if (typeof token !== 'string' || !token) return false;
+    const given = Buffer.from(hashToken(token), 'hex');
+    const expected = Buffer.from(session.ownerTokenHash, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Who is watching which room, and what rooms announce to their watchers:
+//   { type: 'run', run }   a run started on the session
+//   { type: 'changed' }    the session was edited, branched or switched
+//   { type: 'deleted' }    the session was deleted or reset
+function createRoomHub() {
+    const hub = new EventEmitter();
+    hub.setMaxListeners(0);
+
+    return {
+        // Call listener(announcement) for every announcement in the room;
+        // returns the function that stops watching.
+        watch(sessionId, listener) {
+            hub.on(sessionId, listener);
+            return () => hub.off(sessionId, listener);
+        },
+
+        announce(sessionId, announcement) {
+            hub.emit(sessionId, announcement);
+        },
+
+        viewers(sessionId) {
+            return hub.listenerCount(sessionId);
+        }
+    };
+}
+
+module.exports = {
+    OWNER_HEADER,
+    createOwnerToken,
+    isOwner,
+    createRoomHub
+};
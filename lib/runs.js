@@ -0,0 +1,314 @@
+// lib/runs.js
+//
+// Server-driven generation runs. A run owns a session and drives the model
+// rotation itself, so it keeps going when the browser tab that started it is
+// closed. Every completed turn is written through to the session store.
+// Progress is published on run.events for anyone attached to the run:
+//   'turn-start'  { modelName, provider, turn, strategy, failover }
+//                 (provider 'human': the run waits for submitHumanTurn())
+//   'race-start'  { turn, models, policy }: every model writes a candidate
+//   'race-choice' { turn, candidates }: the run waits for submitChoice()
+//   'delta'       { text }
+//   'turn-retry'  { modelName, provider, turn, attempt, delayMs, error }
+//   'turn-failed' failure record: the model gave up the turn
+//   'turn'        turn payload (same shape as a /chat reply)
+//   'status'      { status, error, stopReason }
+// A run ends at maxTurns, when its stop conditions hold (see lib/stop.js),
+// when it is cancelled or when a turn fails for good; what ended it is saved
+// on the session as stopReason. A run can be paused between turns: the turn
+// in flight finishes, then the session may be edited or branched (see
+// lib/branches.js) before the run is resumed on whatever its active branch
+// then holds. A run left paused for pausedRunTimeoutMs (PAUSED_RUN_TIMEOUT_MINUTES,
+// default 30) is cancelled, so it does not hold on to its models' keys forever.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createSession, addUserMessage, runTurn, sessionTurns, sessionMessages, publicModels, describeError } = require('./turns');
+const { DEFAULT_SCHEDULE } = require('./schedulers');
+const { DEFAULT_CONTEXT } = require('./context');
+const { checkStop, stopReason } = require('./stop');
+const { MAIN_BRANCH, listBranches } = require('./branches');
+const { DEFAULT_LANGUAGE } = require('./language');
+
+// Finished runs stay addressable by id for a while, then only their session remains.
+const FINISHED_RUN_RETENTION_MS = 10 * 60 * 1000;
+// Paused runs nobody resumes are cancelled after this long
+const PAUSED_RUN_TIMEOUT_MS = (Number(process.env.PAUSED_RUN_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+// Statuses of a run that may still produce turns
+const ACTIVE_STATUSES = ['running', 'paused'];
+
+function createRunManager({ store, templates, pausedRunTimeoutMs = PAUSED_RUN_TIMEOUT_MS }) {
+    const runs = new Map();
+
+    // Start a run. With `session` the run continues that stored session and
+    // adds maxTurns more turns to it; otherwise it starts a fresh one.
+    // `template` names the prompt template; an empty name goes back to the defaults.
+    // `mode` applies to new sessions; `message` is a follow-up for a chat session.
+    // `context` is the context policy of every turn (see lib/context.js);
+    // `stop` holds the conditions that end the run before maxTurns (lib/stop.js).
+    // `ownerTokenHash` makes a new session owned (see lib/rooms.js).
+    async function startRun({ models, prompt, tokensPerTurn, maxTurns, schedule = DEFAULT_SCHEDULE, context = DEFAULT_CONTEXT, stop = null, template, mode, language, message, stream = true, session, ownerTokenHash }) {
+        const id = crypto.randomUUID();
+        if (!session) {
+            session = createSession(prompt, { id, models, tokensPerTurn, template: template || undefined, mode, language });
+            if (ownerTokenHash) session.ownerTokenHash = ownerTokenHash;
+        } else {
+            // A paused run on this session is superseded by the new one
+            const paused = findRun(session.id);
+            if (paused) {
+                cancelRun(paused.id);
+                session = paused.session;
+            }
+            if (message !== undefined) {
+                addUserMessage(session, message);
+            }
+            if (template !== undefined) {
+                session.template = template || undefined;
+            }
+            // Remember any models joining the session so its turns stay attributable
+            const known = new Set(session.models.map(m => `${m.provider}:${m.modelName}`));
+            session.models.push(...publicModels(models).filter(m => !known.has(`${m.provider}:${m.modelName}`)));
+        }
+        session.stopReason = null;
+        await store.set(session.id, session);
+
+        const run = {
+            id,
+            status: 'running',
+            models,
+            tokensPerTurn,
+            maxTurns,
+            schedule,
+            context,
+            stop,
+            startTurn: session.currentTurn,
+            turnsDone: 0,
+            driving: false,
+            awaiting: null,
+            idleTimer: null,
+            stream,
+            session,
+            error: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            events: new EventEmitter()
+        };
+        runs.set(run.id, run);
+        console.log(`Run ${run.id} started on session ${session.id}: ${models.length} models, ${maxTurns} turns`);
+
+        driveRun(run);
+        return run;
+    }
+
+    function getRun(id) {
+        return runs.get(id);
+    }
+
+    // The unfinished (running or paused) run of a session, if any
+    function findRun(sessionId) {
+        return Array.from(runs.values()).find(run => ACTIVE_STATUSES.includes(run.status) && run.session.id === sessionId);
+    }
+
+    // A session is busy while a run drives it, including a paused run whose
+    // last turn is still in flight.
+    function isSessionBusy(sessionId) {
+        return Array.from(runs.values()).some(run => (run.status === 'running' || run.driving) && run.session.id === sessionId);
+    }
+
+    // `by` and `reason` say why in the session's stopReason (see lib/stop.js)
+    function cancelRun(id, { by = 'user', reason = 'Stopped by the user' } = {}) {
+        const run = runs.get(id);
+        if (run && ACTIVE_STATUSES.includes(run.status)) {
+            run.session.stopReason = stopReason(by, reason, run.session);
+            store.set(run.session.id, run.session).catch(error => console.error('Failed to save session:', error));
+            setStatus(run, 'cancelled');
+            if (run.awaiting) {
+                run.awaiting.reject(new Error('Run cancelled'));
+            }
+            console.log(`Run ${id} cancelled at turn ${run.session.currentTurn}`);
+        }
+        return run;
+    }
+
+    // Stop after the turn in flight; the run keeps its remaining turns.
+    function pauseRun(id) {
+        const run = runs.get(id);
+        if (run && run.status === 'running') {
+            setStatus(run, 'paused');
+            console.log(`Run ${id} paused at turn ${run.session.currentTurn}`);
+        }
+        return run;
+    }
+
+    function resumeRun(id) {
+        const run = runs.get(id);
+        if (run && run.status === 'paused') {
+            setStatus(run, 'running');
+            console.log(`Run ${id} resumed at turn ${run.session.currentTurn}`);
+            // A quick pause and resume may find the last turn still in flight
+            if (!run.driving) driveRun(run);
+        }
+        return run;
+    }
+
+    // What a run waiting for the user is waiting for: 'human' (the human
+    // participant's turn) or 'choice' (the winner of a race), or null.
+    function awaitedInput(run) {
+        return run.awaiting ? run.awaiting.kind : null;
+    }
+
+    function awaitInput(run, kind, info) {
+        return new Promise((resolve, reject) => {
+            run.awaiting = {
+                kind,
+                info,
+                resolve: (value) => { run.awaiting = null; resolve(value); },
+                reject: (error) => { run.awaiting = null; reject(error); }
+            };
+        });
+    }
+
+    // Hand the text of the human participant's turn to a run waiting for it;
+    // returns false when the run is not waiting for one.
+    function submitHumanTurn(id, text) {
+        const run = runs.get(id);
+        if (!run || awaitedInput(run) !== 'human') return false;
+        run.awaiting.resolve(text);
+        return true;
+    }
+
+    // Hand the index of the race candidate the user picked to a run waiting for it.
+    function submitChoice(id, index) {
+        const run = runs.get(id);
+        if (!run || awaitedInput(run) !== 'choice') return false;
+        run.awaiting.resolve(index);
+        return true;
+    }
+
+    function setStatus(run, status, error = null) {
+        run.status = status;
+        run.error = error;
+        run.updatedAt = new Date().toISOString();
+        run.events.emit('status', { status, error, stopReason: run.session.stopReason || null });
+
+        clearTimeout(run.idleTimer);
+        if (status === 'paused') {
+            run.idleTimer = setTimeout(() => cancelRun(run.id, { by: 'idle', reason: 'Left paused for too long' }), pausedRunTimeoutMs).unref();
+        }
+        if (!ACTIVE_STATUSES.includes(status)) {
+            setTimeout(() => runs.delete(run.id), FINISHED_RUN_RETENTION_MS).unref();
+        }
+    }
+
+    async function driveRun(run) {
+        const { session, models, tokensPerTurn, maxTurns, schedule, context, stop } = run;
+        run.driving = true;
+
+        try {
+            while (run.status === 'running' && run.turnsDone < maxTurns) {
+                const turn = await runTurn(session, models, tokensPerTurn, {
+                    schedule,
+                    context,
+                    templates,
+                    onStart: (info) => run.events.emit('turn-start', info),
+                    onDelta: run.stream ? (text) => run.events.emit('delta', { text }) : undefined,
+                    onRetry: (info) => run.events.emit('turn-retry', info),
+                    onFailure: (failure) => run.events.emit('turn-failed', failure),
+                    awaitHuman: (info) => awaitInput(run, 'human', info),
+                    onRaceStart: (info) => run.events.emit('race-start', info),
+                    awaitChoice: (info) => {
+                        run.events.emit('race-choice', info);
+                        return awaitInput(run, 'choice', info);
+                    }
+                });
+                await store.set(session.id, session);
+
+                run.turnsDone++;
+                run.updatedAt = new Date().toISOString();
+                run.events.emit('turn', turn);
+                if (run.status === 'cancelled') break;
+
+                const stopped = await checkStop(stop, session, models, turn, sessionTurns(session));
+                // The run may have been cancelled while a judge was asked
+                if (run.status === 'cancelled') break;
+                if (stopped || run.turnsDone >= maxTurns) {
+                    session.stopReason = stopped || stopReason('maxTurns', `Completed all ${maxTurns} turns`, session);
+                    await store.set(session.id, session);
+                }
+                if (stopped) {
+                    console.log(`Run ${run.id} ${stopped.reason.toLowerCase()} after turn ${session.currentTurn}`);
+                    // Conditions that hold end a paused run as well
+                    setStatus(run, 'completed');
+                    break;
+                }
+            }
+
+            if (run.status === 'running') {
+                setStatus(run, 'completed');
+            }
+        } catch (error) {
+            if (run.status === 'running') {
+                session.stopReason = stopReason('error', describeError(error).error, session);
+            }
+            // Keep the failures recorded during the last turn
+            await store.set(session.id, session).catch(storeError => console.error('Failed to save session:', storeError));
+            if (run.status === 'running') {
+                setStatus(run, 'failed', describeError(error).error);
+            }
+        } finally {
+            run.driving = false;
+        }
+    }
+
+    return {
+        startRun,
+        getRun,
+        findRun,
+        cancelRun,
+        pauseRun,
+        resumeRun,
+        awaitedInput,
+        submitHumanTurn,
+        submitChoice,
+        isSessionBusy
+    };
+}
+
+// Public view of a run; API keys never leave the server.
+function serializeRun(run, since = 0) {
+    return {
+        id: run.id,
+        sessionId: run.session.id,
+        mode: run.session.mode || 'continue',
+        language: run.session.language || DEFAULT_LANGUAGE,
+        status: run.status,
+        prompt: run.session.prompt,
+        models: run.session.models,
+        tokensPerTurn: run.tokensPerTurn,
+        maxTurns: run.maxTurns,
+        schedule: run.schedule,
+        context: run.context,
+        stop: run.stop,
+        stopReason: run.session.stopReason || null,
+        template: run.session.template || null,
+        startTurn: run.startTurn,
+        currentTurn: run.session.currentTurn,
+        fullContent: run.session.fullContent,
+        turns: sessionTurns(run.session).slice(since),
+        messages: sessionMessages(run.session),
+        failures: run.session.failures || [],
+        awaitingHuman: run.awaiting && run.awaiting.kind === 'human' ? run.awaiting.info : null,
+        awaitingChoice: run.awaiting && run.awaiting.kind === 'choice' ? run.awaiting.info : null,
+        activeBranch: run.session.activeBranch || MAIN_BRANCH,
+        branches: listBranches(run.session),
+        error: run.error,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt
+    };
+}
+
+module.exports = {
+    ACTIVE_STATUSES,
+    createRunManager,
+    serializeRun
+};
@@ -0,0 +1,66 @@
+// lib/sampling.js
+//
+// Sampling settings of one model in a rotation, sent as `sampling` on the
+// model entry:
+//   { temperature, topP, seed, stop }
+// Every field is optional. The catalog (config/models.json) lists which
+// fields each provider takes and what is sent when a field is left out;
+// resolveSampling() combines the two into the values a turn actually uses,
+// which adapters translate to their API's parameter names and which are
+// stored with the turn.
+
+const SAMPLING_FIELDS = ['temperature', 'topP', 'seed', 'stop'];
+
+// The smallest limit among the supported APIs (OpenAI takes four)
+const MAX_STOP_SEQUENCES = 4;
+
+const inRange = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+// Check the sampling settings of a model; returns an error message or null.
+// `supports` is the list of fields the model's provider takes.
+function validateSampling(sampling, supports = SAMPLING_FIELDS) {
+    if (sampling === undefined || sampling === null) return null;
+    if (typeof sampling !== 'object' || Array.isArray(sampling)) {
+        return 'sampling must be an object like { temperature, topP, seed, stop }';
+    }
+
+    const { temperature, topP, seed, stop } = sampling;
+    const unknown = Object.keys(sampling).find(field => !SAMPLING_FIELDS.includes(field));
+    if (unknown) {
+        return `Unknown sampling setting "${unknown}"; use ${SAMPLING_FIELDS.join(', ')}`;
+    }
+    const unsupported = Object.keys(sampling).find(field => sampling[field] !== undefined && !supports.includes(field));
+    if (unsupported) {
+        return `sampling.${unsupported} is not supported by this provider`;
+    }
+    if (temperature !== undefined && !inRange(temperature, 0, 2)) {
+        return 'sampling.temperature must be a number from 0 to 2';
+    }
+    if (topP !== undefined && !inRange(topP, 0, 1)) {
+        return 'sampling.topP must be a number from 0 to 1';
+    }
+    if (seed !== undefined && !Number.isSafeInteger(seed)) {
+        return 'sampling.seed must be an integer';
+    }
+    if (stop !== undefined && !(Array.isArray(stop) && stop.length <= MAX_STOP_SEQUENCES && stop.every(sequence => typeof sequence === 'string' && sequence))) {
+        return `sampling.stop must be a list of at most ${MAX_STOP_SEQUENCES} non-empty strings`;
+    }
+    return null;
+}
+
+// The settings a turn uses: the requested values over the provider's
+// defaults, keeping only the fields the provider takes.
+function resolveSampling(requested, { supports = [], defaults = {} } = {}) {
+    const merged = { ...defaults, ...(requested || {}) };
+    const sampling = {};
+    supports.forEach(field => {
+        if (merged[field] !== undefined) sampling[field] = merged[field];
+    });
+    return sampling;
+}
+
+module.exports = {
+    SAMPLING_FIELDS,
+    validateSampling,
+    resolveSampling
+};
@@ -0,0 +1,122 @@
+// lib/schedulers.js
+//
+// Turn-scheduling strategies: decide which of the selected models speaks on
+// the session's current turn. A schedule is { strategy, ...options }:
+//   round-robin  models in order (default)
+//   weighted     { weights: [2, 1, ...] } models speak in proportion to their weight
+//   random       { seed } seeded random pick each turn, reproducible per seed
+//   block        { blockSize } each model speaks blockSize turns in a row
+//   judge        { judge } the model at index `judge` picks who speaks next
+//   race         { policy, judge } every model writes a candidate and one is
+//                kept (see lib/race.js), so nobody is scheduled
+// Every strategy except judge is a pure function of the turn number, so a
+// continued or re-run session follows the same order.
+
+const { askJudge, pickNumber } = require('./judge');
+const { validateRace } = require('./race');
+const { seededRandom } = require('./random');
+const { logError } = require('./log');
+
+const DEFAULT_SCHEDULE = { strategy: 'round-robin' };
+
+// Smooth weighted round-robin: spreads heavier models through the cycle
+// instead of bunching their turns together.
+function weightedCycle(weights) {
+    const current = weights.map(() => 0);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const cycle = [];
+
+    for (let step = 0; step < total; step++) {
+        let best = 0;
+        weights.forEach((weight, index) => {
+            current[index] += weight;
+            if (current[index] > current[best]) best = index;
+        });
+        current[best] -= total;
+        cycle.push(best);
+    }
+    return cycle;
+}
+
+async function judgeNextWriter(session, models, judgeIndex) {
+    const writers = models.map((model, index) => `${index + 1}. ${model.displayName || model.modelName}`).join('\n');
+    const reply = await askJudge(models[judgeIndex], session, {
+        system: "You are moderating a collaborative writing session in which several writers take turns adding to the same text. Decide which writer should write the next part.",
+        question: `Writers:\n${writers}\n\nReply with only the number of the writer who should continue next.`
+    });
+    return pickNumber(reply, models.length, 'a writer');
+}
+
+const STRATEGIES = {
+    'round-robin': (session, models) => session.currentTurn % models.length,
+
+    'weighted': (session, models, { weights }) => {
+        const cycle = weightedCycle(weights);
+        return cycle[session.currentTurn % cycle.length];
+    },
+
+    'random': (session, models, { seed = 0 }) => {
+        const random = seededRandom(seed * 1000003 + session.currentTurn);
+        return Math.floor(random() * models.length);
+    },
+
+    'block': (session, models, { blockSize = 1 }) => Math.floor(session.currentTurn / blockSize) % models.length,
+
+    'judge': async (session, models, { judge = 0 }) => {
+        try {
+            return await judgeNextWriter(session, models, judge);
+        } catch (error) {
+            // A confused or failing judge should not stop the run
+            logError(`Judge failed on turn ${session.currentTurn}, falling back to round-robin:`, error.message);
+            return session.currentTurn % models.length;
+        }
+    }
+};
+
+// Check a schedule against the selected models; returns an error message or null.
+function validateSchedule(schedule, models) {
+    if (schedule === undefined) return null;
+    if (!schedule || typeof schedule !== 'object') {
+        return 'schedule must be an object';
+    }
+
+    const { strategy, weights, seed, blockSize, judge } = schedule;
+    if (strategy === 'race') {
+        return validateRace(schedule, models);
+    }
+    if (!STRATEGIES[strategy]) {
+        return `schedule.strategy must be one of ${[...Object.keys(STRATEGIES), 'race'].join(', ')}`;
+    }
+    if (strategy === 'weighted') {
+        if (!Array.isArray(weights) || weights.length !== models.length
+            || !weights.every(weight => Number.isInteger(weight) && weight >= 0)
+            || !weights.some(weight => weight > 0)) {
+            return 'schedule.weights must list one non-negative integer per model, with at least one above 0';
+        }
+    }
+    if (strategy === 'random' && seed !== undefined && !Number.isInteger(seed)) {
+        return 'schedule.seed must be an integer';
+    }
+    if (strategy === 'block' && (!Number.isInteger(blockSize) || blockSize <= 0)) {
+        return 'schedule.blockSize must be a positive integer';
+    }
+    if (strategy === 'judge' && (!Number.isInteger(judge) || judge < 0 || judge >= models.length)) {
+        return 'schedule.judge must be the index of one of the selected models';
+    }
+    if (strategy === 'judge' && models[judge].provider === 'human') {
+        return 'schedule.judge must be a model; the human participant cannot judge';
+    }
+    return null;
+}
+
+// Index of the model that speaks on the session's current turn.
+async function pickModelIndex(session, models, schedule = DEFAULT_SCHEDULE) {
+    return STRATEGIES[schedule.strategy](session, models, schedule);
+}
+
+module.exports = {
+    DEFAULT_SCHEDULE,
+    STRATEGIES,
+    validateSchedule,
+    pickModelIndex
+};
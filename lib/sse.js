@@ -0,0 +1,43 @@
+// lib/sse.js
+//
+// Minimal Server-Sent Events helpers shared by the streaming endpoint and the
+// providers that stream over SSE (Cloudflare, OpenAI-style HTTP APIs).
+
+function openEventStream(res) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+}
+
+function sendEvent(res, event, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Yield the `data:` payload of every event read from a fetch() response body.
+async function* readEventData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+            const data = rawEvent
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).replace(/^ /, ''))
+                .join('\n');
+            if (data) yield data;
+        }
+    }
+}
+
+module.exports = { openEventStream, sendEvent, readEventData };
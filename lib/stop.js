@@ -0,0 +1,186 @@
+// lib/stop.js
+//
+// Stop conditions of a run, checked after every turn. A run always ends at
+// maxTurns; `stop` can end it sooner:
+//   { combine: 'any' | 'all', conditions: [condition, ...] }
+// 'any' stops as soon as one condition holds, 'all' once every one does.
+// A condition is { type, ...options }:
+//   sentence    { minTokens }  the text ends a sentence and is at least minTokens long
+//   paragraph   { minTokens }  the last turn ended a paragraph (wrote a line
+//                              break) and the text is at least minTokens long
+//   phrase      { phrase }     the last turn wrote the phrase (ignoring case)
+//   characters  { limit }      the text is at least `limit` characters long
+//   tokens      { limit }      the text is at least `limit` tokens long
+//   repetition  { turns }      deduplication cut repeated phrases from each of
+//                              the last `turns` turns (default 1)
+//   judge       { judge }      the model at index `judge` says the piece is complete
+// The judge costs a call, so it is only asked when the other conditions
+// leave the outcome open; a judge that fails counts as "not complete".
+// Whatever ends a run is saved on the session as `stopReason`:
+//   { by: 'conditions' | 'maxTurns' | 'user' | 'idle' | 'error', reason, conditions, turn, stoppedAt }
+// where `conditions` lists the { type, reason } that held (for 'conditions').
+
+const { askJudge } = require('./judge');
+const { countTokens } = require('./tokens');
+const { SENTENCE_END } = require('./dedupe');
+const { logError } = require('./log');
+
+const STOP_CONDITIONS = ['sentence', 'paragraph', 'phrase', 'characters', 'tokens', 'repetition', 'judge'];
+const STOP_COMBINE = ['any', 'all'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+function validateCondition(condition, models) {
+    if (!condition || typeof condition !== 'object' || !STOP_CONDITIONS.includes(condition.type)) {
+        return `Every stop condition needs a type: one of ${STOP_CONDITIONS.join(', ')}`;
+    }
+    const { type, minTokens, phrase, limit, turns, judge } = condition;
+    if ((type === 'sentence' || type === 'paragraph') && minTokens !== undefined && !(Number.isInteger(minTokens) && minTokens >= 0)) {
+        return `stop condition "${type}": minTokens must be a whole number`;
+    }
+    if (type === 'phrase' && (typeof phrase !== 'string' || !phrase.trim())) {
+        return 'stop condition "phrase": phrase must be a non-empty string';
+    }
+    if ((type === 'characters' || type === 'tokens') && !isPositiveInteger(limit)) {
+        return `stop condition "${type}": limit must be a positive integer`;
+    }
+    if (type === 'repetition' && turns !== undefined && !isPositiveInteger(turns)) {
+        return 'stop condition "repetition": turns must be a positive integer';
+    }
+    if (type === 'judge' && (!Number.isInteger(judge) || judge < 0 || judge >= models.length)) {
+        return 'stop condition "judge": judge must be the index of one of the selected models';
+    }
+    if (type === 'judge' && models[judge].provider === 'human') {
+        return 'stop condition "judge": the human participant cannot judge; pick a model';
+    }
+    return null;
+}
+
+// Check the stop conditions of a run against its models; returns an error
+// message or null.
+function validateStop(stop, models) {
+    if (stop === undefined || stop === null) return null;
+    if (typeof stop !== 'object' || !Array.isArray(stop.conditions)) {
+        return 'stop must be an object like { combine, conditions: [...] }';
+    }
+    if (stop.combine !== undefined && !STOP_COMBINE.includes(stop.combine)) {
+        return `stop.combine must be one of ${STOP_COMBINE.join(', ')}`;
+    }
+    for (const condition of stop.conditions) {
+        const error = validateCondition(condition, models);
+        if (error) return error;
+    }
+    return null;
+}
+
+// The text the last turn added, with enough of what came before it to catch
+// a phrase written across the join
+function lastTurnText(session, turn, overlap) {
+    const text = session.fullContent;
+    return text.slice(Math.max(0, text.length - turn.reply.length - overlap));
+}
+
+// Whether a condition other than the judge holds. Returns its reason or null.
+function checkCondition(condition, session, turn, turns) {
+    const text = session.fullContent;
+    const minTokens = condition.minTokens || 0;
+
+    switch (condition.type) {
+        case 'sentence': {
+            const tokens = countTokens(text);
+            return SENTENCE_END.test(text) && tokens >= minTokens ? `the text ended a sentence at ${tokens} tokens` : null;
+        }
+        case 'paragraph': {
+            const tokens = countTokens(text);
+            return /\n/.test(turn.reply) && tokens >= minTokens ? `the text ended a paragraph at ${tokens} tokens` : null;
+        }
+        case 'phrase': {
+            const phrase = condition.phrase.toLowerCase();
+            return lastTurnText(session, turn, phrase.length - 1).toLowerCase().includes(phrase) ? `"${condition.phrase}" was written` : null;
+        }
+        case 'characters':
+            return text.length >= condition.limit ? `the text reached ${text.length} of ${condition.limit} characters` : null;
+        case 'tokens': {
+            const tokens = countTokens(text);
+            return tokens >= condition.limit ? `the text reached ${tokens} of ${condition.limit} tokens` : null;
+        }
+        case 'repetition': {
+            const count = condition.turns || 1;
+            const recent = turns.slice(-count);
+            const repeated = recent.length === count && recent.every(recentTurn => recentTurn.removed.some(({ type }) => type === 'repetition'));
+            return repeated ? `repetition was cut from ${count === 1 ? 'the last turn' : `each of the last ${count} turns`}` : null;
+        }
+        default:
+            return null;
+    }
+}
+
+async function judgeComplete(session, judge) {
+    const reply = await askJudge(judge, session, {
+        system: "You are judging a collaborative writing session. Several writers take turns adding to the same text; decide whether the piece is finished.",
+        question: "Is this piece complete, with nothing important left to write? Reply with only YES or NO."
+    });
+    return /\byes\b/i.test(reply);
+}
+
+// Ask the judge of a condition; a failing judge lets the run go on
+async function checkJudge(condition, session, models) {
+    const judge = models[condition.judge];
+    const name = judge.displayName || judge.modelName;
+    try {
+        return await judgeComplete(session, judge) ? `the judge (${name}) called the piece complete` : null;
+    } catch (error) {
+        logError(`Stop judge failed on turn ${session.currentTurn}, going on:`, error.message);
+        return null;
+    }
+}
+
+// Check a run's stop conditions after `turn` (the turn payload). `turns` are
+// the session's turns so far (sessionTurns()). Resolves to the stop reason
+// when the run should stop here, else null.
+async function checkStop(stop, session, models, turn, turns) {
+    if (!stop || !stop.conditions.length) return null;
+    const all = stop.combine === 'all';
+
+    const held = [];
+    const judges = [];
+    for (const condition of stop.conditions) {
+        if (condition.type === 'judge') {
+            judges.push(condition);
+            continue;
+        }
+        const reason = checkCondition(condition, session, turn, turns);
+        if (reason) {
+            held.push({ type: condition.type, reason });
+        } else if (all) {
+            return null;
+        }
+    }
+
+    if (all || !held.length) {
+        for (const condition of judges) {
+            const reason = await checkJudge(condition, session, models);
+            if (reason) {
+                held.push({ type: condition.type, reason });
+                if (!all) break;
+            } else if (all) {
+                return null;
+            }
+        }
+    }
+
+    if (!held.length) return null;
+    return stopReason('conditions', `Stopped: ${held.map(({ reason }) => reason).join(all ? ' and ' : '; ')}`, session, held);
+}
+
+function stopReason(by, reason, session, conditions = []) {
+    return { by, reason, conditions, turn: session.currentTurn, stoppedAt: new Date().toISOString() };
+}
+
+module.exports = {
+    STOP_CONDITIONS,
+    STOP_COMBINE,
+    validateStop,
+    checkStop,
+    stopReason
+};
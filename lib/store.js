@@ -0,0 +1,186 @@
+// lib/store.js
+//
+// Session storage. The store wraps a backend (in-memory Map or one JSON file
+// per session on disk) and enforces the retention policy on top of it:
+// sessions untouched for longer than ttlMs expire, and once more than
+// maxSessions exist the least recently updated ones are evicted.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const SESSION_ID_PATTERN = /^[\w-]{1,128}$/;
+
+function isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function createMemoryBackend() {
+    const sessions = new Map();
+    return {
+        async read(id) { return sessions.get(id); },
+        async has(id) { return sessions.has(id); },
+        async write(id, session) { sessions.set(id, session); },
+        async remove(id) { return sessions.delete(id); },
+        async readAll() { return Array.from(sessions.values()); }
+    };
+}
+
+function createFileBackend(dir) {
+    const fileFor = (id) => path.join(dir, `${id}.json`);
+    let ready = null;
+    const ensureDir = () => (ready = ready || fs.mkdir(dir, { recursive: true }));
+    // The last write of each session; the next one waits for it, so writes of
+    // one session land in the order they were made
+    const writes = new Map();
+
+    async function read(id) {
+        try {
+            return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    return {
+        read,
+        async has(id) {
+            try {
+                await fs.access(fileFor(id));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+        write(id, session) {
+            // Serialize now: the session may change before the write's turn comes
+            const json = JSON.stringify(session);
+            const previous = writes.get(id) || Promise.resolve();
+            const write = previous.catch(() => {}).then(async () => {
+                await ensureDir();
+                // Write to a temp file first so a crash never leaves half a session behind
+                const tmpFile = `${fileFor(id)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+                await fs.writeFile(tmpFile, json);
+                await fs.rename(tmpFile, fileFor(id));
+            });
+            writes.set(id, write);
+            write.finally(() => {
+                if (writes.get(id) === write) writes.delete(id);
+            }).catch(() => {});
+            return write;
+        },
+        async remove(id) {
+            try {
+                await fs.unlink(fileFor(id));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+        // A file that does not parse is logged and skipped, so one corrupt
+        // session does not break the listing and the sweeps
+        async readAll() {
+            await ensureDir();
+            const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+            const sessions = await Promise.all(files.map(file => read(path.basename(file, '.json')).catch(error => {
+                console.error(`Skipping unreadable session file ${file}:`, error.message);
+                return undefined;
+            })));
+            return sessions.filter(Boolean);
+        }
+    };
+}
+
+function createSessionStore({ backend = 'memory', dir, ttlMs = 0, maxSessions = 0 } = {}) {
+    const storage = backend === 'file' ? createFileBackend(dir) : createMemoryBackend();
+
+    const isExpired = (session) => ttlMs > 0 && Date.now() - Date.parse(session.updatedAt) > ttlMs;
+
+    function checkId(id) {
+        if (!isValidSessionId(id)) {
+            throw new Error(`Invalid session id: ${id}`);
+        }
+    }
+
+    // Drop expired sessions and return the rest, most recently updated first.
+    async function sweep() {
+        const live = [];
+        for (const session of await storage.readAll()) {
+            if (isExpired(session)) {
+                await storage.remove(session.id);
+                console.log(`Session ${session.id} expired`);
+            } else {
+                live.push(session);
+            }
+        }
+        return live.sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    }
+
+    async function enforceLimit() {
+        if (maxSessions <= 0) return;
+        const live = await sweep();
+        for (const session of live.slice(maxSessions)) {
+            await storage.remove(session.id);
+            console.log(`Session ${session.id} evicted (more than ${maxSessions} sessions stored)`);
+        }
+    }
+
+    async function get(id) {
+        checkId(id);
+        const session = await storage.read(id);
+        if (session && isExpired(session)) {
+            await storage.remove(id);
+            return undefined;
+        }
+        return session;
+    }
+
+    return {
+        get,
+
+        async has(id) {
+            return Boolean(await get(id));
+        },
+
+        async set(id, session) {
+            checkId(id);
+            const isNew = !(await storage.has(id));
+            session.updatedAt = new Date().toISOString();
+            await storage.write(id, session);
+            if (isNew) await enforceLimit();
+        },
+
+        async delete(id) {
+            checkId(id);
+            return storage.remove(id);
+        },
+
+        list: sweep,
+        sweep
+    };
+}
+
+// Build the store configured through environment variables:
+//   SESSION_STORE       memory | file (default file)
+//   SESSION_DIR         directory for the file backend (default .data/sessions)
+//   SESSION_TTL_HOURS   expire sessions idle for this long (default 168, 0 = never)
+//   SESSION_MAX_COUNT   keep at most this many sessions (default 200, 0 = no limit)
+function sessionStoreFromEnv(env = process.env) {
+    const ttlHours = env.SESSION_TTL_HOURS !== undefined ? Number(env.SESSION_TTL_HOURS) : 168;
+    const maxSessions = env.SESSION_MAX_COUNT !== undefined ? Number(env.SESSION_MAX_COUNT) : 200;
+
+    return createSessionStore({
+        backend: env.SESSION_STORE || 'file',
+        dir: env.SESSION_DIR || path.join(__dirname, '..', '.data', 'sessions'),
+        ttlMs: ttlHours * 60 * 60 * 1000,
+        maxSessions
+    });
+}
+
+module.exports = {
+    createSessionStore,
+    sessionStoreFromEnv,
+    isValidSessionId
+};
@@ -0,0 +1,207 @@
+// lib/templates.js
+//
+// Prompt templates. A template is { mode, description, system, user }; the
+// system and user texts may use these variables:
+//   {{content}}        the shared text so far
+//   {{tokensPerTurn}}  the turn's token budget
+//   {{prompt}}         the session's initial prompt
+//   {{model}}          display name of the model that is speaking
+//   {{question}}       chat mode: the user's latest message
+//   {{reply}}          chat mode: the assistant reply written so far
+// In chat mode the conversation so far goes between the system and user
+// messages as role-tagged history.
+// Built-in templates come from config/prompt-templates.json, which also
+// names the default template of each mode and per-family overrides:
+//   "families": [{ "provider": "gemini", "modelPrefix": "gemini-2.5", "templates": { "continue": "..." } }]
+// (modelPrefix is optional; the most specific matching rule wins).
+// Templates created in the UI are kept in a separate JSON file and can be
+// edited or deleted by whoever created them: like sessions (lib/rooms.js),
+// a new template gets an owner token, of which only the hash is stored.
+// Templates saved before that are open to everyone; built-in templates are
+// read-only.
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+const TEMPLATE_NAME_PATTERN = /^[\w-]{1,64}$/;
+const TEMPLATE_VARIABLES = ['content', 'tokensPerTurn', 'prompt', 'model', 'question', 'reply'];
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_MODE = 'continue';
+
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw new Error(`Cannot read prompt templates from ${file}: ${error.message}`);
+    }
+}
+
+// Check a template before it is saved; returns an error message or null.
+function validateTemplate(name, template, modes) {
+    if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+        return 'Template name must be 1-64 letters, digits, "_" or "-"';
+    }
+    if (!template || typeof template !== 'object') {
+        return 'Template must be an object';
+    }
+    if (!modes.includes(template.mode)) {
+        return `mode must be one of ${modes.join(', ')}`;
+    }
+    if (template.system !== undefined && typeof template.system !== 'string') {
+        return 'system must be a string';
+    }
+    if (typeof template.user !== 'string' || !template.user.trim()) {
+        return 'user must be a non-empty string';
+    }
+    for (const text of [template.system || '', template.user]) {
+        for (const [, variable] of text.matchAll(VARIABLE_PATTERN)) {
+            if (!TEMPLATE_VARIABLES.includes(variable)) {
+                return `Unknown variable {{${variable}}} (expected one of ${TEMPLATE_VARIABLES.map(v => `{{${v}}}`).join(', ')})`;
+            }
+        }
+    }
+    return null;
+}
+
+function fill(text, variables) {
+    return text.replace(VARIABLE_PATTERN, (match, variable) =>
+        variables[variable] === undefined ? match : String(variables[variable]));
+}
+
+// Chat messages for a template, with `history` (role-tagged messages) between
+// the system and user messages; templates without a system text send none.
+function renderTemplate(template, variables, history = []) {
+    const messages = [];
+    if (template.system) {
+        messages.push({ role: "system", content: fill(template.system, variables) });
+    }
+    messages.push(...history);
+    messages.push({ role: "user", content: fill(template.user, variables) });
+    return messages;
+}
+
+function createTemplateStore({ configFile, customFile } = {}) {
+    const config = readJson(configFile, null);
+    if (!config || !config.templates || !config.modes) {
+        throw new Error(`${configFile} must define "templates" and "modes"`);
+    }
+    const builtIn = config.templates;
+    const families = config.families || [];
+    const custom = customFile ? readJson(customFile, {}) : {};
+
+    const modes = () => Object.keys(config.modes);
+
+    function get(name) {
+        if (builtIn[name]) return { name, ...builtIn[name], builtIn: true };
+        if (custom[name]) {
+            const { ownerTokenHash, ...template } = custom[name];
+            return { name, ...template, builtIn: false, owned: Boolean(ownerTokenHash) };
+        }
+        return undefined;
+    }
+
+    // The family rule for a model: provider must match, and among matching
+    // rules the one with the longest modelPrefix wins.
+    function familyTemplate(model, mode) {
+        let best = null;
+        families.forEach(rule => {
+            if (rule.provider !== model.provider || !rule.templates || !rule.templates[mode]) return;
+            const prefix = rule.modelPrefix || '';
+            if (!(model.modelName || '').startsWith(prefix)) return;
+            if (!best || prefix.length > (best.modelPrefix || '').length) best = rule;
+        });
+        return best && best.templates[mode];
+    }
+
+    // Pick the template for a turn: the one chosen for the session if it
+    // exists in this mode, else the model family's override, else the mode default.
+    function resolve({ mode = DEFAULT_MODE, model, name }) {
+        const chosen = name && get(name);
+        if (chosen && chosen.mode === mode) return chosen;
+        return get(familyTemplate(model, mode)) || get(config.modes[mode]);
+    }
+
+    async function writeCustom() {
+        await fsPromises.mkdir(path.dirname(customFile), { recursive: true });
+        // Write to a temp file first so a crash never leaves half a file behind
+        const tmpFile = `${customFile}.${process.pid}.tmp`;
+        await fsPromises.writeFile(tmpFile, JSON.stringify(custom, null, 2));
+        await fsPromises.rename(tmpFile, customFile);
+    }
+
+    return {
+        get,
+        resolve,
+
+        validate(name, template) {
+            if (builtIn[name]) {
+                return `"${name}" is a built-in template; save your changes under a new name`;
+            }
+            return validateTemplate(name, template, modes());
+        },
+
+        list() {
+            return [...Object.keys(builtIn), ...Object.keys(custom)].map(get);
+        },
+
+        // Modes with their default template, and the family overrides, for display
+        describe() {
+            return { modes: config.modes, families, variables: TEMPLATE_VARIABLES };
+        },
+
+        // The owner token hash of a custom template, in the shape isOwner()
+        // (lib/rooms.js) checks: { ownerTokenHash }
+        ownership(name) {
+            return { ownerTokenHash: custom[name] ? custom[name].ownerTokenHash : undefined };
+        },
+
+        // Create or replace a custom template; call validate() first. A new
+        // template stores ownerTokenHash; a replaced one keeps its owner.
+        async save(name, { mode, description = '', system = '', user }, { ownerTokenHash } = {}) {
+            if (!customFile) throw new Error('Custom templates are not enabled');
+            const owner = custom[name] ? custom[name].ownerTokenHash : ownerTokenHash;
+            custom[name] = { mode, description, system, user, ...(owner ? { ownerTokenHash: owner } : {}) };
+            await writeCustom();
+            return get(name);
+        },
+
+        async remove(name) {
+            if (!custom[name]) return false;
+            delete custom[name];
+            await writeCustom();
+            return true;
+        }
+    };
+}
+
+const BUILT_IN_TEMPLATES_FILE = path.join(__dirname, '..', 'config', 'prompt-templates.json');
+
+// Build the template store configured through environment variables:
+//   PROMPT_TEMPLATES_FILE   built-in templates (default config/prompt-templates.json)
+//   CUSTOM_TEMPLATES_FILE   templates saved from the UI (default .data/prompt-templates.json)
+function templateStoreFromEnv(env = process.env) {
+    return createTemplateStore({
+        configFile: env.PROMPT_TEMPLATES_FILE || BUILT_IN_TEMPLATES_FILE,
+        customFile: env.CUSTOM_TEMPLATES_FILE || path.join(__dirname, '..', '.data', 'prompt-templates.json')
+    });
+}
+
+let builtInStore = null;
+
+// Read-only store of the built-in templates, for callers that were not given one.
+function builtInTemplates() {
+    builtInStore = builtInStore || createTemplateStore({ configFile: BUILT_IN_TEMPLATES_FILE });
+    return builtInStore;
+}
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    DEFAULT_MODE,
+    renderTemplate,
+    createTemplateStore,
+    templateStoreFromEnv,
+    builtInTemplates
+};
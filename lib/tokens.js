@@ -0,0 +1,76 @@
+// lib/tokens.js
+//
+// Token counting and budgeting. Providers count tokens with their own
+// tokenizers, so the budget is enforced with one bundled tokenizer (the
+// GPT-4o family's o200k encoding) for every model: whatever a model
+// returns, the kept text is never longer than tokensPerTurn by this count.
+
+const { encode, decode } = require('gpt-tokenizer');
+
+// Prompts and model output are plain text; never treat "<|endoftext|>" and
+// friends as control tokens.
+const ENCODE_OPTIONS = { disallowedSpecial: new Set() };
+
+// Total tokens one run may generate: tokensPerTurn × maxTurns must stay within it.
+const MAX_TOTAL_TOKENS = Number(process.env.MAX_TOTAL_TOKENS) || 5000;
+
+function countTokens(text) {
+    return text ? encode(text, ENCODE_OPTIONS).length : 0;
+}
+
+// Cut text down to at most maxTokens tokens.
+function truncateToTokens(text, maxTokens) {
+    const tokens = encode(text || '', ENCODE_OPTIONS);
+    if (tokens.length <= maxTokens) {
+        return { text, truncated: false };
+    }
+    // A cut through a multi-byte character decodes to U+FFFD; drop the fragment
+    return { text: decode(tokens.slice(0, maxTokens)).replace(/\uFFFD+$/, ''), truncated: true };
+}
+
+// Keep only the last maxTokens tokens of text.
+function lastTokens(text, maxTokens) {
+    const tokens = encode(text || '', ENCODE_OPTIONS);
+    if (tokens.length <= maxTokens) {
+        return { text: text || '', truncated: false };
+    }
+    // Same as truncateToTokens, at the other end
+    return { text: maxTokens > 0 ? decode(tokens.slice(-maxTokens)).replace(/^\uFFFD+/, '') : '', truncated: true };
+}
+
+// The end of `text` for which buildMessages(text) fits within contextTokens
+// with replyTokens to spare. Without a known context length the whole text
+// is kept.
+function fitTextToContext(text, buildMessages, { contextTokens = null, replyTokens = 0 } = {}) {
+    if (!contextTokens) return text;
+    const overBudget = (candidate) => countRequestTokens({ messages: buildMessages(candidate) }) + replyTokens - contextTokens;
+
+    // Token counts do not add up exactly across the quote; a few passes settle it
+    let fitted = text;
+    for (let attempt = 0; attempt < 3 && overBudget(fitted) > 0 && fitted; attempt++) {
+        fitted = lastTokens(fitted, Math.max(0, countTokens(fitted) - overBudget(fitted))).text;
+    }
+    return fitted;
+}
+
+// Approximate prompt size of a provider request when the provider does not report it.
+function countRequestTokens(request) {
+    if (!request) return 0;
+    if (Array.isArray(request.messages)) {
+        return request.messages.reduce((sum, message) => sum + countTokens(message.content), 0);
+    }
+    if (Array.isArray(request.contents)) { // Gemini
+        return request.contents.reduce((sum, content) =>
+            sum + content.parts.reduce((partSum, part) => partSum + countTokens(part.text), 0), countTokens(request.systemInstruction));
+    }
+    return countTokens(request.input || ''); // Cloudflare gpt-oss
+}
+
+module.exports = {
+    MAX_TOTAL_TOKENS,
+    countTokens,
+    truncateToTokens,
+    lastTokens,
+    fitTextToContext,
+    countRequestTokens
+};
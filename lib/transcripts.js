@@ -0,0 +1,274 @@
+// lib/transcripts.js
+//
+// Session transcripts with per-turn model attribution. JSONL is the
+// round-trippable format: the first record holds the prompt (role "user"),
+// the session mode and language, then one record per turn:
+//   {"role":"assistant","turn":0,"model":"...","provider":"...","strategy":"...","text":"...","timestamp":"..."}
+// Chat sessions also have a "user" record for every follow-up message, in
+// conversation order. Model turns carry "sampling", the settings they were
+// generated with (see lib/sampling.js). Turns picked from a race also carry
+// "race": the policy, the reason and every candidate (see lib/race.js).
+// Markdown, HTML and CSV are export-only views of the same records.
+
+const crypto = require('crypto');
+const { createSession, addUserMessage, recordTurn } = require('./turns');
+const { DEFAULT_LANGUAGE, validateLanguage, joinSeparator } = require('./language');
+const { validateSampling } = require('./sampling');
+
+// Author colours, matching the .model-* classes in style.css
+const PROVIDER_COLORS = {
+    openai: '#10b981',
+    perplexity: '#3b82f6',
+    deepseek: '#8b5cf6',
+    gemini: '#f59e0b',
+    cloudflare: '#f48024',
+    'openai-compatible': '#0d9488'
+};
+
+function transcriptRecords(session) {
+    const records = [{
+        role: 'user',
+        mode: session.mode || 'continue',
+        language: session.language || DEFAULT_LANGUAGE,
+        turn: null,
+        model: null,
+        provider: null,
+        strategy: null,
+        text: session.prompt,
+        timestamp: session.createdAt
+    }];
+
+    // Skip the system message and the prompt, which the first record holds
+    const messages = session.conversationHistory.filter(message => message.role !== 'system').slice(1);
+    messages.forEach(message => records.push(message.role === 'user' ? {
+        role: 'user',
+        turn: message.turn,
+        model: null,
+        provider: null,
+        strategy: null,
+        text: message.content,
+        timestamp: message.createdAt || null
+    } : {
+        role: 'assistant',
+        turn: message.turn,
+        model: message.model,
+        provider: message.provider,
+        strategy: message.strategy || null,
+        text: message.content,
+        timestamp: message.createdAt || null,
+        ...(message.sampling ? { sampling: message.sampling } : {}),
+        ...(message.race ? { race: message.race } : {})
+    }));
+
+    return records;
+}
+
+function toJsonl(session) {
+    return transcriptRecords(session).map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+function toMarkdown(session) {
+    const lines = [`# Session ${session.id}`, '', `**Prompt:** ${session.prompt}`, ''];
+
+    transcriptRecords(session).slice(1).forEach(record => {
+        if (record.role === 'user') {
+            lines.push(`**User:** ${record.text}`, '');
+        } else {
+            lines.push(`**Turn ${record.turn + 1} · ${record.model}** (${record.provider})`, '', record.text, '');
+        }
+    });
+
+    lines.push('## Full text', '', session.fullContent, '');
+    return lines.join('\n');
+}
+
+const escapeHtml = (text) => String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function toHtml(session) {
+    const [promptRecord, ...records] = transcriptRecords(session);
+
+    // Follow-up messages of a chat session start a new paragraph. Spans are
+    // separated the way the session joins turns (no space in Chinese, say).
+    const paragraphs = [[{ text: promptRecord.text, html: `<span class="prompt">${escapeHtml(promptRecord.text)}</span>` }]];
+    records.forEach(record => {
+        if (record.role === 'user') {
+            paragraphs.push([{ text: record.text, html: `<span class="prompt">${escapeHtml(record.text)}</span>` }]);
+            return;
+        }
+        const color = PROVIDER_COLORS[record.provider] || '#4a5568';
+        const title = `Turn ${record.turn + 1} · ${record.model} (${record.provider})`;
+        paragraphs[paragraphs.length - 1].push({ text: record.text, html: `<span class="turn" style="border-bottom: 2px solid ${color};" title="${escapeHtml(title)}">${escapeHtml(record.text)}</span>` });
+    });
+    const joinSpans = (spans) => spans.map((span, index) =>
+        (index ? joinSeparator(spans[index - 1].text, span.text, promptRecord.language) : '') + span.html).join('');
+
+    const legend = session.models.map(model => {
+        const color = PROVIDER_COLORS[model.provider] || '#4a5568';
+        return `<li><span class="swatch" style="background: ${color};"></span>${escapeHtml(model.displayName || model.modelName)}</li>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(promptRecord.language === DEFAULT_LANGUAGE ? 'en' : promptRecord.language)}">
+<head>
+<meta charset="UTF-8">
+<title>Session ${escapeHtml(session.id)}</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; max-width: 800px; margin: 40px auto; line-height: 1.7; color: #333; }
+    .prompt { color: #666; }
+    .turn { padding: 0 1px; }
+    .legend { list-style: none; padding: 0; font-family: sans-serif; font-size: 0.9rem; }
+    .legend li { display: inline-block; margin-right: 16px; }
+    .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; }
+</style>
+</head>
+<body>
+<h1>Session ${escapeHtml(session.id)}</h1>
+<ul class="legend">${legend.join('')}</ul>
+${paragraphs.map(spans => `<p>${joinSpans(spans)}</p>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+function toCsv(session) {
+    const quote = (value) => {
+        const text = value == null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = ['role', 'mode', 'language', 'turn', 'model', 'provider', 'strategy', 'sampling', 'text', 'timestamp'];
+    const cell = (record, field) => field === 'sampling' && record.sampling ? JSON.stringify(record.sampling) : record[field];
+    const rows = transcriptRecords(session).map(record => header.map(field => quote(cell(record, field))).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+const EXPORT_FORMATS = {
+    jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl', render: toJsonl },
+    md: { contentType: 'text/markdown', extension: 'md', render: toMarkdown },
+    html: { contentType: 'text/html', extension: 'html', render: toHtml },
+    csv: { contentType: 'text/csv', extension: 'csv', render: toCsv }
+};
+
+function exportSession(session, format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unsupported export format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    return {
+        contentType: exporter.contentType,
+        filename: `session-${session.id}.${exporter.extension}`,
+        body: exporter.render(session)
+    };
+}
+
+const isName = (value) => typeof value === 'string' && value.length > 0;
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Check the shape of an imported turn record before it is stored, since
+// analytics and the exports read its fields; returns an error message or null.
+function validateTurnRecord(record) {
+    if (typeof record.text !== 'string' || !isName(record.model) || !isName(record.provider)) {
+        return 'needs text, model and provider strings';
+    }
+    if (record.strategy != null && typeof record.strategy !== 'string') {
+        return 'strategy must be a string';
+    }
+    if (record.sampling != null) {
+        const samplingError = validateSampling(record.sampling);
+        if (samplingError) return samplingError;
+    }
+    if (record.race != null) {
+        if (!isObject(record.race) || !Array.isArray(record.race.candidates)) {
+            return 'race must be an object with a candidates list';
+        }
+        const valid = (candidate) => isObject(candidate) && typeof candidate.text === 'string' && isName(candidate.modelName) && isName(candidate.provider);
+        if (!record.race.candidates.every(valid)) {
+            return 'every race candidate needs text, modelName and provider strings';
+        }
+    }
+    return null;
+}
+
+// Rebuild a session from a JSONL transcript. Throws with the offending line
+// number when the transcript is malformed.
+function importSession(jsonl) {
+    const records = [];
+    jsonl.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Line ${index + 1} is not valid JSON`);
+        }
+        if (!isObject(record)) {
+            throw new Error(`Line ${index + 1} is not a JSON object`);
+        }
+        records.push(record);
+    });
+
+    const promptIndex = records.findIndex(record => record.role === 'user');
+    const promptRecord = records[promptIndex];
+    if (!promptRecord || typeof promptRecord.text !== 'string') {
+        throw new Error('Transcript has no prompt record (role "user")');
+    }
+
+    // Turns and follow-ups are replayed in file order, which is conversation order
+    const rest = records.slice(promptIndex + 1).filter(record => record.role === 'assistant' || record.role === 'user');
+    const mode = promptRecord.mode === 'chat' ? 'chat' : 'continue';
+    const language = promptRecord.language || DEFAULT_LANGUAGE;
+    const languageError = validateLanguage(language);
+    if (languageError) {
+        throw new Error(`Prompt record: ${languageError}`);
+    }
+
+    const models = [];
+    rest.forEach((record, index) => {
+        if (record.role === 'user') {
+            if (mode !== 'chat' || typeof record.text !== 'string') {
+                throw new Error(`Record ${index + 2} is a follow-up message, which only chat transcripts can have`);
+            }
+            return;
+        }
+        const recordError = validateTurnRecord(record);
+        if (recordError) {
+            throw new Error(`Record ${index + 2}: ${recordError}`);
+        }
+        if (!models.some(model => model.modelName === record.model && model.provider === record.provider)) {
+            models.push({ modelName: record.model, provider: record.provider, displayName: record.model });
+        }
+    });
+
+    const session = createSession(promptRecord.text, { id: crypto.randomUUID(), models, mode, language });
+    if (promptRecord.timestamp) {
+        session.createdAt = promptRecord.timestamp;
+    }
+    rest.forEach(record => {
+        if (record.role === 'user') {
+            addUserMessage(session, record.text, { createdAt: record.timestamp || undefined });
+            return;
+        }
+        recordTurn(session, record.text, {
+            modelName: record.model,
+            provider: record.provider,
+            strategy: record.strategy || undefined,
+            race: record.race || undefined,
+            sampling: record.sampling || undefined,
+            createdAt: record.timestamp || undefined
+        });
+    });
+
+    return session;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    transcriptRecords,
+    exportSession,
+    importSession
+};
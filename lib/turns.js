@@ -0,0 +1,672 @@
+// lib/turns.js
+//
+// Turn logic shared by the /chat endpoints and server-driven runs: pick the
+// model for the turn, call its provider, clean the output and record it.
+
+const { generate, generateStream } = require('./providers');
+const { DEFAULT_SCHEDULE, pickModelIndex } = require('./schedulers');
+const { RETRY_POLICY, isRetryableError, backoffDelay, withTimeout, sleep } = require('./retry');
+const { countTokens, truncateToTokens, countRequestTokens } = require('./tokens');
+const { dedupeResponse } = require('./dedupe');
+const { DEFAULT_LANGUAGE, joinSeparator } = require('./language');
+const { builtInTemplates } = require('./templates');
+const { selectCandidate } = require('./race');
+const { defaultPriceTable } = require('./pricing');
+const { defaultCatalog } = require('./catalog');
+const { DEFAULT_CONTEXT, refreshSummary, renderContext } = require('./context');
+const { loggedText, log, logError } = require('./log');
+
+// continue: every model continues one shared text.
+// chat: the models write one assistant reply together; the user can then
+// send a follow-up and the conversation goes on with role-tagged history.
+const SESSION_MODES = ['continue', 'chat'];
+
+// Provider name of turns written by a person rather than a model: the human
+// participant of a run's rotation, and text injected while a run is paused.
+const HUMAN_PROVIDER = 'human';
+
+const SYSTEM_MESSAGES = {
+    continue: "Your task is to continue the following piece of writing (you must only output the added content, and must not include this input prompt in the output). Do not repeat any existing text - only add new content to continue.",
+    chat: "Several models take turns writing one assistant reply to the user, a few tokens at a time."
+};
+
+// Raised when a turn fails; carries the model it failed on for error payloads.
+class TurnError extends Error {
+    constructor(message, { modelName, provider }) {
+        super(message);
+        this.name = 'TurnError';
+        this.modelName = modelName;
+        this.provider = provider;
+    }
+}
+
+// Model entries as they may be stored or shown; API keys never leave the server.
+function publicModels(models) {
+    return models.map(({ modelName, provider, displayName, sampling }) => ({ modelName, provider, displayName, ...(sampling ? { sampling } : {}) }));
+}
+
+function createSession(prompt, { id, models = [], tokensPerTurn, template, mode = 'continue', language = DEFAULT_LANGUAGE } = {}) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        mode,
+        language,
+        prompt,
+        models: publicModels(models),
+        tokensPerTurn,
+        template,
+        createdAt: now,
+        updatedAt: now,
+        currentTurn: 0,
+        fullContent: prompt,
+        failures: [],
+        modelHealth: {},
+        conversationHistory: [
+            { role: "system", content: SYSTEM_MESSAGES[mode] },
+            { role: "user", content: prompt, turn: 0, createdAt: now }
+        ]
+    };
+}
+
+const sessionMode = (session) => session.mode || 'continue';
+const sessionLanguage = (session) => session.language || DEFAULT_LANGUAGE;
+
+// Append a turn to `text` with the separator the session's language calls for
+const appendTurn = (session, text, turnText) => text + joinSeparator(text, turnText, sessionLanguage(session)) + turnText;
+
+// Chat mode: the assistant reply being written since the last user message,
+// i.e. the turns recorded after it, joined the way recordTurn joins them.
+function currentReply(session) {
+    const history = session.conversationHistory;
+    const parts = [];
+    for (let i = history.length - 1; i >= 0 && history[i].role === 'assistant'; i--) {
+        parts.unshift(history[i].content);
+    }
+    return parts.reduce((reply, part, index) => index ? appendTurn(session, reply, part) : part, '');
+}
+
+// Chat mode: the conversation as role-tagged messages for the providers.
+// Consecutive turns merge into one assistant message; the reply still being
+// written is left out (templates get it as {{reply}}).
+function chatHistory(session) {
+    const messages = [];
+    session.conversationHistory.forEach(entry => {
+        const last = messages[messages.length - 1];
+        if (entry.role === 'user') {
+            messages.push({ role: "user", content: entry.content });
+        } else if (entry.role === 'assistant' && last && last.role === 'assistant') {
+            last.content = appendTurn(session, last.content, entry.content);
+        } else if (entry.role === 'assistant') {
+            messages.push({ role: "assistant", content: entry.content });
+        }
+    });
+    if (messages.length && messages[messages.length - 1].role === 'assistant') {
+        messages.pop();
+    }
+    return messages;
+}
+
+function latestUserMessage(session) {
+    const users = session.conversationHistory.filter(entry => entry.role === 'user');
+    return users.length ? users[users.length - 1].content : session.prompt;
+}
+
+// Chat mode: append a follow-up from the user; the next turns write the answer.
+function addUserMessage(session, content, { createdAt = new Date().toISOString() } = {}) {
+    session.fullContent += '\n\n' + content;
+    session.conversationHistory.push({ role: "user", content, turn: session.currentTurn, createdAt });
+    log(`Session ${session.id} - user follow-up before turn ${session.currentTurn}: ${loggedText(content)}`);
+}
+
+// Follow-up messages of a chat session (the initial prompt is session.prompt).
+function sessionMessages(session) {
+    return session.conversationHistory
+        .filter(message => message.role === 'user')
+        .slice(1)
+        .map(({ content, turn, createdAt }) => ({ content, turn, createdAt }));
+}
+
+// Clean up response to avoid repetition (see lib/dedupe.js). Returns
+// { text, removed } with every removed span, for the turn payload.
+// Note: No trimming to preserve the exact LLM output format
+function cleanResponse(session, response) {
+    // In chat mode only the reply being written is continued, not the whole conversation
+    const existing = sessionMode(session) === 'chat' ? currentReply(session) : session.fullContent;
+    const { text, removed } = dedupeResponse(existing, response, { language: sessionLanguage(session) });
+
+    removed.forEach(({ type, text: span }) => log(`Removed ${type}: ${loggedText(span)}`));
+
+    // If response is still extremely short after cleanup, just log it
+    // but do not replace it with a placeholder marker.
+    if (!text || text.trim().length < 2) {
+        log(`Response too short after cleanup: ${loggedText(text)}`);
+    }
+
+    return { text, removed };
+}
+
+// Build the provider context for the model speaking this turn, with the
+// prompt rendered from the session's template (or the model family's default)
+// and cut to the context policy and the model's context length (lib/context.js).
+// `context` in the result reports how much was sent.
+function prepareTurn(session, model, tokensPerTurn, templates = builtInTemplates(), context = DEFAULT_CONTEXT) {
+    const { modelName, apiKey, provider, baseURL, sampling } = model;
+    const mode = sessionMode(session);
+    const template = templates.resolve({ mode, model, name: session.template });
+    const chat = mode === 'chat';
+    const traits = defaultCatalog().traits({ provider, modelName });
+
+    const rendered = renderContext(session, template, {
+        tokensPerTurn,
+        prompt: session.prompt,
+        model: model.displayName || modelName,
+        reply: chat ? currentReply(session) : '',
+        question: chat ? latestUserMessage(session) : session.prompt
+    }, chat ? chatHistory(session) : [], { context, tokensPerTurn, contextTokens: traits.contextTokens });
+
+    log(`Turn ${session.currentTurn}, using model: ${modelName} (${provider}), template: ${template.name}`);
+    log(`Creating context for turn ${session.currentTurn}: story length = ${session.fullContent.length} chars, ${rendered.context.promptTokens} prompt tokens (${rendered.context.policy})`);
+
+    return {
+        provider,
+        template: template.name,
+        context: rendered.context,
+        ctx: {
+            modelName,
+            apiKey,
+            baseURL,
+            fullContent: session.fullContent,
+            tokensPerTurn,
+            sampling,
+            traits,
+            messages: rendered.messages
+        }
+    };
+}
+
+// Token usage of one turn. Provider-reported counts are used when available,
+// otherwise both sides are counted with the bundled tokenizer.
+//   { promptTokens, completionTokens, keptTokens, source: 'provider'|'tokenizer', trimmed }
+function measureUsage({ text, usage, request }, kept, trimmed) {
+    const reported = (field) => usage && Number.isFinite(usage[field]) ? usage[field] : null;
+    const promptTokens = reported('promptTokens');
+    const completionTokens = reported('completionTokens');
+    return {
+        promptTokens: promptTokens !== null ? promptTokens : countRequestTokens(request),
+        completionTokens: completionTokens !== null ? completionTokens : countTokens(text),
+        keptTokens: countTokens(kept),
+        source: promptTokens !== null && completionTokens !== null ? 'provider' : 'tokenizer',
+        trimmed
+    };
+}
+
+// Per-call measurements kept with a turn (see lib/analytics.js):
+//   latencyMs   wall-clock time from the request to the reply, retries included
+//   cost        estimated cost from the price table, or null without a price
+//   characters  { raw, kept }: reply length before and after cleanup
+function measureCall(model, { rawText, kept, usage, latencyMs, prices }) {
+    return {
+        latencyMs,
+        cost: prices.estimate(model, usage),
+        characters: { raw: rawText.length, kept: kept.length }
+    };
+}
+
+// Append a cleaned response to the session and build the turn payload sent to the client.
+// `race` holds { policy, reason, candidates } for turns picked from a race;
+// `metrics` comes from measureCall(); `sampling` holds the sampling settings
+// the model was called with (lib/sampling.js) and `context` what it was sent
+// (lib/context.js); both are null for turns people wrote.
+function recordTurn(session, response, { modelName, provider, strategy, template, usage, removed = [], race, metrics = {}, sampling = null, context = null, createdAt = new Date().toISOString() }) {
+    const { latencyMs = null, cost = null, characters = null } = metrics;
+    // A chat reply starts on a new paragraph after the user's message
+    const history = session.conversationHistory;
+    const startsReply = sessionMode(session) === 'chat' && history[history.length - 1].role === 'user';
+    session.fullContent = startsReply ? session.fullContent + '\n\n' + response : appendTurn(session, session.fullContent, response);
+    session.conversationHistory.push({
+        role: "assistant",
+        content: response,
+        model: modelName,
+        provider: provider,
+        strategy,
+        template,
+        usage,
+        removed,
+        race,
+        latencyMs,
+        cost,
+        characters,
+        sampling,
+        context,
+        turn: session.currentTurn,
+        createdAt
+    });
+    session.currentTurn++;
+
+    log(`Model ${modelName} generated: ${loggedText(response)}`);
+    log(`Session state - Turn: ${session.currentTurn}, Content length: ${session.fullContent.length}`);
+    return {
+        reply: response || " ",
+        modelName: modelName,
+        provider: provider,
+        turn: session.currentTurn - 1, // Return the actual turn that was just completed
+        sessionTurn: session.currentTurn - 1,
+        strategy,
+        template,
+        usage,
+        removed,
+        race,
+        latencyMs,
+        cost,
+        characters,
+        sampling,
+        context,
+        createdAt
+    };
+}
+
+// Recompute fullContent from the history, joining entries the way
+// recordTurn and addUserMessage do. Used after the history is edited.
+function rebuildContent(session) {
+    const chat = sessionMode(session) === 'chat';
+    let content = session.prompt;
+    let previousRole = 'user';
+    session.conversationHistory.slice(2).forEach(entry => {
+        if (entry.role === 'user') {
+            content += '\n\n' + entry.content;
+        } else if (entry.role === 'assistant') {
+            content = chat && previousRole === 'user' ? content + '\n\n' + entry.content : appendTurn(session, content, entry.content);
+        }
+        previousRole = entry.role;
+    });
+    session.fullContent = content;
+}
+
+// Replace the text of a recorded turn; returns false when there is no such turn.
+function editTurn(session, turn, text) {
+    const entry = session.conversationHistory.find(message => message.role === 'assistant' && message.turn === turn);
+    if (!entry) return false;
+
+    entry.content = text;
+    entry.edited = true;
+    rebuildContent(session);
+    log(`Session ${session.id} - turn ${turn} edited: ${loggedText(text)}`);
+    return true;
+}
+
+// Add text written by the user as a turn of its own.
+function injectText(session, text) {
+    return recordTurn(session, text, { modelName: 'You', provider: HUMAN_PROVIDER, strategy: 'manual' });
+}
+
+// The turns recorded in a session, in the same shape as turn payloads.
+function sessionTurns(session) {
+    return session.conversationHistory
+        .filter(message => message.role === 'assistant')
+        .map(message => ({
+            reply: message.content || " ",
+            modelName: message.model,
+            provider: message.provider,
+            turn: message.turn,
+            sessionTurn: message.turn,
+            strategy: message.strategy,
+            template: message.template,
+            usage: message.usage,
+            removed: message.removed || [],
+            edited: Boolean(message.edited),
+            race: message.race,
+            latencyMs: message.latencyMs === undefined ? null : message.latencyMs,
+            cost: message.cost === undefined ? null : message.cost,
+            characters: message.characters || null,
+            sampling: message.sampling || null,
+            context: message.context || null,
+            createdAt: message.createdAt
+        }));
+}
+
+// Token totals over every recorded turn; turns recorded before usage
+// tracking (or imported from transcripts) are counted with the tokenizer.
+function sessionUsage(session) {
+    const totals = { promptTokens: 0, completionTokens: 0, keptTokens: 0 };
+    session.conversationHistory
+        .filter(message => message.role === 'assistant')
+        .forEach(message => {
+            const usage = message.usage || { keptTokens: countTokens(message.content) };
+            totals.promptTokens += usage.promptTokens || 0;
+            totals.completionTokens += usage.completionTokens || usage.keptTokens;
+            totals.keptTokens += usage.keptTokens;
+        });
+    return totals;
+}
+
+// Short listing entry for a stored session.
+function summarizeSession(session) {
+    return {
+        id: session.id,
+        mode: sessionMode(session),
+        preview: (session.fullContent || '').slice(0, 160),
+        currentTurn: session.currentTurn,
+        models: session.models,
+        stopReason: session.stopReason || null,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+    };
+}
+
+const modelKey = (model) => `${model.provider}:${model.modelName}`;
+
+function isBenched(session, model) {
+    const health = session.modelHealth && session.modelHealth[modelKey(model)];
+    return Boolean(health && health.benchedUntilTurn > session.currentTurn);
+}
+
+// Models to try this turn: the scheduled one first, then the rest of the
+// rotation in order. Benched models sit out unless nobody else is left, and
+// the human participant only ever takes its own turns.
+function failoverOrder(session, models, startIndex) {
+    const order = models
+        .map((model, offset) => models[(startIndex + offset) % models.length])
+        .filter((model, offset) => offset === 0 || model.provider !== HUMAN_PROVIDER);
+    const available = order.filter(model => !isBenched(session, model));
+    return available.length ? available : order;
+}
+
+// Track consecutive failed turns per model; returns true when the model was just benched.
+function updateHealth(session, model, failed) {
+    session.modelHealth = session.modelHealth || {};
+    const health = session.modelHealth[modelKey(model)] || { consecutiveFailures: 0, benchedUntilTurn: 0 };
+    session.modelHealth[modelKey(model)] = health;
+
+    if (!failed) {
+        health.consecutiveFailures = 0;
+        return false;
+    }
+
+    health.consecutiveFailures++;
+    if (health.consecutiveFailures >= RETRY_POLICY.benchAfterFailures) {
+        health.consecutiveFailures = 0;
+        health.benchedUntilTurn = session.currentTurn + 1 + RETRY_POLICY.benchTurns;
+        log(`Benching ${model.modelName} until turn ${health.benchedUntilTurn}`);
+        return true;
+    }
+    return false;
+}
+
+// Call one model, retrying retryable errors with exponential backoff.
+// Resolves to { text, usage, request, sampling, template, context }; throws the
+// last error once retries are exhausted or the error is final.
+async function callWithRetries(session, model, tokensPerTurn, { templates, context: policy, onDelta, onRetry }) {
+    const { provider, template, context, ctx } = prepareTurn(session, model, tokensPerTurn, templates, policy);
+
+    for (let attempt = 1; ; attempt++) {
+        // A timed-out stream may keep producing output; ignore it once the attempt is over
+        let attemptActive = true;
+        const attemptDelta = onDelta && ((text) => attemptActive && onDelta(text));
+
+        try {
+            const result = await withTimeout(attemptDelta
+                ? generateStream(provider, ctx, attemptDelta)
+                : generate(provider, ctx));
+            return { ...result, template, context };
+        } catch (error) {
+            attemptActive = false;
+            error.attempts = attempt;
+            logError(`Error with ${model.modelName} (attempt ${attempt}):`, error.message);
+
+            if (!isRetryableError(error) || attempt > RETRY_POLICY.maxRetries) {
+                throw error;
+            }
+
+            const delayMs = backoffDelay(attempt);
+            if (onRetry) {
+                onRetry({ modelName: model.modelName, provider, turn: session.currentTurn, attempt, delayMs, error: error.message });
+            }
+            await sleep(delayMs);
+        }
+    }
+}
+
+// Run one full turn. The schedule picks the model that speaks (round-robin
+// by default). If that model keeps failing, the turn passes to the next
+// model in the rotation; each failure is recorded on the session.
+// `templates` is the prompt template store (the built-in templates by default).
+// Callbacks: onStart when a model starts speaking, onDelta with streamed
+// output, onRetry before a backoff, onFailure when a model gives up the turn.
+// awaitHuman({ modelName, provider, turn, tokensPerTurn }) resolves to the
+// text of the human participant's turn; without it humans cannot take turns.
+// `prices` is the price table for cost estimates (see lib/pricing.js).
+// `context` is the context policy (see lib/context.js, the full text by default).
+async function runTurn(session, models, tokensPerTurn, { schedule = DEFAULT_SCHEDULE, context = DEFAULT_CONTEXT, templates, prices = defaultPriceTable(), onStart, onDelta, onRetry, onFailure, awaitHuman, onRaceStart, awaitChoice } = {}) {
+    await refreshSummary(session, models, context);
+    if (schedule.strategy === 'race') {
+        return runRaceTurn(session, models, tokensPerTurn, { schedule, context, templates, prices, onRetry, onFailure, onRaceStart, awaitChoice });
+    }
+
+    const scheduledIndex = await pickModelIndex(session, models, schedule);
+    const candidates = failoverOrder(session, models, scheduledIndex);
+    const { strategy } = schedule;
+    const turnFailures = [];
+    session.failures = session.failures || [];
+
+    const scheduledModel = models[scheduledIndex];
+    if (candidates[0] !== scheduledModel) {
+        // The scheduled model is benched; record the skip before passing the turn on
+        const skip = {
+            turn: session.currentTurn,
+            modelName: scheduledModel.modelName,
+            provider: scheduledModel.provider,
+            skipped: true,
+            error: 'Benched after repeated failures',
+            status: null,
+            attempts: 0,
+            benched: true,
+            passedTo: { modelName: candidates[0].modelName, provider: candidates[0].provider },
+            createdAt: new Date().toISOString()
+        };
+        session.failures.push(skip);
+        turnFailures.push(skip);
+        if (onFailure) onFailure(skip);
+    }
+
+    for (let i = 0; i < candidates.length; i++) {
+        const model = candidates[i];
+        const { modelName, provider } = model;
+        const failover = model !== scheduledModel;
+
+        if (onStart) onStart({ modelName, provider, turn: session.currentTurn, strategy, failover });
+        const startedAt = Date.now();
+
+        if (provider === HUMAN_PROVIDER) {
+            if (!awaitHuman) {
+                throw new TurnError('The human participant can only take turns in a run', model);
+            }
+            // People mean what they write: no deduplication, only the turn budget
+            const text = await awaitHuman({ modelName, provider, turn: session.currentTurn, tokensPerTurn });
+            const { text: reply, truncated } = truncateToTokens(text, tokensPerTurn);
+            const usage = measureUsage({ text, usage: null, request: null }, reply, truncated);
+            const metrics = measureCall(model, { rawText: text, kept: reply, usage, latencyMs: Date.now() - startedAt, prices });
+            const turn = recordTurn(session, reply, { modelName, provider, strategy, usage, removed: [], metrics });
+            return { ...turn, failover, failures: turnFailures };
+        }
+
+        let result;
+        try {
+            result = await callWithRetries(session, model, tokensPerTurn, { templates, context, onDelta, onRetry });
+        } catch (error) {
+            const nextModel = candidates[i + 1];
+            const failure = {
+                turn: session.currentTurn,
+                modelName,
+                provider,
+                skipped: false,
+                error: error.message || 'Unknown error occurred',
+                status: error.status || null,
+                attempts: error.attempts || 1,
+                benched: updateHealth(session, model, true),
+                passedTo: nextModel ? { modelName: nextModel.modelName, provider: nextModel.provider } : null,
+                createdAt: new Date().toISOString()
+            };
+            session.failures.push(failure);
+            turnFailures.push(failure);
+            if (onFailure) onFailure(failure);
+            continue;
+        }
+
+        updateHealth(session, model, false);
+        log(`Raw response from ${modelName}: ${loggedText(result.text)}`);
+
+        // Models overshoot their token limit (some have a minimum output size),
+        // so the cleaned reply is cut to the turn budget before it is recorded.
+        const cleaned = cleanResponse(session, result.text);
+        const { text: reply, truncated } = truncateToTokens(cleaned.text, tokensPerTurn);
+        if (truncated) {
+            log(`Trimmed ${modelName} output to ${tokensPerTurn} tokens`);
+        }
+
+        const usage = measureUsage(result, reply, truncated);
+        const metrics = measureCall(model, { rawText: result.text, kept: reply, usage, latencyMs: Date.now() - startedAt, prices });
+        const turn = recordTurn(session, reply, { modelName, provider, strategy, template: result.template, usage, removed: cleaned.removed, metrics, sampling: result.sampling, context: result.context });
+        return { ...turn, failover, failures: turnFailures };
+    }
+
+    const lastFailure = turnFailures[turnFailures.length - 1];
+    throw new TurnError(`All models failed on turn ${session.currentTurn + 1} (last error: ${lastFailure.error})`, {
+        modelName: lastFailure.modelName,
+        provider: lastFailure.provider
+    });
+}
+
+// Run one race turn (see lib/race.js): every model that is not benched
+// writes a candidate from the same context, then the schedule's policy keeps
+// one. Models that fail are recorded as failures; the turn only fails when
+// every model does. onRaceStart({ turn, models, policy }) fires once the
+// candidates are requested; awaitChoice is needed for the user policy.
+async function runRaceTurn(session, models, tokensPerTurn, { schedule, context, templates, prices, onRetry, onFailure, onRaceStart, awaitChoice }) {
+    const available = models.filter(model => !isBenched(session, model));
+    const racers = available.length ? available : models;
+    const turn = session.currentTurn;
+    session.failures = session.failures || [];
+
+    if (schedule.policy === 'user' && !awaitChoice) {
+        throw new TurnError('Races decided by the user can only run in a run', racers[0]);
+    }
+    if (onRaceStart) onRaceStart({ turn, models: publicModels(racers), policy: schedule.policy });
+
+    const results = await Promise.all(racers.map(async (model) => {
+        const startedAt = Date.now();
+        try {
+            const result = await callWithRetries(session, model, tokensPerTurn, { templates, context, onRetry });
+            return { model, result, latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { model, error };
+        }
+    }));
+
+    const candidates = [];
+    const turnFailures = [];
+    results.forEach(({ model, result, error, latencyMs }) => {
+        const { modelName, provider } = model;
+        if (error) {
+            const failure = {
+                turn,
+                modelName,
+                provider,
+                skipped: false,
+                error: error.message || 'Unknown error occurred',
+                status: error.status || null,
+                attempts: error.attempts || 1,
+                benched: updateHealth(session, model, true),
+                passedTo: null,
+                createdAt: new Date().toISOString()
+            };
+            session.failures.push(failure);
+            turnFailures.push(failure);
+            if (onFailure) onFailure(failure);
+            return;
+        }
+
+        updateHealth(session, model, false);
+        const cleaned = cleanResponse(session, result.text);
+        const { text, truncated } = truncateToTokens(cleaned.text, tokensPerTurn);
+        const usage = measureUsage(result, text, truncated);
+        candidates.push({
+            modelName,
+            provider,
+            text,
+            removed: cleaned.removed,
+            usage,
+            ...measureCall(model, { rawText: result.text, kept: text, usage, latencyMs, prices }),
+            template: result.template,
+            sampling: result.sampling,
+            context: result.context
+        });
+    });
+
+    if (!candidates.length) {
+        const lastFailure = turnFailures[turnFailures.length - 1];
+        throw new TurnError(`All models failed on turn ${turn + 1} (last error: ${lastFailure.error})`, {
+            modelName: lastFailure.modelName,
+            provider: lastFailure.provider
+        });
+    }
+
+    const { index, reason } = await selectCandidate(session, candidates, schedule, models, awaitChoice);
+    const winner = candidates[index];
+    log(`Race on turn ${turn}: ${winner.modelName} wins by ${reason}`);
+
+    // The turn costs every candidate, not just the one that was kept
+    const costs = candidates.map(candidate => candidate.cost).filter(cost => cost !== null);
+    const recorded = recordTurn(session, winner.text, {
+        modelName: winner.modelName,
+        provider: winner.provider,
+        strategy: 'race',
+        template: winner.template,
+        usage: winner.usage,
+        removed: winner.removed,
+        sampling: winner.sampling,
+        context: winner.context,
+        metrics: {
+            latencyMs: winner.latencyMs,
+            cost: costs.length ? costs.reduce((sum, cost) => sum + cost, 0) : null,
+            characters: winner.characters
+        },
+        race: {
+            policy: schedule.policy,
+            reason,
+            candidates: candidates.map((candidate, i) => ({ ...candidate, selected: i === index }))
+        }
+    });
+    return { ...recorded, failover: false, failures: turnFailures };
+}
+
+// Ensure error messages are also in JSON format. Errors other than
+// TurnErrors (a failing store, a bug) name no model.
+function describeError(error) {
+    const message = error.message || 'Unknown error occurred';
+    return {
+        error: error.modelName ? `Error with ${error.modelName}: ${message}` : message,
+        modelName: error.modelName || 'unknown',
+        provider: error.provider || 'unknown'
+    };
+}
+
+module.exports = {
+    SESSION_MODES,
+    HUMAN_PROVIDER,
+    TurnError,
+    publicModels,
+    createSession,
+    addUserMessage,
+    sessionMessages,
+    cleanResponse,
+    prepareTurn,
+    recordTurn,
+    rebuildContent,
+    editTurn,
+    injectText,
+    runTurn,
+    sessionTurns,
+    sessionUsage,
+    summarizeSession,
+    describeError
+};
@@ -0,0 +1,171 @@
+// lib/vault.js
+//
+// Server-side vault for bring-your-own API keys. The browser registers a key
+// once (POST /keys) and gets back a handle; from then on its models carry
+// { keyHandle } instead of { apiKey }, so the key itself crosses the network
+// a single time. Keys live in memory only, encrypted with AES-256-GCM under a
+// key derived from KEY_VAULT_SECRET (without one, a random key per process:
+// a restart forgets every stored key). Every key belongs to one vault
+// session, the HttpOnly `vault` cookie handed out with the first key
+// registered, and its handle means nothing without that cookie. Keys unused
+// for KEY_VAULT_TTL_HOURS (default 12) are forgotten.
+
+const crypto = require('crypto');
+
+const VAULT_COOKIE = 'vault';
+const VAULT_ID_PATTERN = /^[\w-]{32,64}$/;
+const HANDLE_PATTERN = /^key_[\w-]{24}$/;
+// Keys one vault session may hold at a time
+const MAX_KEYS_PER_VAULT = 20;
+
+const isValidVaultId = (id) => typeof id === 'string' && VAULT_ID_PATTERN.test(id);
+
+function createVaultId() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// The vault session named by a request's Cookie header, or null
+function vaultIdFromCookies(header) {
+    const cookie = (header || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${VAULT_COOKIE}=`));
+    const id = cookie ? cookie.slice(VAULT_COOKIE.length + 1) : null;
+    return isValidVaultId(id) ? id : null;
+}
+
+// The Set-Cookie value that starts a vault session; it lasts until the browser closes
+function vaultCookie(id, { secure = false } = {}) {
+    return `${VAULT_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Strict${secure ? '; Secure' : ''}`;
+}
+
+// The last few characters of a key, enough to tell keys apart on screen
+const keyHint = (apiKey) => `…${apiKey.slice(-4)}`;
+
+function createKeyVault({ secret, ttlMs = 12 * 60 * 60 * 1000 } = {}) {
+    const key = secret ? crypto.scryptSync(secret, 'llm-token-generator:key-vault', 32) : crypto.randomBytes(32);
+    // handle → { vaultId, provider, hint, iv, tag, data, createdAt, lastUsedAt }
+    const entries = new Map();
+
+    // The ciphertext is bound to its vault session, handle and provider
+    const associatedData = (vaultId, handle, provider) => Buffer.from(`${vaultId}:${handle}:${provider}`);
+
+    function encrypt(vaultId, handle, provider, apiKey) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(associatedData(vaultId, handle, provider));
+        const data = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+        return { iv, tag: cipher.getAuthTag(), data };
+    }
+
+    function decrypt(handle, entry) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, entry.iv);
+        decipher.setAAD(associatedData(entry.vaultId, handle, entry.provider));
+        decipher.setAuthTag(entry.tag);
+        return Buffer.concat([decipher.update(entry.data), decipher.final()]).toString('utf8');
+    }
+
+    const isExpired = (entry, now) => ttlMs > 0 && now - entry.lastUsedAt > ttlMs;
+
+    function sweep(now = Date.now()) {
+        entries.forEach((entry, handle) => {
+            if (isExpired(entry, now)) entries.delete(handle);
+        });
+    }
+
+    // The live entry of a handle in a vault session, or null
+    function find(vaultId, handle) {
+        const entry = typeof handle === 'string' && HANDLE_PATTERN.test(handle) ? entries.get(handle) : null;
+        if (!entry || entry.vaultId !== vaultId) return null;
+        if (isExpired(entry, Date.now())) {
+            entries.delete(handle);
+            return null;
+        }
+        return entry;
+    }
+
+    const describe = (handle, { provider, hint, createdAt, lastUsedAt }) => ({
+        handle,
+        provider,
+        hint,
+        createdAt: new Date(createdAt).toISOString(),
+        lastUsedAt: new Date(lastUsedAt).toISOString()
+    });
+
+    function list(vaultId) {
+        sweep();
+        return Array.from(entries.entries()).filter(([, entry]) => entry.vaultId === vaultId).map(([handle, entry]) => describe(handle, entry));
+    }
+
+    return {
+        // Store a key; returns its public description (handle, provider, hint, ...)
+        register(vaultId, provider, apiKey) {
+            if (list(vaultId).length >= MAX_KEYS_PER_VAULT) {
+                throw new Error(`A vault session holds at most ${MAX_KEYS_PER_VAULT} keys; remove one first`);
+            }
+            const handle = `key_${crypto.randomBytes(18).toString('base64url')}`;
+            const now = Date.now();
+            entries.set(handle, { vaultId, provider, hint: keyHint(apiKey), ...encrypt(vaultId, handle, provider, apiKey), createdAt: now, lastUsedAt: now });
+            return describe(handle, entries.get(handle));
+        },
+
+        // The key behind a handle: { provider, apiKey }, or null when the
+        // handle is unknown, expired or belongs to another vault session
+        resolve(vaultId, handle) {
+            const entry = find(vaultId, handle);
+            if (!entry) return null;
+            entry.lastUsedAt = Date.now();
+            return { provider: entry.provider, apiKey: decrypt(handle, entry) };
+        },
+
+        list,
+
+        remove(vaultId, handle) {
+            return Boolean(find(vaultId, handle)) && entries.delete(handle);
+        },
+
+        sweep
+    };
+}
+
+// Swap the keyHandle of every model for the key it names. Returns
+// { models, error }: the models as providers take them, or why they cannot
+// be used. Models without a keyHandle pass through untouched.
+function resolveModelKeys(models, vault, vaultId) {
+    if (!Array.isArray(models)) return { models, error: null };
+    const resolved = [];
+    for (const model of models) {
+        if (!model || typeof model !== 'object' || model.keyHandle === undefined) {
+            resolved.push(model);
+            continue;
+        }
+        const { keyHandle, ...rest } = model;
+        if (rest.apiKey) {
+            return { models, error: `${model.modelName}: send either apiKey or keyHandle, not both` };
+        }
+        const stored = vaultId ? vault.resolve(vaultId, keyHandle) : null;
+        if (!stored) {
+            return { models, error: `${model.modelName}: unknown or expired key handle; enter the API key again` };
+        }
+        if (stored.provider !== model.provider) {
+            return { models, error: `${model.modelName}: key handle ${keyHandle} holds a key for ${stored.provider}, not ${model.provider}` };
+        }
+        resolved.push({ ...rest, apiKey: stored.apiKey });
+    }
+    return { models: resolved, error: null };
+}
+
+// The vault configured through environment variables:
+//   KEY_VAULT_SECRET     passphrase the encryption key is derived from (default: random per process)
+//   KEY_VAULT_TTL_HOURS  forget keys unused for this long (default 12, 0 = never)
+function keyVaultFromEnv(env = process.env) {
+    const ttlHours = env.KEY_VAULT_TTL_HOURS !== undefined ? Number(env.KEY_VAULT_TTL_HOURS) : 12;
+    return createKeyVault({ secret: env.KEY_VAULT_SECRET || null, ttlMs: ttlHours * 60 * 60 * 1000 });
+}
+
+module.exports = {
+    VAULT_COOKIE,
+    createVaultId,
+    vaultIdFromCookies,
+    vaultCookie,
+    createKeyVault,
+    resolveModelKeys,
+    keyVaultFromEnv
+};
@@ -1,51 +1,720 @@
 // script.js
 
+// localStorage key of the run this tab is attached to
+const ACTIVE_RUN_KEY = 'llm-token-generator:active-run';
+// localStorage key of the owner tokens of the sessions this browser created (see lib/rooms.js)
+const OWNER_TOKENS_KEY = 'llm-token-generator:owner-tokens';
+// localStorage key of the owner tokens of the prompt templates this browser created (see lib/templates.js)
+const TEMPLATE_TOKENS_KEY = 'llm-token-generator:template-tokens';
+
+// sessionStorage key of the handles of the API keys stored in the server's key vault (see lib/vault.js)
+const KEY_HANDLES_KEY = 'llm-token-generator:key-handles';
+
+// 本标签页登记过的密钥句柄：{ 输入框 id: { handle, hint } }；密钥本身只在服务器上
+function keyHandles() {
+    try {
+        return JSON.parse(sessionStorage.getItem(KEY_HANDLES_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function rememberKeyHandles(handles) {
+    sessionStorage.setItem(KEY_HANDLES_KEY, JSON.stringify(handles));
+}
+
+// 本浏览器创建的会话（或提示词模板）的所有者令牌：{ sessionId: token }
+function ownerTokens(storageKey = OWNER_TOKENS_KEY) {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function rememberOwnerToken(sessionId, token, storageKey = OWNER_TOKENS_KEY) {
+    localStorage.setItem(storageKey, JSON.stringify({ ...ownerTokens(storageKey), [sessionId]: token }));
+}
+
+// 修改会话的请求带上所有者令牌；没有令牌的会话只能观看
+function ownerHeaders(sessionId, headers = {}, storageKey = OWNER_TOKENS_KEY) {
+    const token = ownerTokens(storageKey)[sessionId];
+    return token ? { ...headers, 'X-Owner-Token': token } : headers;
+}
+
+// 不用空格分词的文字（中文、日文、泰文等）及全角标点，与服务器 lib/language.js 一致
+const UNSPACED_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\p{Script=Tibetan}\u3000-\u303F\uFF00-\uFFEF]/u;
+const UNSPACED_LANGUAGES = ['zh', 'ja', 'th', 'lo', 'km', 'my', 'bo'];
+
+// 两轮文本之间的分隔符：任一侧是不用空格的文字时不加空格（同 joinSeparator）
+function joinSeparator(left, right, language) {
+    if (!left || !right) return ' ';
+    const last = Array.from(left.slice(-2)).pop();
+    const first = Array.from(right.slice(0, 2))[0];
+    if (UNSPACED_CHAR.test(last) || UNSPACED_CHAR.test(first)) return '';
+    const unspacedLanguage = UNSPACED_LANGUAGES.includes((language || '').toLowerCase().split('-')[0]);
+    if (unspacedLanguage && !/[\p{L}\p{M}\p{N}]/u.test(first)) return '';
+    return ' ';
+}
+
+// 纯文字视图中按模型着色的调色板，按模型在本次运行中的顺序取色
+const ATTRIBUTION_COLOURS = ['#10b981', '#3b82f6', '#8b5cf6', '#f59e0b', '#ef4444', '#0d9488', '#ec4899', '#64748b'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// 行内 Markdown：先整体转义，代码和链接换成占位符，避免其中的 * 和 _ 被当成强调
+function renderInlineMarkdown(text) {
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+    const html = escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) => hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`))
+        .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+        .replace(/\*([^*\s][^*]*)\*|\b_([^_]+)_\b/g, (match, stars, underscores) => `<em>${stars || underscores}</em>`);
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+}
+
+// 简单的 Markdown 渲染：标题、列表、引用、代码块和段落。所有文本都经过转义，
+// 结果里只有这里生成的标签
+function markdownToHtml(text) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    let code = null;
+    
+    const flushParagraph = () => {
+        if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+    const flushCode = () => blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    
+    text.split('\n').forEach(line => {
+        if (code) {
+            if (line.startsWith('```')) {
+                flushCode();
+                code = null;
+            } else {
+                code.push(line);
+            }
+            return;
+        }
+        
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+        const quote = line.match(/^>\s?(.*)$/);
+        if (line.startsWith('```')) {
+            flushParagraph();
+            flushList();
+            code = [];
+        } else if (heading) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<h${heading[1].length}>${renderInlineMarkdown(heading[2])}</h${heading[1].length}>`);
+        } else if (item) {
+            flushParagraph();
+            const tag = item[1] ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            list = list || { tag, items: [] };
+            list.items.push(item[2]);
+        } else if (quote) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<blockquote>${renderInlineMarkdown(quote[1])}</blockquote>`);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line);
+        }
+    });
+    // 流式输出时代码块可能还没有结束
+    if (code) flushCode();
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+// 采样参数在设置卡片上的输入框（字段名同 lib/sampling.js）
+const SAMPLING_INPUTS = {
+    temperature: { label: 'Temperature', type: 'number', min: 0, max: 2, step: 0.1 },
+    topP: { label: 'Top P', type: 'number', min: 0, max: 1, step: 0.05 },
+    seed: { label: 'Seed', type: 'number', step: 1 },
+    stop: { label: 'Stop', type: 'text' }
+};
+
+// 停止序列用 | 分隔，\n 表示换行
+const formatStop = (stop) => stop.map(sequence => sequence.replace(/\n/g, '\\n')).join(' | ');
+const parseStop = (text) => text.split('|').map(sequence => sequence.trim().replace(/\\n/g, '\n')).filter(Boolean);
+
+// 每轮使用的采样参数，显示在模型标签的提示里
+const formatSampling = (sampling) => Object.entries(sampling)
+    .map(([field, value]) => `${field} ${Array.isArray(value) ? formatStop(value) : value}`)
+    .join(', ');
+
 class LLMTokenGenerator {
     constructor() {
         this.isGenerating = false;
-        this.sessionId = Date.now().toString();
+        this.runId = null;
+        this.currentSessionId = null;
+        this.runEvents = null;
+        this.runModels = [];
+        this.liveTurn = null;
         this.currentTurn = 0;
         this.selectedModels = [];
         this.fullTextContent = ''; // 新增：存储完整的纯文字内容
+        this.textSegments = []; // 纯文字内容按来源分段：{ separator, text, author }
+        this.tokenUsage = { promptTokens: 0, completionTokens: 0, last: null };
+        this.templates = { templates: [], modes: {}, variables: [] };
+        this.sessionMode = 'continue';
+        this.sessionLanguage = 'auto';
+        this.awaitingReply = false; // 对话模式：下一轮开始新的回答段落
+        this.isPaused = false;
+        this.branches = [];
+        this.activeBranch = null;
+        this.roomViewer = false; // 通过分享链接观看别人的会话，没有控制权
+        this.savingKeys = new Set(); // 正在登记到密钥库的请求
         
         this.initEventListeners();
     }
     
     initEventListeners() {
-        // 模型选择监听器
-        document.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', () => this.updateSelectedModels());
-        });
-        
         // 按钮监听器
         document.getElementById('start-generation').addEventListener('click', () => this.startGeneration());
+        document.getElementById('pause-generation').addEventListener('click', () => this.togglePause());
         document.getElementById('stop-generation').addEventListener('click', () => this.stopGeneration());
+        document.getElementById('branch-select').addEventListener('change', (event) => this.switchBranch(event.target.value));
+        document.getElementById('send-inject').addEventListener('click', () => this.injectText());
+        document.getElementById('send-human-turn').addEventListener('click', () => this.submitHumanTurn());
         document.getElementById('reset-conversation').addEventListener('click', () => this.resetConversation());
+        document.getElementById('schedule-strategy').addEventListener('change', () => this.updateScheduleControls());
+        document.getElementById('context-policy').addEventListener('change', () => this.updateScheduleControls());
+        document.getElementById('refresh-sessions').addEventListener('click', () => this.loadSessions());
+        document.getElementById('share-room').addEventListener('click', () => this.shareRoom());
+        
+        // 纯文字视图的显示方式
+        document.getElementById('show-attribution').addEventListener('change', () => this.rerenderTextOnly());
+        document.getElementById('render-markdown').addEventListener('change', () => this.rerenderTextOnly());
+        
+        // 模式切换后只显示该模式的模板
+        document.getElementById('session-mode').addEventListener('change', () => this.loadTemplates());
+        document.getElementById('send-follow-up').addEventListener('click', () => this.sendFollowUp());
+        
+        // 提示词模板选择与编辑
+        document.getElementById('edit-template').addEventListener('click', () => this.openTemplateEditor());
+        document.getElementById('save-template').addEventListener('click', () => this.saveTemplate());
+        document.getElementById('delete-template').addEventListener('click', () => this.deleteTemplate());
+        document.getElementById('close-template-editor').addEventListener('click', () => {
+            document.getElementById('template-editor').style.display = 'none';
+        });
+        
+        // 导出 / 导入对话记录
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportTranscript(button.dataset.exportFormat));
+        });
+        const importInput = document.getElementById('import-transcript-file');
+        document.getElementById('import-transcript').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) {
+                this.importTranscript(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+    }
+    
+    // 从服务器加载模型目录（GET /models）并渲染模型选择卡片
+    async loadModelCatalog() {
+        const container = document.getElementById('model-catalog');
+        try {
+            const response = await fetch('/models');
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            this.renderModelCatalog(await response.json());
+        } catch (error) {
+            console.error('Failed to load the model catalog:', error);
+            container.innerHTML = '';
+            const note = document.createElement('p');
+            note.className = 'api-note';
+            note.textContent = `Could not load the model list: ${error.message}`;
+            container.appendChild(note);
+        }
+    }
+    
+    // 每个分类一个标题和说明，分类下每个服务商一个模型组
+    renderModelCatalog({ categories, providers, models }) {
+        const container = document.getElementById('model-catalog');
+        container.innerHTML = '';
+        
+        categories.forEach(category => {
+            const providerNames = Object.keys(providers).filter(name => providers[name].category === category.id);
+            if (!providerNames.length) return;
+            
+            const title = document.createElement('h3');
+            title.className = 'catalog-category';
+            title.textContent = category.title;
+            const note = document.createElement('p');
+            note.className = 'api-note';
+            note.textContent = category.note || '';
+            const grid = document.createElement('div');
+            grid.className = 'models-grid';
+            
+            providerNames.forEach(name => {
+                grid.appendChild(this.createProviderGroup(name, providers[name], models.filter(model => model.provider === name)));
+            });
+            container.append(title, note, grid);
+        });
+        
+        // 勾选模型或填写密钥后重新计算已选模型；填好的密钥登记到服务器的密钥库
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => this.updateSelectedModels());
+        });
+        container.querySelectorAll('input[data-key-provider]').forEach(input => {
+            input.addEventListener('change', () => this.saveApiKey(input));
+        });
+        this.updateSelectedModels();
+        this.restoreKeyHandles();
+    }
+    
+    // 恢复本标签页登记过的密钥句柄，丢掉服务器已经忘记的（重启或过期）
+    async restoreKeyHandles() {
+        const saved = keyHandles();
+        if (!Object.keys(saved).length) return;
+        try {
+            const response = await fetch('/keys');
+            if (!response.ok) return;
+            const stored = new Set((await response.json()).map(key => key.handle));
+            const kept = {};
+            Object.entries(saved).forEach(([inputId, key]) => {
+                const input = document.getElementById(inputId);
+                if (!input || !stored.has(key.handle)) return;
+                kept[inputId] = key;
+                this.showSavedKey(input, key);
+            });
+            rememberKeyHandles(kept);
+            this.updateSelectedModels();
+        } catch (error) {
+            console.error('Failed to load the stored keys:', error);
+        }
+    }
+    
+    showSavedKey(input, key) {
+        input.dataset.keyHandle = key.handle;
+        input.placeholder = `Key saved on the server (${key.hint}); type a new one to replace it`;
+    }
+    
+    // 密钥只发送一次：登记到服务器的密钥库（POST /keys），之后的请求只带它的句柄
+    saveApiKey(input) {
+        const apiKey = input.value.trim();
+        if (!apiKey) return Promise.resolve();
+        input.value = '';
+        
+        const saving = (async () => {
+            try {
+                const response = await fetch('/keys', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ provider: input.dataset.keyProvider, apiKey })
+                });
+                if (!response.ok) {
+                    throw new Error(await this.readErrorMessage(response));
+                }
+                const key = await response.json();
+                const previous = input.dataset.keyHandle;
+                this.showSavedKey(input, key);
+                rememberKeyHandles({ ...keyHandles(), [input.id]: { handle: key.handle, hint: key.hint } });
+                if (previous && previous !== key.handle) {
+                    fetch(`/keys/${encodeURIComponent(previous)}`, { method: 'DELETE' }).catch(() => {});
+                }
+            } catch (error) {
+                input.value = apiKey;
+                alert(`Could not save the API key: ${error.message}`);
+            } finally {
+                this.savingKeys.delete(saving);
+                this.updateSelectedModels();
+            }
+        })();
+        this.savingKeys.add(saving);
+        return saving;
+    }
+    
+    // 开始生成前登记还没保存的密钥，并等正在登记的完成
+    async saveTypedKeys() {
+        const typed = Array.from(document.querySelectorAll('input[data-key-provider]')).filter(input => input.value.trim());
+        await Promise.all([...typed.map(input => this.saveApiKey(input)), ...this.savingKeys]);
+        this.updateSelectedModels();
+    }
+    
+    createProviderGroup(name, provider, models) {
+        const group = document.createElement('div');
+        group.className = 'model-group';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = `${provider.label} `;
+        if (provider.keyHelp) {
+            const help = document.createElement('a');
+            help.href = provider.keyHelp;
+            help.target = '_blank';
+            help.className = 'api-help';
+            help.title = `Where to get a ${provider.label} API key`;
+            help.textContent = '?';
+            heading.appendChild(help);
+        } else if (provider.tooltip) {
+            const tooltip = document.createElement('span');
+            tooltip.className = 'param-tooltip';
+            tooltip.title = provider.tooltip;
+            tooltip.textContent = '?';
+            heading.appendChild(tooltip);
+        }
+        group.appendChild(heading);
+        
+        const keyPlaceholder = {
+            server: 'Server-configured (no key needed)',
+            user: `Enter your own ${provider.label} API Key`,
+            optional: 'API Key (optional)'
+        }[provider.keys];
+        const input = (id, placeholder, disabled = false) => {
+            const field = document.createElement('input');
+            field.type = 'text';
+            field.id = id;
+            field.placeholder = placeholder;
+            field.className = 'api-key-input';
+            field.disabled = disabled;
+            return field;
+        };
+        // 密钥输入框不回显，填好后交给服务器的密钥库保管
+        const keyInput = (id) => {
+            const field = input(id, keyPlaceholder, provider.keys === 'server');
+            if (provider.keys !== 'server') {
+                field.type = 'password';
+                field.autocomplete = 'off';
+                field.dataset.keyProvider = name;
+            }
+            return field;
+        };
+        const option = (id, modelName, displayName, note) => {
+            const row = document.createElement('div');
+            row.className = 'model-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = id;
+            checkbox.value = modelName;
+            checkbox.dataset.provider = name;
+            checkbox.dataset.keys = provider.keys;
+            checkbox.dataset.displayName = displayName;
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = displayName;
+            if (note) {
+                const star = document.createElement('span');
+                star.className = 'param-tooltip';
+                star.title = note;
+                star.textContent = '*';
+                label.appendChild(star);
+            }
+            row.append(checkbox, label);
+            return row;
+        };
+        
+        models.forEach(model => {
+            const row = option(model.id, model.modelName, model.displayName, model.note);
+            if (keyPlaceholder) {
+                row.appendChild(keyInput(`${model.id}-key`));
+            }
+            group.appendChild(row);
+            group.appendChild(this.createSamplingControls(model.id, provider.sampling));
+        });
+        
+        // 自定义端点：模型名和密钥由用户填写；baseURL 留空时用服务器的端点，否则只能选目录允许的地址
+        if (provider.customEntry) {
+            const row = option(name, '', 'Custom model');
+            row.classList.add('model-option-custom');
+            row.firstChild.dataset.customEntry = 'true';
+            const baseURLs = provider.baseURLs || [];
+            const baseURLInput = input(`${name}-base-url`, baseURLs.length ? `Base URL, e.g. ${baseURLs[0]} (empty: the server's endpoint)` : 'Base URL: leave empty to use the server\'s endpoint');
+            const allowed = document.createElement('datalist');
+            allowed.id = `${name}-base-urls`;
+            baseURLs.forEach(url => {
+                const entry = document.createElement('option');
+                entry.value = url;
+                allowed.appendChild(entry);
+            });
+            baseURLInput.setAttribute('list', allowed.id);
+            row.append(
+                input(`${name}-model`, 'Model name, e.g. llama3.1:8b'),
+                baseURLInput,
+                allowed
+            );
+            if (keyPlaceholder) {
+                row.appendChild(keyInput(`${name}-key`));
+            }
+            group.appendChild(row);
+            group.appendChild(this.createSamplingControls(name, provider.sampling));
+        }
+        return group;
+    }
+    
+    // 每个模型的采样参数，只显示该服务商支持的项；留空时使用服务商的默认值
+    createSamplingControls(id, { supports = [], defaults = {} } = {}) {
+        const details = document.createElement('details');
+        details.className = 'sampling-options';
+        if (!supports.length) {
+            details.hidden = true;
+            return details;
+        }
+        const summary = document.createElement('summary');
+        summary.textContent = 'Sampling';
+        details.appendChild(summary);
+        
+        supports.forEach(field => {
+            const { label: text, ...attributes } = SAMPLING_INPUTS[field];
+            const label = document.createElement('label');
+            label.htmlFor = `${id}-${field}`;
+            label.textContent = text;
+            const input = document.createElement('input');
+            Object.assign(input, attributes);
+            input.id = `${id}-${field}`;
+            input.className = 'sampling-input';
+            if (field === 'stop') {
+                input.placeholder = defaults.stop ? formatStop(defaults.stop) : 'e.g. THE END | \\n\\n';
+                input.title = 'Up to 4 stop sequences separated by |; write \\n for a line break';
+            } else {
+                input.placeholder = defaults[field] !== undefined ? String(defaults[field]) : 'default';
+            }
+            details.append(label, input);
+        });
+        return details;
+    }
+    
+    readSampling(id) {
+        const sampling = {};
+        Object.keys(SAMPLING_INPUTS).forEach(field => {
+            const input = document.getElementById(`${id}-${field}`);
+            const value = input ? input.value.trim() : '';
+            if (!value) return;
+            sampling[field] = field === 'stop' ? parseStop(value) : Number(value);
+        });
+        return Object.keys(sampling).length ? sampling : null;
     }
     
     updateSelectedModels() {
-        const checkboxes = document.querySelectorAll('input[type="checkbox"]:checked');
-        this.selectedModels = Array.from(checkboxes).map(checkbox => {
+        const checkboxes = document.querySelectorAll('input[type="checkbox"][data-provider]:checked');
+        this.selectedModels = Array.from(checkboxes).filter(checkbox => {
+            // 只有 keys 为 user 的服务商需要用户自己的密钥（刚填写的会在开始前登记）；自定义端点还需要模型名
+            const apiKeyInput = document.getElementById(`${checkbox.id}-key`);
+            if (checkbox.dataset.keys === 'user' && !(apiKeyInput && (apiKeyInput.value.trim() || apiKeyInput.dataset.keyHandle))) {
+                return false;
+            }
+            return !checkbox.dataset.customEntry || document.getElementById(`${checkbox.id}-model`).value.trim() !== '';
+        }).map(checkbox => {
             const modelId = checkbox.id;
             const apiKeyInput = document.getElementById(`${modelId}-key`);
-            return {
+            const model = {
                 modelName: checkbox.value,
                 provider: checkbox.dataset.provider,
-                apiKey: apiKeyInput ? apiKeyInput.value : '',
-                displayName: checkbox.nextElementSibling.textContent
+                displayName: checkbox.dataset.displayName
             };
-        }).filter(model => {
-            // Cloudflare 使用后端环境变量中的密钥，不需要用户输入
-            if (model.provider === 'cloudflare') {
-                return true;
+            if (apiKeyInput && apiKeyInput.dataset.keyHandle) {
+                model.keyHandle = apiKeyInput.dataset.keyHandle;
             }
-            return model.apiKey.trim() !== '';
+
+            if (checkbox.dataset.customEntry) {
+                model.modelName = document.getElementById(`${modelId}-model`).value.trim();
+                model.baseURL = document.getElementById(`${modelId}-base-url`).value.trim();
+                model.displayName = model.modelName;
+            }
+            const sampling = this.readSampling(modelId);
+            if (sampling) {
+                model.sampling = sampling;
+            }
+            return model;
         });
         
         console.log('Selected models:', this.selectedModels);
+        this.updateScheduleControls();
         this.updateStartButtonState();
     }
     
+    // 根据所选策略和上下文策略显示对应的参数，并用当前选中的模型填充裁判、摘要和停止判断模型下拉框
+    updateScheduleControls() {
+        const strategy = document.getElementById('schedule-strategy').value;
+        document.querySelectorAll('[data-strategy]').forEach(group => {
+            group.style.display = group.dataset.strategy === strategy ? 'flex' : 'none';
+        });
+        const policy = document.getElementById('context-policy').value;
+        document.querySelectorAll('[data-context-policy]').forEach(group => {
+            group.style.display = group.dataset.contextPolicy.split(' ').includes(policy) ? 'flex' : 'none';
+        });
+        
+        ['schedule-judge', 'race-judge', 'context-summarizer', 'stop-judge-model'].forEach(id => {
+            const judgeSelect = document.getElementById(id);
+            const previous = judgeSelect.value;
+            judgeSelect.innerHTML = '';
+            this.selectedModels.forEach((model, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = model.displayName;
+                judgeSelect.appendChild(option);
+            });
+            if (previous && parseInt(previous, 10) < this.selectedModels.length) {
+                judgeSelect.value = previous;
+            }
+        });
+    }
+    
+    readSchedule() {
+        const strategy = document.getElementById('schedule-strategy').value;
+        const schedule = { strategy };
+        
+        if (strategy === 'weighted') {
+            schedule.weights = document.getElementById('schedule-weights').value
+                .split(',')
+                .map(weight => parseInt(weight.trim(), 10));
+        } else if (strategy === 'random') {
+            schedule.seed = parseInt(document.getElementById('schedule-seed').value, 10) || 0;
+        } else if (strategy === 'block') {
+            schedule.blockSize = parseInt(document.getElementById('schedule-block-size').value, 10) || 1;
+        } else if (strategy === 'judge') {
+            schedule.judge = parseInt(document.getElementById('schedule-judge').value, 10) || 0;
+        } else if (strategy === 'race') {
+            schedule.policy = document.getElementById('race-policy').value;
+            if (schedule.policy === 'judge') {
+                schedule.judge = parseInt(document.getElementById('race-judge').value, 10) || 0;
+            }
+        }
+        return schedule;
+    }
+    
+    readContext() {
+        const policy = document.getElementById('context-policy').value;
+        const context = { policy };
+        if (policy !== 'full') {
+            context.tokens = parseInt(document.getElementById('context-tokens').value, 10) || 1000;
+        }
+        if (policy === 'summary') {
+            context.summarizer = parseInt(document.getElementById('context-summarizer').value, 10) || 0;
+        }
+        return context;
+    }
+    
+    // 勾选的提前停止条件；一个都没勾选时只按最大轮数停止
+    readStop() {
+        const number = (id, fallback) => {
+            const value = parseInt(document.getElementById(id).value, 10);
+            return Number.isNaN(value) ? fallback : value;
+        };
+        const options = {
+            sentence: () => ({ minTokens: number('stop-sentence-min', 0) }),
+            paragraph: () => ({ minTokens: number('stop-paragraph-min', 0) }),
+            phrase: () => ({ phrase: document.getElementById('stop-phrase-text').value }),
+            characters: () => ({ limit: number('stop-characters-limit', 2000) }),
+            tokens: () => ({ limit: number('stop-tokens-limit', 500) }),
+            repetition: () => ({ turns: number('stop-repetition-turns', 1) }),
+            judge: () => ({ judge: number('stop-judge-model', 0) })
+        };
+        const conditions = Array.from(document.querySelectorAll('[data-stop-condition]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => ({ type: checkbox.dataset.stopCondition, ...options[checkbox.dataset.stopCondition]() }));
+        if (conditions.length === 0) {
+            return undefined;
+        }
+        return { combine: document.getElementById('stop-combine').value, conditions };
+    }
+    
+    // 从服务器加载提示词模板并填充下拉框，保留当前选择
+    async loadTemplates(selected = document.getElementById('prompt-template').value) {
+        try {
+            const response = await fetch('/templates');
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            this.templates = await response.json();
+        } catch (error) {
+            console.error('Failed to load prompt templates:', error);
+            return;
+        }
+        
+        const mode = document.getElementById('session-mode').value;
+        const select = document.getElementById('prompt-template');
+        select.innerHTML = '<option value="">Automatic (per model family)</option>';
+        this.templates.templates.filter(template => template.mode === mode).forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.name;
+            option.textContent = template.builtIn ? template.name : `${template.name} (custom)`;
+            option.title = template.description || '';
+            select.appendChild(option);
+        });
+        select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+        
+        document.getElementById('template-variables').textContent = this.templates.variables.map(name => `{{${name}}}`).join(', ');
+    }
+    
+    // 打开编辑器；“自动”时以默认模板为起点
+    openTemplateEditor() {
+        const mode = document.getElementById('session-mode').value;
+        const selected = document.getElementById('prompt-template').value || this.templates.modes[mode];
+        const template = this.templates.templates.find(entry => entry.name === selected);
+        if (!template) return;
+        
+        // 别人创建的模板只能另存为新模板
+        const editable = !template.builtIn && (!template.owned || Boolean(ownerTokens(TEMPLATE_TOKENS_KEY)[template.name]));
+        document.getElementById('template-name').value = editable ? template.name : `${template.name}-custom`;
+        document.getElementById('template-description').value = template.description || '';
+        document.getElementById('template-system').value = template.system || '';
+        document.getElementById('template-user').value = template.user;
+        document.getElementById('delete-template').disabled = !editable;
+        document.getElementById('template-editor').style.display = 'block';
+    }
+    
+    async saveTemplate() {
+        const name = document.getElementById('template-name').value.trim();
+        try {
+            const response = await fetch(`/templates/${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: ownerHeaders(name, { 'Content-Type': 'application/json' }, TEMPLATE_TOKENS_KEY),
+                body: JSON.stringify({
+                    mode: document.getElementById('session-mode').value,
+                    description: document.getElementById('template-description').value.trim(),
+                    system: document.getElementById('template-system').value,
+                    user: document.getElementById('template-user').value
+                })
+            });
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            const template = await response.json();
+            if (template.ownerToken) {
+                rememberOwnerToken(name, template.ownerToken, TEMPLATE_TOKENS_KEY);
+            }
+            await this.loadTemplates(name);
+            document.getElementById('delete-template').disabled = false;
+            this.updateStatus(`Prompt template "${name}" saved`);
+        } catch (error) {
+            alert(`Failed to save template: ${error.message}`);
+        }
+    }
+    
+    async deleteTemplate() {
+        const name = document.getElementById('template-name').value.trim();
+        if (!confirm(`Delete the prompt template "${name}"?`)) return;
+        
+        try {
+            const response = await fetch(`/templates/${encodeURIComponent(name)}`, { method: 'DELETE', headers: ownerHeaders(name, {}, TEMPLATE_TOKENS_KEY) });
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            document.getElementById('template-editor').style.display = 'none';
+            await this.loadTemplates();
+        } catch (error) {
+            alert(`Failed to delete template: ${error.message}`);
+        }
+    }
+    
     updateStartButtonState() {
         const startBtn = document.getElementById('start-generation');
         const prompt = document.getElementById('user-prompt').value.trim();
@@ -54,17 +723,25 @@ class LLMTokenGenerator {
         startBtn.disabled = this.selectedModels.length === 0 || !prompt || this.isGenerating || !paramsValid;
     }
     
-    async startGeneration() {
+    // options.sessionId 表示继续一个已保存的会话，而不是从提示词开始；
+    // options.message 是对话模式下用户的追问
+    async startGeneration(options = {}) {
         const prompt = document.getElementById('user-prompt').value.trim();
         const tokensPerTurn = parseInt(document.getElementById('tokens-per-turn').value) || 5;
         const maxTurns = parseInt(document.getElementById('max-turns').value) || 50;
+        const streamOutput = document.getElementById('stream-output').checked;
+        
+        if (this.isGenerating) {
+            return;
+        }
         
+        await this.saveTypedKeys();
         if (this.selectedModels.length === 0) {
             alert('Please select at least one model (and enter API keys where required)!');
             return;
         }
         
-        if (!prompt) {
+        if (!prompt && !options.sessionId) {
             alert('Please enter an initial prompt!');
             return;
         }
@@ -74,9 +751,282 @@ class LLMTokenGenerator {
         }
         
         this.isGenerating = true;
-        this.currentTurn = 0;
-        this.maxTurns = maxTurns;
-        this.fullTextContent = prompt; // 初始化纯文字内容为初始提示
+        this.updateUI();
+        
+        try {
+            // 由服务器驱动整个轮换，关闭页面后生成仍会继续
+            const response = await fetch('/runs', {
+                method: 'POST',
+                headers: ownerHeaders(options.sessionId, {
+                    'Content-Type': 'application/json',
+                }),
+                body: JSON.stringify({
+                    models: this.selectedModels,
+                    prompt: prompt,
+                    tokensPerTurn: tokensPerTurn,
+                    maxTurns: maxTurns,
+                    stream: streamOutput,
+                    schedule: this.readSchedule(),
+                    context: this.readContext(),
+                    stop: this.readStop(),
+                    template: document.getElementById('prompt-template').value,
+                    mode: document.getElementById('session-mode').value,
+                    language: document.getElementById('session-language').value,
+                    sessionId: options.sessionId,
+                    message: options.message
+                }),
+            });
+            
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            
+            const run = await response.json();
+            if (run.ownerToken) {
+                rememberOwnerToken(run.sessionId, run.ownerToken);
+            }
+            localStorage.setItem(ACTIVE_RUN_KEY, run.id);
+            this.attachToRun(run.id);
+        } catch (error) {
+            console.error('Generation error:', error);
+            alert(`An error occurred during generation: ${error.message}`);
+            this.isGenerating = false;
+            this.updateStatus('Generation stopped');
+            this.updateUI();
+        }
+    }
+    
+    // 页面刷新后重新连接到仍在服务器上运行的 run
+    async resumeActiveRun() {
+        const runId = localStorage.getItem(ACTIVE_RUN_KEY);
+        if (!runId) return;
+        
+        try {
+            const response = await fetch(`/runs/${runId}`);
+            if (!response.ok) {
+                localStorage.removeItem(ACTIVE_RUN_KEY);
+                return;
+            }
+            this.attachToRun(runId);
+        } catch (error) {
+            console.error('Failed to resume run:', error);
+        }
+    }
+    
+    // 订阅 run 的事件流；snapshot 事件包含已有的全部轮次，因此重连时整体重绘
+    attachToRun(runId) {
+        this.detachFromRun();
+        this.runId = runId;
+        this.liveTurn = null;
+        
+        const events = new EventSource(`/runs/${runId}/events`);
+        this.runEvents = events;
+        
+        events.addEventListener('snapshot', (event) => {
+            const run = JSON.parse(event.data);
+            this.renderRun(run);
+            if (run.awaitingHuman) {
+                this.liveTurn = this.startModelTurn(this.findRunModel({ ...run.awaitingHuman, provider: 'human' }), run.awaitingHuman.turn);
+                this.showHumanTurn(run.awaitingHuman.turn);
+            }
+            if (run.awaitingChoice) {
+                this.showRaceChoice(run.awaitingChoice);
+            }
+            if (run.status === 'paused') {
+                this.updateStatus('Paused - edit the text, add your own or branch, then resume');
+            } else if (run.status !== 'running') {
+                this.finishRun(run.status, run.error, run.stopReason);
+            }
+        });
+        
+        this.listenToRun(events);
+        events.addEventListener('status', (event) => {
+            const { status, error, stopReason } = JSON.parse(event.data);
+            // 暂停和继续时事件流保持连接
+            if (status === 'paused' || status === 'running') {
+                this.isPaused = status === 'paused';
+                this.updateStatus(this.isPaused ? 'Paused - edit the text, add your own or branch, then resume' : 'Resumed');
+                this.updateUI();
+                return;
+            }
+            this.finishRun(status, error, stopReason);
+        });
+    }
+    
+    // run 的逐轮事件；自己的 run 和共享房间的事件流共用
+    listenToRun(events) {
+        events.addEventListener('turn-start', (event) => {
+            const info = JSON.parse(event.data);
+            const model = this.findRunModel(info);
+            this.updateStatus(`Turn ${info.turn + 1}/${this.maxTurns} - Generating with ${model.displayName} (${info.strategy})...`);
+            this.liveTurn = this.startModelTurn(model, info.turn);
+            if (info.provider === 'human' && !this.roomViewer) {
+                this.showHumanTurn(info.turn);
+            }
+        });
+        
+        events.addEventListener('race-start', (event) => {
+            const info = JSON.parse(event.data);
+            const names = info.models.map(model => this.findRunModel(model).displayName).join(', ');
+            this.updateStatus(`Turn ${info.turn + 1}/${this.maxTurns} - Racing ${names} (keep: ${info.policy})...`);
+        });
+        
+        events.addEventListener('race-choice', (event) => {
+            const info = JSON.parse(event.data);
+            if (this.roomViewer) {
+                this.updateStatus(`Turn ${info.turn + 1}/${this.maxTurns} - Waiting for the owner to pick a continuation`);
+            } else {
+                this.showRaceChoice(info);
+            }
+        });
+        
+        events.addEventListener('delta', (event) => {
+            if (this.liveTurn) {
+                this.appendModelDelta(this.liveTurn, JSON.parse(event.data).text);
+            }
+        });
+        
+        events.addEventListener('turn-retry', (event) => {
+            const info = JSON.parse(event.data);
+            const model = this.findRunModel(info);
+            const seconds = (info.delayMs / 1000).toFixed(1);
+            this.updateStatus(`Turn ${info.turn + 1}/${this.maxTurns} - ${model.displayName} failed (${info.error}), retrying in ${seconds}s...`);
+            // 重试会重新生成，清空已经流式显示的部分
+            if (this.liveTurn) {
+                this.liveTurn.text = '';
+                this.liveTurn.textElement.textContent = '';
+                this.renderTextOnly();
+            }
+        });
+        
+        events.addEventListener('turn-failed', (event) => {
+            if (this.liveTurn) {
+                this.liveTurn.turnElement.remove();
+                this.liveTurn = null;
+                this.renderTextOnly();
+            }
+            this.displayFailure(JSON.parse(event.data));
+        });
+        
+        events.addEventListener('turn', (event) => {
+            const turn = JSON.parse(event.data);
+            this.hideHumanTurn();
+            this.hideRaceChoice();
+            if (this.liveTurn) {
+                this.finishModelTurn(this.liveTurn, turn.reply, turn.sessionTurn, turn.removed, false, turn);
+                this.liveTurn = null;
+            } else {
+                this.displayModelResponse(turn.reply, this.findRunModel(turn), turn.sessionTurn, turn.removed, false, turn);
+            }
+            this.displayRaceCandidates(turn);
+            this.currentTurn = turn.sessionTurn + 1;
+            this.addTokenUsage(turn.usage);
+            this.updateStats();
+            this.loadAnalytics();
+        });
+    }
+    
+    detachFromRun() {
+        if (this.runEvents) {
+            this.runEvents.close();
+            this.runEvents = null;
+        }
+    }
+    
+    // 通过分享链接打开房间：创建者（持有所有者令牌）照常接管，其他人只观看
+    async joinRoom(roomId) {
+        if (ownerTokens()[roomId]) {
+            try {
+                const response = await fetch(`/sessions/${encodeURIComponent(roomId)}`);
+                const session = response.ok ? await response.json() : null;
+                if (session && session.runId) {
+                    localStorage.setItem(ACTIVE_RUN_KEY, session.runId);
+                    this.attachToRun(session.runId);
+                    return;
+                }
+            } catch (error) {
+                console.error('Failed to open room:', error);
+            }
+            this.openSession(roomId);
+            return;
+        }
+        
+        this.roomViewer = true;
+        document.body.classList.add('room-viewer');
+        this.detachFromRun();
+        this.liveTurn = null;
+        
+        // 房间事件流在两次 run 之间保持连接；断线重连后 room 事件会整体重绘
+        const events = new EventSource(`/sessions/${encodeURIComponent(roomId)}/events`);
+        this.runEvents = events;
+        
+        events.addEventListener('room', (event) => {
+            const { session, run, viewers } = JSON.parse(event.data);
+            this.runId = run ? run.id : null;
+            this.renderRun(run || { ...session, sessionId: session.id, status: 'stored', maxTurns: session.currentTurn, startTurn: 0 });
+            if (run && run.awaitingHuman) {
+                this.liveTurn = this.startModelTurn(this.findRunModel({ ...run.awaitingHuman, provider: 'human' }), run.awaitingHuman.turn);
+            }
+            document.getElementById('room-info').textContent = `👀 Watching live with ${viewers} viewer${viewers === 1 ? '' : 's'} - only the owner can start, stop or edit`;
+            if (run && run.status === 'paused') {
+                this.updateStatus('Paused by the owner');
+            } else if (!run) {
+                const ended = session.stopReason ? ` - ${session.stopReason.reason}` : '';
+                this.updateStatus(`Waiting for the owner (${session.currentTurn} turns)${ended}`);
+            }
+        });
+        
+        this.listenToRun(events);
+        events.addEventListener('status', (event) => {
+            const { status, error, stopReason } = JSON.parse(event.data);
+            this.isGenerating = status === 'running' || status === 'paused';
+            this.isPaused = status === 'paused';
+            if (status === 'paused' || status === 'running') {
+                this.updateStatus(this.isPaused ? 'Paused by the owner' : 'Resumed');
+            } else {
+                this.updateStatus(stopReason ? stopReason.reason : 'Generation stopped');
+                if (status === 'failed') {
+                    this.displayNotice(`⛔ Generation stopped: ${error}`);
+                }
+            }
+            this.updateUI();
+        });
+        
+        events.addEventListener('deleted', () => {
+            this.detachFromRun();
+            this.isGenerating = false;
+            this.updateStatus('The owner deleted or reset this session');
+            this.updateUI();
+        });
+    }
+    
+    // 复制房间链接；打开链接的人实时看到这个会话的每一轮
+    async shareRoom() {
+        if (!this.currentSessionId) return;
+        const link = `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(this.currentSessionId)}`;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.updateStatus(`Room link copied - anyone who opens it watches this session live: ${link}`);
+        } catch (error) {
+            prompt('Share this link to let others watch the session live:', link);
+        }
+    }
+    
+    renderRun(run) {
+        this.currentSessionId = run.sessionId || run.id;
+        this.runModels = run.models;
+        this.tokensPerTurn = run.tokensPerTurn;
+        this.maxTurns = (run.startTurn || 0) + run.maxTurns;
+        this.currentTurn = run.turns.length;
+        this.resetTextOnly(run.prompt); // 初始化纯文字内容为初始提示
+        this.sessionMode = run.mode || 'continue';
+        this.sessionLanguage = run.language || 'auto';
+        this.awaitingReply = this.sessionMode === 'chat';
+        this.tokenUsage = { promptTokens: 0, completionTokens: 0, last: null };
+        this.isGenerating = run.status === 'running' || run.status === 'paused';
+        this.isPaused = run.status === 'paused';
+        this.liveTurn = null;
+        this.renderBranches(run.branches || [], run.activeBranch);
         this.updateUI();
         
         // 显示输出区域
@@ -87,110 +1037,581 @@ class LLMTokenGenerator {
         
         // Initialize conversation display
         const display = document.getElementById('conversation-display');
-        display.innerHTML = `<div style="color: #666; margin-bottom: 20px; padding: 10px; background: #f0f0f0; border-radius: 6px;">
-            <strong>Initial Prompt:</strong> ${prompt}<br>
-            <strong>Max Turns:</strong> ${maxTurns} | <strong>Tokens per Turn:</strong> ${tokensPerTurn}
-        </div>`;
+        const field = (label, value) => {
+            const name = document.createElement('strong');
+            name.textContent = `${label}:`;
+            return [name, ` ${value}`];
+        };
+        const banner = document.createElement('div');
+        banner.className = 'prompt-banner';
+        banner.append(
+            ...field('Initial Prompt', run.prompt),
+            document.createElement('br'),
+            ...field('Max Turns', this.maxTurns),
+            ' | ',
+            ...field('Tokens per Turn', run.tokensPerTurn)
+        );
+        if (run.template) {
+            banner.append(' | ', ...field('Template', run.template));
+        }
+        display.innerHTML = '';
+        display.appendChild(banner);
         
-        // Initialize text-only display
-        const textOnlyDisplay = document.getElementById('text-only-display');
-        textOnlyDisplay.textContent = this.fullTextContent;
+        // 追问和失败记录按轮次插入到对应的位置
+        const failures = run.failures || [];
+        const messages = run.messages || [];
+        run.turns.forEach(turn => {
+            this.displayDivergence(turn.sessionTurn);
+            messages.filter(message => message.turn === turn.sessionTurn).forEach(message => this.displayUserMessage(message.content));
+            failures.filter(failure => failure.turn === turn.sessionTurn).forEach(failure => this.displayFailure(failure));
+            this.displayModelResponse(turn.reply, this.findRunModel(turn), turn.sessionTurn, turn.removed, turn.edited, turn);
+            this.displayRaceCandidates(turn);
+            this.addTokenUsage(turn.usage);
+        });
+        this.displayDivergence(run.turns.length);
+        messages.filter(message => message.turn >= run.turns.length).forEach(message => this.displayUserMessage(message.content));
+        failures.filter(failure => failure.turn >= run.turns.length).forEach(failure => this.displayFailure(failure));
+        this.renderTextOnly();
+        this.updateStats();
+        this.loadAnalytics();
+    }
+    
+    // 状态栏显示结束运行的原因（最大轮数、停止条件或用户停止）
+    finishRun(status, error, stopReason) {
+        this.detachFromRun();
+        this.hideHumanTurn();
+        this.hideRaceChoice();
+        this.isGenerating = false;
+        this.isPaused = false;
+        localStorage.removeItem(ACTIVE_RUN_KEY);
         
+        if (status === 'completed') {
+            this.updateStatus(stopReason ? stopReason.reason : `Completed all ${this.maxTurns} turns`);
+        } else if (status === 'failed') {
+            this.updateStatus('Generation failed');
+            this.displayNotice(`⛔ Generation stopped: ${error}`);
+        } else {
+            this.updateStatus('Generation stopped');
+        }
+        this.updateUI();
+        this.loadSessions();
+    }
+    
+    async loadSessions() {
         try {
-            while (this.isGenerating && this.currentTurn < this.maxTurns) {
-                const currentModelIndex = this.currentTurn % this.selectedModels.length;
-                const currentModel = this.selectedModels[currentModelIndex];
-                
-                console.log(`Turn ${this.currentTurn}: Using model index ${currentModelIndex} (${currentModel.displayName}) out of ${this.selectedModels.length} models`);
-                
-                // Update status display
-                this.updateStatus(`Turn ${this.currentTurn + 1}/${this.maxTurns} - Generating with ${currentModel.displayName}...`);
-                
-                // 发送请求到后端
-                const response = await fetch('/chat', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        sessionId: this.sessionId,
-                        models: this.selectedModels,
-                        prompt: prompt,
-                        tokensPerTurn: tokensPerTurn
-                    }),
-                });
-                
-                if (!response.ok) {
-                    let errorMessage;
-                    const contentType = response.headers.get('content-type');
-                    
-                    if (contentType && contentType.includes('application/json')) {
-                        const errorData = await response.json();
-                        errorMessage = errorData.error || 'Request failed';
-                    } else {
-                        // If the response is not JSON, it might be an HTML error page
-                        const errorText = await response.text();
-                        errorMessage = `Server returned non-JSON response, possibly a server error. Status code: ${response.status}`;
-                        console.error('Server returned HTML instead of JSON:', errorText.substring(0, 500));
-                    }
-                    
-                    throw new Error(errorMessage);
-                }
-                
-                let data;
-                try {
-                    data = await response.json();
-                } catch (jsonError) {
-                    console.error('Failed to parse JSON response:', jsonError);
-                    const responseText = await response.text();
-                    console.error('Raw response:', responseText.substring(0, 500));
-                    throw new Error('Server returned invalid JSON response, possibly a server error');
-                }
-                
-                if (this.isGenerating) {
-                    // Use the turn number from the server response to ensure consistency
-                    const serverTurn = data.sessionTurn !== undefined ? data.sessionTurn : this.currentTurn;
-                    
-                    this.displayModelResponse(data.reply, currentModel, serverTurn);
-                    this.currentTurn++;
-                    
-                    console.log(`Completed turn ${serverTurn}, next will be turn ${this.currentTurn}`);
-                    
-                    // Update statistics
-                    this.updateStats();
-                    
-                    // Check if we've reached the maximum turns
-                    if (this.currentTurn >= this.maxTurns) {
-                        this.updateStatus(`Completed all ${this.maxTurns} turns`);
-                        this.stopGeneration();
-                        break;
-                    }
-                    
-                    // Brief delay to let user see the generation process
-                    await this.sleep(500);
-                }
+            const response = await fetch('/sessions');
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
             }
+            const { sessions } = await response.json();
+            this.renderSessionsList(sessions);
         } catch (error) {
-            console.error('Generation error:', error);
-            alert(`An error occurred during generation: ${error.message}`);
-            this.stopGeneration();
+            console.error('Failed to load sessions:', error);
+        }
+    }
+    
+    renderSessionsList(sessions) {
+        const list = document.getElementById('sessions-list');
+        list.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'sessions-empty';
+            empty.textContent = 'No saved sessions yet.';
+            list.appendChild(empty);
+            return;
+        }
+        
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            
+            const info = document.createElement('div');
+            info.className = 'session-info';
+            const preview = document.createElement('div');
+            preview.className = 'session-preview';
+            preview.textContent = session.preview;
+            const meta = document.createElement('div');
+            meta.className = 'session-meta';
+            const modelNames = session.models.map(model => model.displayName || model.modelName).join(', ');
+            meta.textContent = `${session.currentTurn} turns | ${modelNames} | updated ${new Date(session.updatedAt).toLocaleString()}`;
+            if (session.stopReason) {
+                meta.title = session.stopReason.reason;
+            }
+            info.append(preview, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'session-actions';
+            actions.append(
+                this.createSessionButton('📖 Open', () => this.openSession(session.id)),
+                this.createSessionButton('▶️ Continue', () => this.startGeneration({ sessionId: session.id })),
+                this.createSessionButton('🗑️ Delete', () => this.deleteSession(session.id))
+            );
+            
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    }
+    
+    createSessionButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'secondary-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    // 只读打开一个已保存的会话
+    async openSession(sessionId) {
+        if (this.isGenerating) {
+            alert('Stop the current generation before opening another session.');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/sessions/${sessionId}`);
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            const session = await response.json();
+            this.renderRun({ ...session, status: 'stored', maxTurns: session.currentTurn, startTurn: 0 });
+            const ended = session.stopReason ? ` - ${session.stopReason.reason}` : '';
+            this.updateStatus(`Viewing saved session (${session.currentTurn} turns)${ended}`);
+        } catch (error) {
+            alert(`Failed to open session: ${error.message}`);
+        }
+    }
+    
+    exportTranscript(format) {
+        if (!this.currentSessionId) return;
+        // 服务器以附件形式返回，浏览器会直接下载
+        window.location.href = `/sessions/${this.currentSessionId}/export?format=${format}`;
+    }
+    
+    async importTranscript(file) {
+        try {
+            const response = await fetch('/sessions/import', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-ndjson',
+                },
+                body: await file.text(),
+            });
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            
+            const session = await response.json();
+            rememberOwnerToken(session.id, session.ownerToken);
+            await this.loadSessions();
+            this.openSession(session.id);
+        } catch (error) {
+            alert(`Failed to import transcript: ${error.message}`);
+        }
+    }
+    
+    async deleteSession(sessionId) {
+        if (!confirm('Delete this session? This cannot be undone.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/sessions/${sessionId}`, { method: 'DELETE', headers: ownerHeaders(sessionId) });
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+        } catch (error) {
+            alert(`Failed to delete session: ${error.message}`);
+        }
+        this.loadSessions();
+    }
+    
+    findRunModel({ modelName, provider }) {
+        const model = (this.runModels || []).find(m => m.modelName === modelName && m.provider === provider);
+        return {
+            modelName,
+            provider,
+            displayName: model && model.displayName ? model.displayName : modelName
+        };
+    }
+    
+    async readErrorMessage(response) {
+        const contentType = response.headers.get('content-type');
+        
+        if (contentType && contentType.includes('application/json')) {
+            const errorData = await response.json();
+            return errorData.error || 'Request failed';
         }
+        
+        // If the response is not JSON, it might be an HTML error page
+        const errorText = await response.text();
+        console.error('Server returned HTML instead of JSON:', errorText.substring(0, 500));
+        return `Server returned non-JSON response, possibly a server error. Status code: ${response.status}`;
     }
     
-    displayModelResponse(response, model, turn) {
+    // 某个模型放弃本轮时，在对话中内联显示，而不是弹窗
+    displayFailure(failure) {
+        const model = this.findRunModel(failure);
+        if (failure.skipped) {
+            this.displayNotice(`⏭️ Turn ${failure.turn + 1}: ${model.displayName} is benched after repeated failures. Turn passed to ${this.findRunModel(failure.passedTo).displayName}.`);
+            return;
+        }
+        
+        let message = `⚠️ Turn ${failure.turn + 1}: ${model.displayName} failed after ${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'} (${failure.error}).`;
+        if (failure.benched) {
+            message += ' Benched for the next few turns.';
+        }
+        message += failure.passedTo
+            ? ` Turn passed to ${this.findRunModel(failure.passedTo).displayName}.`
+            : ' No other model left to take the turn.';
+        this.displayNotice(message);
+    }
+    
+    // 对话模式下用户的追问，之后的回答另起一段
+    displayUserMessage(content) {
+        const display = document.getElementById('conversation-display');
+        const message = document.createElement('div');
+        message.className = 'user-message';
+        message.textContent = `🧑 ${content}`;
+        display.appendChild(message);
+        display.scrollTop = display.scrollHeight;
+        
+        this.appendTextOnly('\n\n', content, null);
+        this.awaitingReply = true;
+        this.renderTextOnly();
+    }
+    
+    async sendFollowUp() {
+        const input = document.getElementById('follow-up-message');
+        const message = input.value.trim();
+        if (!message || !this.currentSessionId || this.isGenerating) return;
+        
+        await this.startGeneration({ sessionId: this.currentSessionId, message });
+        if (this.isGenerating) {
+            input.value = '';
+        }
+    }
+    
+    // 纯文字视图中新一轮文本前的分隔符，取决于会话语言和两侧的文字
+    textSeparator(next) {
+        return this.awaitingReply ? '\n\n' : joinSeparator(this.fullTextContent, next, this.sessionLanguage);
+    }
+    
+    displayNotice(message) {
+        const display = document.getElementById('conversation-display');
+        const notice = document.createElement('div');
+        notice.className = 'turn-notice';
+        notice.textContent = message;
+        display.appendChild(notice);
+        display.scrollTop = display.scrollHeight;
+    }
+    
+    displayModelResponse(response, model, turn, removed, edited, details) {
+        const liveTurn = this.startModelTurn(model, turn);
+        this.finishModelTurn(liveTurn, response, turn, removed, edited, details);
+    }
+    
+    // 在对话区域创建当前模型的标签和一个空的文本 span，流式输出会写入这里
+    startModelTurn(model, turn) {
         const display = document.getElementById('conversation-display');
-        const modelClass = `model-${model.provider}`;
+        
+        const turnLabel = document.createElement('span');
+        turnLabel.className = 'model-turn';
+        turnLabel.textContent = `Turn ${turn + 1}`;
+        const modelLabel = document.createElement('span');
+        modelLabel.className = `model-${model.provider}`;
+        modelLabel.textContent = `[${model.displayName}]:`;
         
         const turnElement = document.createElement('span');
-        turnElement.innerHTML = `<span class="model-turn">Turn ${turn + 1}</span><span class="${modelClass}">[${model.displayName}]:</span> ${response} `;
+        turnElement.append(turnLabel, modelLabel, ' ');
+        
+        const textElement = document.createElement('span');
+        textElement.className = 'turn-text';
+        turnElement.appendChild(textElement);
+        turnElement.appendChild(document.createTextNode(' '));
         
         display.appendChild(turnElement);
         display.scrollTop = display.scrollHeight;
         
+        return { turnElement, textElement, modelLabel, text: '', model, turn };
+    }
+    
+    // 本轮实际发送的上下文大小
+    createContextBadge({ policy, textTokens, contentTokens, summaryTokens, promptTokens, limit, cut }) {
+        const policies = { full: 'full text', window: 'sliding window', summary: 'rolling summary' };
+        const badge = document.createElement('span');
+        badge.className = 'turn-context';
+        badge.textContent = `${promptTokens.toLocaleString()} tok`;
+        
+        let title = `Context sent: ${promptTokens.toLocaleString()} prompt tokens (${policies[policy] || policy}), ` +
+            `with ${contentTokens.toLocaleString()} of the ${textTokens.toLocaleString()} text tokens`;
+        if (summaryTokens) {
+            title += ` including a ${summaryTokens.toLocaleString()}-token summary`;
+        }
+        if (cut) {
+            title += `; cut to fit the model's ${limit.toLocaleString()}-token context length`;
+            badge.classList.add('turn-context-cut');
+        }
+        badge.title = title;
+        return badge;
+    }
+    
+    appendModelDelta(liveTurn, delta) {
+        liveTurn.text += delta;
+        liveTurn.textElement.textContent = liveTurn.text;
+        
+        const display = document.getElementById('conversation-display');
+        display.scrollTop = display.scrollHeight;
+        this.renderTextOnly(this.liveTextSegment(liveTurn));
+    }
+    
+    // 用服务器清理后的最终文本替换流式文本；被去重删掉的部分显示在 ✂️ 的提示里
+    // details 是服务器的轮次记录，其中的采样参数和发送的上下文显示在标签上
+    finishModelTurn(liveTurn, response, turn, removed = [], edited = false, { sampling = null, context = null } = {}) {
+        liveTurn.textElement.textContent = response;
+        liveTurn.turnElement.querySelector('.model-turn').textContent = `Turn ${turn + 1}`;
+        if (sampling && Object.keys(sampling).length) {
+            liveTurn.modelLabel.title = `Sampling: ${formatSampling(sampling)}`;
+        }
+        if (context) {
+            liveTurn.modelLabel.before(this.createContextBadge(context));
+        }
+        
+        // 按相反顺序插入，使标记依次排在文本之后
+        const actions = [
+            this.createTurnAction('⑂', 'Start a new branch after this turn', () => this.forkBranch(turn)),
+            this.createTurnAction('✏️', 'Edit this turn', () => this.editTurn(liveTurn.textElement, turn))
+        ];
+        actions.forEach(action => liveTurn.textElement.after(action));
+        
+        if (edited) {
+            const marker = document.createElement('span');
+            marker.className = 'turn-edited';
+            marker.textContent = ' (edited)';
+            liveTurn.textElement.after(marker);
+        }
+        
+        if (removed.length) {
+            const marker = document.createElement('span');
+            marker.className = 'turn-removed';
+            marker.textContent = '✂️';
+            marker.title = 'Removed as repetition:\n' + removed.map(({ type, text }) => `[${type}] ${text}`).join('\n');
+            liveTurn.textElement.after(marker);
+        }
+        
         // 更新纯文字显示 - 只添加响应内容，不包括模型标识
-        this.fullTextContent += ' ' + response;
+        this.appendTextOnly(this.textSeparator(response), response, this.textAuthor(liveTurn.model, turn));
+        this.awaitingReply = false;
+        this.renderTextOnly();
+    }
+    
+    createTurnAction(label, title, onClick) {
+        const action = document.createElement('span');
+        action.className = 'turn-actions';
+        action.textContent = label;
+        action.title = title;
+        action.addEventListener('click', onClick);
+        return action;
+    }
+    
+    // 生成结束或暂停后才能修改会话
+    canEditSession() {
+        if (!this.currentSessionId || this.roomViewer) return false;
+        if (this.isGenerating && !this.isPaused) {
+            alert('Pause or stop the generation first.');
+            return false;
+        }
+        return true;
+    }
+    
+    // 直接在对话区域里编辑某一轮的文本，失去焦点时保存
+    editTurn(textElement, turn) {
+        if (!this.canEditSession() || textElement.isContentEditable) return;
+        
+        const original = textElement.textContent;
+        textElement.contentEditable = 'true';
+        textElement.focus();
+        
+        const onKeyDown = (event) => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                textElement.blur();
+            } else if (event.key === 'Escape') {
+                textElement.textContent = original;
+                textElement.blur();
+            }
+        };
+        textElement.addEventListener('keydown', onKeyDown);
+        textElement.addEventListener('blur', async () => {
+            textElement.removeEventListener('keydown', onKeyDown);
+            textElement.contentEditable = 'false';
+            const text = textElement.textContent;
+            if (text === original) return;
+            
+            await this.updateSession(`/sessions/${this.currentSessionId}/turns/${turn}`, 'PATCH', { text }, 'Failed to save the edit');
+        }, { once: true });
+    }
+    
+    async injectText() {
+        const input = document.getElementById('inject-text');
+        const text = input.value.trim();
+        if (!text || !this.canEditSession()) return;
+        
+        if (await this.updateSession(`/sessions/${this.currentSessionId}/turns`, 'POST', { text }, 'Failed to add the text')) {
+            input.value = '';
+        }
+    }
+    
+    async forkBranch(turn) {
+        if (!this.canEditSession()) return;
+        const name = prompt(`Name of the new branch (it keeps turns 1-${turn + 1}):`, '');
+        if (name === null) return;
+        
+        await this.updateSession(`/sessions/${this.currentSessionId}/branches`, 'POST', { afterTurn: turn, name: name.trim() || undefined }, 'Failed to create the branch');
+    }
+    
+    async switchBranch(branchId) {
+        if (!this.canEditSession()) {
+            this.renderBranches(this.branches, this.activeBranch);
+            return;
+        }
+        await this.updateSession(`/sessions/${this.currentSessionId}/branches/${branchId}/activate`, 'POST', {}, 'Failed to switch branches');
+    }
+    
+    // 发送修改请求，成功后重新载入并重绘会话
+    async updateSession(url, method, body, failureMessage) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: ownerHeaders(this.currentSessionId, { 'Content-Type': 'application/json' }),
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            await this.reloadSession();
+            return true;
+        } catch (error) {
+            alert(`${failureMessage}: ${error.message}`);
+            await this.reloadSession();
+            return false;
+        }
+    }
+    
+    async reloadSession() {
+        const response = await fetch(`/sessions/${this.currentSessionId}`);
+        if (!response.ok) return;
+        const session = await response.json();
+        const status = this.isPaused ? 'paused' : 'stored';
+        const maxTurns = this.isPaused ? Math.max(this.maxTurns, session.currentTurn) : session.currentTurn;
+        this.renderRun({ ...session, sessionId: session.id, status, maxTurns, startTurn: 0 });
+    }
+    
+    renderBranches(branches, activeBranch) {
+        this.branches = branches;
+        this.activeBranch = activeBranch;
+        
+        const select = document.getElementById('branch-select');
+        select.innerHTML = '';
+        branches.forEach(branch => {
+            const option = document.createElement('option');
+            option.value = branch.id;
+            option.textContent = branch.parentId
+                ? `${branch.name} (from turn ${branch.forkTurn + 1}, ${branch.currentTurn} turns)`
+                : `${branch.name} (${branch.currentTurn} turns)`;
+            select.appendChild(option);
+        });
+        select.value = activeBranch;
+        document.getElementById('branch-bar').style.display = branches.length > 1 ? 'flex' : 'none';
+    }
+    
+    // 在分支分叉的位置标出另一条分支从这里怎样继续
+    displayDivergence(turn) {
+        const display = document.getElementById('conversation-display');
+        const active = this.branches.find(branch => branch.id === this.activeBranch);
+        const name = (id) => this.branches.find(branch => branch.id === id).name;
+        const quote = (text) => text === null ? 'nothing yet' : `“${text}”`;
+        
+        const notes = [];
+        if (active && active.divergence && active.forkTurn === turn) {
+            notes.push(`⑂ ${active.name} branches off ${name(active.parentId)} here. ${name(active.parentId)} continued: ${quote(active.divergence.parentText)}`);
+        }
+        this.branches
+            .filter(branch => branch.parentId === this.activeBranch && branch.forkTurn === turn)
+            .forEach(branch => notes.push(`⑂ ${branch.name} continues differently from here: ${quote(branch.divergence.text)}`));
+        
+        notes.forEach(note => {
+            const marker = document.createElement('div');
+            marker.className = 'branch-divergence';
+            marker.textContent = note;
+            display.appendChild(marker);
+        });
+    }
+    
+    resetTextOnly(text) {
+        this.fullTextContent = '';
+        this.textSegments = [];
+        if (text) this.appendTextOnly('', text, null);
+    }
+    
+    appendTextOnly(separator, text, author) {
+        this.fullTextContent += separator + text;
+        this.textSegments.push({ separator, text, author });
+    }
+    
+    // 纯文字视图里一段文字的作者：模型名、轮次和该模型的颜色
+    textAuthor(model, turn) {
+        const index = this.runModels.findIndex(m => m.modelName === model.modelName && m.provider === model.provider);
+        return {
+            name: model.displayName,
+            turn,
+            colour: index === -1 ? '#64748b' : ATTRIBUTION_COLOURS[index % ATTRIBUTION_COLOURS.length]
+        };
+    }
+    
+    liveTextSegment(liveTurn) {
+        return {
+            separator: this.textSeparator(liveTurn.text),
+            text: liveTurn.text,
+            author: this.textAuthor(liveTurn.model, liveTurn.turn)
+        };
+    }
+    
+    rerenderTextOnly() {
+        this.renderTextOnly(this.liveTurn && this.liveTurn.text ? this.liveTextSegment(this.liveTurn) : null);
+    }
+    
+    // 每轮文字放在自己的 span 里，悬停或打开 "Show who wrote what" 时按模型着色并标出轮次；
+    // 分隔符留在 span 之外，复制出来的仍是原文
+    renderTextOnly(liveSegment = null) {
         const textOnlyDisplay = document.getElementById('text-only-display');
-        textOnlyDisplay.textContent = this.fullTextContent;
+        const segments = liveSegment ? this.textSegments.concat(liveSegment) : this.textSegments;
+        const markdown = document.getElementById('render-markdown').checked;
+        const attribution = document.getElementById('show-attribution');
+        attribution.disabled = markdown;
+        textOnlyDisplay.classList.toggle('markdown', markdown);
+        textOnlyDisplay.classList.toggle('show-attribution', !markdown && attribution.checked);
+        
+        textOnlyDisplay.innerHTML = '';
+        if (markdown) {
+            // markdownToHtml 转义了全部文本，这里插入的只有它生成的标签
+            textOnlyDisplay.innerHTML = markdownToHtml(segments.map(segment => segment.separator + segment.text).join(''));
+        } else {
+            segments.forEach(({ separator, text, author }) => {
+                if (separator) textOnlyDisplay.appendChild(document.createTextNode(separator));
+                if (!author) {
+                    textOnlyDisplay.appendChild(document.createTextNode(text));
+                    return;
+                }
+                const span = document.createElement('span');
+                span.className = 'text-span';
+                span.textContent = text;
+                span.title = `Turn ${author.turn + 1} · ${author.name}`;
+                span.dataset.turn = author.turn + 1;
+                span.style.setProperty('--author-colour', author.colour);
+                textOnlyDisplay.appendChild(span);
+            });
+        }
         textOnlyDisplay.scrollTop = textOnlyDisplay.scrollHeight;
     }
     
@@ -198,9 +1619,115 @@ class LLMTokenGenerator {
         document.getElementById('current-status').textContent = message;
     }
     
+    // 累计服务器返回的每轮 token 用量
+    addTokenUsage(usage) {
+        if (!usage) return;
+        this.tokenUsage.promptTokens += usage.promptTokens || 0;
+        this.tokenUsage.completionTokens += usage.completionTokens || 0;
+        this.tokenUsage.last = usage;
+    }
+    
     updateStats() {
         const statsElement = document.getElementById('generation-stats');
-        statsElement.textContent = `Generated ${this.currentTurn}/${this.maxTurns || 50} rounds | Using ${this.selectedModels.length} models`;
+        let stats = `Generated ${this.currentTurn}/${this.maxTurns || 50} rounds | Using ${this.runModels.length || this.selectedModels.length} models`;
+        
+        const { promptTokens, completionTokens, last } = this.tokenUsage;
+        if (last) {
+            stats += ` | Tokens: ${promptTokens} prompt / ${completionTokens} completion`;
+            stats += ` | Last turn: ${last.promptTokens} / ${last.completionTokens}${last.trimmed ? ` (trimmed to ${last.keptTokens})` : ''}`;
+        }
+        statsElement.textContent = stats;
+    }
+
+    // 从服务器获取每个模型的延迟、成本和贡献统计
+    async loadAnalytics() {
+        const sessionId = this.currentSessionId;
+        if (!sessionId) return;
+        
+        try {
+            const response = await fetch(`/sessions/${sessionId}/analytics`);
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            const analytics = await response.json();
+            // 请求期间可能已经切换到其他会话
+            if (sessionId === this.currentSessionId) {
+                this.renderAnalytics(analytics);
+            }
+        } catch (error) {
+            console.error('Failed to load analytics:', error);
+        }
+    }
+    
+    renderAnalytics({ currency, totals, models }) {
+        const formatCost = (cost) => `${cost.toFixed(5)} ${currency}`;
+        const formatPercent = (value) => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+        const formatLatency = (ms) => ms === null ? '-' : `${ms} ms`;
+        const name = (model) => model.displayName || model.modelName;
+        
+        document.getElementById('analytics').style.display = totals.turns ? 'block' : 'none';
+        document.getElementById('analytics-summary').textContent =
+            `${totals.turns} turns | ${totals.characters} characters | Avg latency ${formatLatency(totals.averageLatencyMs)} | Est. cost so far ${formatCost(totals.cost)} | ${totals.failures} failures`;
+        
+        const rows = document.getElementById('analytics-rows');
+        rows.innerHTML = '';
+        models.forEach(model => {
+            const row = document.createElement('tr');
+            [
+                name(model),
+                model.candidates ? `${model.turns} (${model.candidates} raced)` : String(model.turns),
+                formatPercent(model.share),
+                formatPercent(model.survival),
+                formatLatency(model.averageLatencyMs),
+                `${model.promptTokens} / ${model.completionTokens}`,
+                formatCost(model.cost),
+                String(model.failures)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            rows.appendChild(row);
+        });
+        
+        const charts = document.getElementById('analytics-charts');
+        charts.innerHTML = '';
+        [
+            { title: 'Share of the text', value: model => model.share, format: formatPercent },
+            { title: 'Average latency', value: model => model.averageLatencyMs, format: formatLatency },
+            { title: 'Cost so far', value: model => model.cost, format: formatCost }
+        ].forEach(({ title, value, format }) => charts.appendChild(this.createBarChart(title, models, value, format, name)));
+    }
+    
+    // 简单的横向条形图，条长相对于最大值
+    createBarChart(title, models, value, format, name) {
+        const chart = document.createElement('div');
+        chart.className = 'analytics-chart';
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        chart.appendChild(heading);
+        
+        const max = Math.max(0, ...models.map(model => value(model) || 0));
+        models.forEach(model => {
+            const row = document.createElement('div');
+            row.className = 'chart-row';
+            const label = document.createElement('span');
+            label.className = 'chart-label';
+            label.textContent = name(model);
+            label.title = name(model);
+            const track = document.createElement('div');
+            track.className = 'chart-track';
+            const bar = document.createElement('div');
+            bar.className = 'chart-bar';
+            bar.style.width = max ? `${((value(model) || 0) / max) * 100}%` : '0';
+            track.appendChild(bar);
+            const amount = document.createElement('span');
+            amount.className = 'chart-value';
+            amount.textContent = format(value(model));
+            row.append(label, track, amount);
+            chart.appendChild(row);
+        });
+        return chart;
     }
 
     validateParameters() {
@@ -235,53 +1762,161 @@ class LLMTokenGenerator {
         return isValid;
     }
     
-    stopGeneration() {
-        this.isGenerating = false;
-        this.updateStatus('Generation stopped');
-        this.updateUI();
+    // 轮到人类参与者时，运行会等待这里提交的文本
+    showHumanTurn(turn) {
+        this.updateStatus(`Turn ${turn + 1}/${this.maxTurns} - Your turn: write up to ${this.tokensPerTurn} tokens`);
+        document.getElementById('human-turn').style.display = 'flex';
+        document.getElementById('human-turn-text').focus();
     }
     
-    async resetConversation() {
-        // Stop any ongoing generation first
-        this.isGenerating = false;
+    hideHumanTurn() {
+        document.getElementById('human-turn').style.display = 'none';
+    }
+    
+    async submitHumanTurn() {
+        const input = document.getElementById('human-turn-text');
+        const text = input.value.trim();
+        if (!text || !this.runId) return;
         
-        // Send reset request to backend
         try {
-            const response = await fetch('/chat', {
+            const response = await fetch(`/runs/${this.runId}/human-turn`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    sessionId: this.sessionId,
-                    reset: true
-                }),
+                headers: ownerHeaders(this.currentSessionId, { 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ text })
             });
-            
-            if (response.ok) {
-                console.log('Backend session reset successfully');
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            input.value = '';
+            this.hideHumanTurn();
+        } catch (error) {
+            alert(`Failed to submit your turn: ${error.message}`);
+        }
+    }
+    
+    // 竞速模式下由用户选择保留哪个候选
+    showRaceChoice({ turn, candidates }) {
+        this.updateStatus(`Turn ${turn + 1}/${this.maxTurns} - Pick the continuation to keep`);
+        const list = document.getElementById('race-choice-candidates');
+        list.innerHTML = '';
+        candidates.forEach((candidate, index) => {
+            const row = document.createElement('div');
+            row.className = 'race-candidate';
+            const button = document.createElement('button');
+            button.className = 'secondary-btn';
+            button.textContent = `Keep ${this.findRunModel(candidate).displayName}`;
+            button.addEventListener('click', () => this.submitChoice(index));
+            const text = document.createElement('span');
+            text.textContent = candidate.text;
+            row.append(button, text);
+            list.appendChild(row);
+        });
+        document.getElementById('race-choice').style.display = 'block';
+    }
+    
+    hideRaceChoice() {
+        document.getElementById('race-choice').style.display = 'none';
+    }
+    
+    async submitChoice(index) {
+        try {
+            const response = await fetch(`/runs/${this.runId}/choice`, {
+                method: 'POST',
+                headers: ownerHeaders(this.currentSessionId, { 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ index })
+            });
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
             }
+            this.hideRaceChoice();
         } catch (error) {
-            console.error('Reset error:', error);
+            alert(`Failed to pick the candidate: ${error.message}`);
         }
+    }
+    
+    // 竞速轮次下方列出所有候选，未被选中的也能查看
+    displayRaceCandidates(turn) {
+        if (!turn.race) return;
+        const display = document.getElementById('conversation-display');
+        const { candidates, reason } = turn.race;
+        
+        const details = document.createElement('details');
+        details.className = 'race-candidates';
+        const summary = document.createElement('summary');
+        summary.textContent = `🏁 Kept ${this.findRunModel(turn).displayName} by ${reason}; ${candidates.length - 1} other candidate${candidates.length === 2 ? '' : 's'}`;
+        details.appendChild(summary);
+        
+        candidates.forEach(candidate => {
+            const row = document.createElement('div');
+            row.className = candidate.selected ? 'race-candidate selected' : 'race-candidate';
+            row.textContent = `${candidate.selected ? '✅' : '▫️'} [${this.findRunModel(candidate).displayName}, ${candidate.latencyMs} ms] ${candidate.text}`;
+            details.appendChild(row);
+        });
+        display.appendChild(details);
+    }
+    
+    async togglePause() {
+        if (!this.runId || !this.isGenerating) return;
+        
+        try {
+            const response = await fetch(`/runs/${this.runId}/${this.isPaused ? 'resume' : 'pause'}`, { method: 'POST', headers: ownerHeaders(this.currentSessionId) });
+            if (!response.ok) {
+                throw new Error(await this.readErrorMessage(response));
+            }
+            // 状态变化通过事件流的 status 事件更新界面
+            this.updateStatus(this.isPaused ? 'Resuming...' : 'Pausing after the current turn...');
+        } catch (error) {
+            alert(`Failed to ${this.isPaused ? 'resume' : 'pause'}: ${error.message}`);
+        }
+    }
+    
+    async stopGeneration() {
+        if (this.runId && this.isGenerating) {
+            try {
+                await fetch(`/runs/${this.runId}/cancel`, { method: 'POST', headers: ownerHeaders(this.currentSessionId) });
+            } catch (error) {
+                console.error('Cancel error:', error);
+            }
+        }
+        this.detachFromRun();
+        this.hideHumanTurn();
+        this.hideRaceChoice();
+        localStorage.removeItem(ACTIVE_RUN_KEY);
+        this.isGenerating = false;
+        this.updateStatus('Generation stopped');
+        this.updateUI();
+    }
+    
+    async resetConversation() {
+        // Stop any ongoing generation first
+        await this.stopGeneration();
         
         // Reset frontend state completely
-        this.sessionId = Date.now().toString();
+        this.runId = null;
+        this.currentSessionId = null;
+        this.runModels = [];
+        this.liveTurn = null;
         this.currentTurn = 0;
         this.maxTurns = 50; // Reset to default
-        this.isGenerating = false;
-        this.fullTextContent = ''; // 重置纯文字内容
+        this.resetTextOnly(''); // 重置纯文字内容
+        this.tokenUsage = { promptTokens: 0, completionTokens: 0, last: null };
+        this.sessionMode = 'continue';
+        this.sessionLanguage = 'auto';
+        this.awaitingReply = false;
+        this.isPaused = false;
+        this.renderBranches([], null);
         
         // Clear display area
         document.getElementById('conversation-display').innerHTML = '';
         document.getElementById('text-only-display').textContent = '';
         document.getElementById('output-section').style.display = 'none';
         document.getElementById('text-only-section').style.display = 'none';
+        document.getElementById('analytics').style.display = 'none';
         
         this.updateStatus('Ready - Session Reset');
         this.updateUI();
         
-        console.log('Frontend reset complete. New session ID:', this.sessionId);
+        console.log('Frontend reset complete.');
     }
     
     updateUI() {
@@ -294,22 +1929,43 @@ class LLMTokenGenerator {
         startBtn.disabled = this.isGenerating || this.selectedModels.length === 0 || !promptInput.value.trim() || !paramsValid;
         stopBtn.disabled = !this.isGenerating;
         
+        const pauseBtn = document.getElementById('pause-generation');
+        pauseBtn.disabled = !this.isGenerating || !this.runId;
+        pauseBtn.textContent = this.isPaused ? '▶️ Resume' : '⏸️ Pause';
+        
+        const canEdit = this.currentSessionId && !this.roomViewer && (!this.isGenerating || this.isPaused);
+        document.getElementById('inject').style.display = canEdit && this.sessionMode !== 'chat' ? 'flex' : 'none';
+        document.getElementById('branch-select').disabled = !canEdit;
+        
+        // 对话模式的会话在生成结束后可以继续追问
+        const canFollowUp = this.sessionMode === 'chat' && this.currentSessionId && !this.roomViewer && !this.isGenerating;
+        document.getElementById('follow-up').style.display = canFollowUp ? 'flex' : 'none';
+        document.getElementById('room-bar').style.display = this.currentSessionId ? 'flex' : 'none';
+        
         // Update button text
-        if (this.isGenerating) {
+        if (this.isPaused) {
+            startBtn.textContent = '⏸️ Paused';
+        } else if (this.isGenerating) {
             startBtn.textContent = '🔄 Generating...';
         } else {
             startBtn.textContent = '🚀 Start Generation';
         }
     }
-    
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 // 页面加载完成后初始化
 document.addEventListener('DOMContentLoaded', () => {
     const generator = new LLMTokenGenerator();
+    generator.loadModelCatalog();
+    // ?room=<sessionId> 是分享出来的房间链接
+    const room = new URLSearchParams(window.location.search).get('room');
+    if (room) {
+        generator.joinRoom(room);
+    } else {
+        generator.resumeActiveRun();
+    }
+    generator.loadSessions();
+    generator.loadTemplates();
     
     // 监听提示词输入变化
     document.getElementById('user-prompt').addEventListener('input', () => {
@@ -326,12 +1982,5 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
-    // 监听API密钥输入变化
-    document.querySelectorAll('.api-key-input').forEach(input => {
-        input.addEventListener('input', () => {
-            generator.updateSelectedModels();
-        });
-    });
-
     console.log('🚀 Multi-LLM Token Generator initialized!');
 });
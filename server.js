@@ -1,9 +1,25 @@
 // server.js
 
-const express = require('express');
-const { OpenAI } = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
+const express = require('express');
+const { SESSION_MODES, HUMAN_PROVIDER, createSession, editTurn, injectText, runTurn, sessionTurns, sessionMessages, sessionUsage, summarizeSession, describeError } = require('./lib/turns');
+const { ACTIVE_STATUSES, createRunManager, serializeRun } = require('./lib/runs');
+const { MAIN_BRANCH, validateFork, forkBranch, switchBranch, listBranches } = require('./lib/branches');
+const { sessionStoreFromEnv, isValidSessionId } = require('./lib/store');
+const { exportSession, importSession } = require('./lib/transcripts');
+const { validateSchedule } = require('./lib/schedulers');
+const { validateContext } = require('./lib/context');
+const { validateStop } = require('./lib/stop');
+const { openEventStream, sendEvent } = require('./lib/sse');
+const { OWNER_HEADER, createOwnerToken, isOwner, createRoomHub } = require('./lib/rooms');
+const { MAX_TOTAL_TOKENS, countTokens } = require('./lib/tokens');
+const { templateStoreFromEnv } = require('./lib/templates');
+const { defaultPriceTable } = require('./lib/pricing');
+const { sessionAnalytics } = require('./lib/analytics');
+const { defaultCatalog } = require('./lib/catalog');
+const { DEFAULT_LANGUAGE, validateLanguage } = require('./lib/language');
+const { createVaultId, vaultIdFromCookies, vaultCookie, resolveModelKeys, keyVaultFromEnv } = require('./lib/vault');
+const { chatRateLimitsFromEnv } = require('./lib/ratelimit');
 
 const app = express();
 app.use(express.json({ limit: '5mb' }));
@@ -11,321 +27,862 @@ app.use(express.static('.')); // Serve static files
 
 const PORT = process.env.PORT || 3000;
 
-// Global variables to store session state
-const sessions = new Map();
+// Session state lives in the configured store (see lib/store.js)
+const sessions = sessionStoreFromEnv();
+// Prompt templates: built-in ones from config/, plus those saved from the UI
+const templates = templateStoreFromEnv();
+// Cost estimates (see lib/pricing.js); read now so a broken price table fails at startup
+const prices = defaultPriceTable();
+// Models offered on the setup card and their provider quirks (see lib/catalog.js)
+const catalog = defaultCatalog();
+const { startRun, getRun, findRun, cancelRun, pauseRun, resumeRun, awaitedInput, submitHumanTurn, submitChoice, isSessionBusy } = createRunManager({ store: sessions, templates });
+// Viewers of shared sessions (see lib/rooms.js)
+const rooms = createRoomHub();
+// Bring-your-own API keys, stored encrypted and named by handle (see lib/vault.js)
+const vault = keyVaultFromEnv();
+// Requests per minute on /chat and /chat/stream (see lib/ratelimit.js)
+const chatLimits = chatRateLimitsFromEnv();
+
+// Expire idle sessions and unused keys in the background as well as on access
+setInterval(() => sessions.sweep().catch(error => console.error('Session sweep failed:', error)), 60 * 60 * 1000).unref();
+setInterval(() => vault.sweep(), 60 * 60 * 1000).unref();
+
+// Sessions with a /chat turn in flight
+const chatTurns = new Set();
+
+// A session is in use while a run drives it or a /chat turn is in flight;
+// another writer would race it and one of the two saves would be lost.
+function isSessionInUse(sessionId) {
+    return isSessionBusy(sessionId) || chatTurns.has(sessionId);
+}
+
+// Claim a session for a /chat request until it calls releaseChatTurn();
+// answers 409 and returns false while the session is in use or has a paused
+// run (which would overwrite the turn when it resumes).
+function claimChatTurn(res, sessionId) {
+    if (isSessionInUse(sessionId) || findRun(sessionId)) {
+        res.status(409).json({ error: `Session ${sessionId} has a run or another turn in progress; wait for it or stop it first` });
+        return false;
+    }
+    chatTurns.add(sessionId);
+    return true;
+}
+
+const releaseChatTurn = (sessionId) => chatTurns.delete(sessionId);
+
+// Get or initialize session state; null when the session is new and there
+// is no prompt to start it from.
+async function getOrCreateSession(sessionId, { prompt, models, tokensPerTurn, template, mode, language }) {
+    let session = await sessions.get(sessionId);
+    if (!session) {
+        if (typeof prompt !== 'string' || !prompt.trim()) return null;
+        // Create a completely fresh session
+        session = createSession(prompt, { id: sessionId, models, tokensPerTurn, template: template || undefined, mode, language });
+        await sessions.set(sessionId, session);
+        console.log(`New session ${sessionId} created with fresh state`);
+    }
+    return session;
+}
+
+const NO_PROMPT_ERROR = 'prompt must be a non-empty string to start a new session';
+
+// Only the owner of a session may change it (see lib/rooms.js); answers 403
+// and returns false for anyone else.
+function requireOwner(req, res, session) {
+    if (isOwner(session, req.get(OWNER_HEADER))) return true;
+    res.status(403).json({ error: `Only the owner of session ${session.id} can change it; you are watching` });
+    return false;
+}
+
+// A stored session for editing, or null after answering with the error.
+// A session with a paused run is edited through the run, so the run
+// resumes on the edited text.
+async function editableSession(req, res) {
+    if (!isValidSessionId(req.params.id)) {
+        res.status(400).json({ error: 'Invalid session id' });
+        return null;
+    }
+    if (isSessionInUse(req.params.id)) {
+        res.status(409).json({ error: `Session ${req.params.id} has a run or a turn in progress; pause it or wait for it first` });
+        return null;
+    }
+    const run = findRun(req.params.id);
+    const session = run ? run.session : await sessions.get(req.params.id);
+    if (!session) {
+        res.status(404).json({ error: `Session ${req.params.id} not found` });
+        return null;
+    }
+    return requireOwner(req, res, session) ? session : null;
+}
+
+// /chat callers drive turns one at a time, so the total budget is checked
+// against what the session has already produced; returns an error message or null.
+function checkSessionBudget(session, tokensPerTurn) {
+    const { keptTokens } = sessionUsage(session);
+    if (keptTokens + tokensPerTurn > MAX_TOTAL_TOKENS) {
+        return `Session ${session.id} has used ${keptTokens} of its ${MAX_TOTAL_TOKENS} tokens; another ${tokensPerTurn}-token turn would exceed the budget`;
+    }
+    return null;
+}
+
+// Count a request against a rate limiter; answers 429 and returns true once
+// `key` is over its limit.
+function rateLimited(res, limiter, key, what) {
+    const { allowed, retryAfterMs } = limiter.take(key);
+    if (allowed) return false;
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ error: `Too many requests ${what} (at most ${limiter.limit} a minute); try again in ${Math.ceil(retryAfterMs / 1000)} s` });
+    return true;
+}
+
+// The models of a request with every keyHandle swapped for the stored key it
+// names (see lib/vault.js): { models, error }
+function requestModels(req) {
+    return resolveModelKeys((req.body || {}).models, vault, vaultIdFromCookies(req.get('Cookie')));
+}
+
+// Models must come from the catalog (or a provider open to any model name)
+// and carry a key when their provider needs one; returns an error message or null.
+function validateModels(models) {
+    if (!Array.isArray(models) || models.length === 0) {
+        return 'models must be a non-empty array';
+    }
+    return catalog.validateModels(models);
+}
+
+function validateMode(mode) {
+    if (mode !== undefined && !SESSION_MODES.includes(mode)) {
+        return `mode must be one of ${SESSION_MODES.join(', ')}`;
+    }
+    return null;
+}
+
+// /chat answers within one request, so nobody is there to take a human turn
+// or pick a race winner
+function validateNoHuman(models, schedule) {
+    if (models.some(model => model.provider === HUMAN_PROVIDER)) {
+        return 'The human participant can only take part in runs (POST /runs)';
+    }
+    if (schedule && schedule.strategy === 'race' && schedule.policy === 'user') {
+        return 'Races decided by the user can only take place in runs (POST /runs)';
+    }
+    return null;
+}
+
+// A prompt template named in a request must exist; returns an error message or null.
+function validateTemplateName(template) {
+    if (template === undefined || template === '') return null;
+    if (typeof template !== 'string' || !templates.get(template)) {
+        return `Unknown prompt template: ${template}`;
+    }
+    return null;
+}
+
+// The fields /chat takes; /chat/stream takes the same but reset
+const CHAT_FIELDS = ['sessionId', 'models', 'prompt', 'tokensPerTurn', 'reset', 'schedule', 'context', 'template', 'mode', 'language'];
+const CHAT_STREAM_FIELDS = CHAT_FIELDS.filter(field => field !== 'reset');
+
+// Check the shape of a /chat body before anything reads it; returns an
+// error message or null. A reset only needs the sessionId.
+function validateChatBody(body, fields) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'The request body must be a JSON object';
+    }
+    const unknown = Object.keys(body).find(field => !fields.includes(field));
+    if (unknown) {
+        return `Unknown field: ${unknown}; expected ${fields.join(', ')}`;
+    }
+    if (!isValidSessionId(body.sessionId)) {
+        return 'sessionId must be a string of letters, digits, "_" or "-"';
+    }
+    if (body.reset !== undefined && typeof body.reset !== 'boolean') {
+        return 'reset must be true or false';
+    }
+    if (body.reset) {
+        return null;
+    }
+    if (body.prompt !== undefined && typeof body.prompt !== 'string') {
+        return 'prompt must be a string';
+    }
+    if (!Number.isInteger(body.tokensPerTurn) || body.tokensPerTurn <= 0) {
+        return 'tokensPerTurn must be a positive integer';
+    }
+    return null;
+}
+
+// The body of a /chat or /chat/stream request with its key handles resolved,
+// or null after answering 400 or 429. Callers are limited per IP address,
+// then per session.
+function chatRequest(req, res, fields) {
+    if (rateLimited(res, chatLimits.ip, req.ip, 'from your address')) return null;
+
+    const bodyError = validateChatBody(req.body, fields);
+    if (bodyError) {
+        res.status(400).json({ error: bodyError });
+        return null;
+    }
+    const body = req.body;
+    if (rateLimited(res, chatLimits.session, body.sessionId, `on session ${body.sessionId}`)) return null;
+    if (body.reset) return body;
+
+    const { models, error: keyError } = requestModels(req);
+    const requestError = keyError || validateModels(models) || validateNoHuman(models, body.schedule) || validateSchedule(body.schedule, models) || validateContext(body.context, models) || validateTemplateName(body.template) || validateMode(body.mode) || validateLanguage(body.language);
+    if (requestError) {
+        res.status(400).json({ error: requestError });
+        return null;
+    }
+    return { ...body, models };
+}
+
+// The model catalog the setup card renders: categories, providers and models
+app.get('/models', (req, res) => {
+    res.json(catalog.describe());
+});
 
 app.post('/chat', async (req, res) => {
-    const { sessionId, models, prompt, tokensPerTurn, reset } = req.body;
-    
-    console.log('Received request:', { 
+    const request = chatRequest(req, res, CHAT_FIELDS);
+    if (!request) return;
+    const { sessionId, models, prompt, tokensPerTurn, reset, schedule, context, template, mode, language } = request;
+
+    console.log('Received request:', {
         sessionId,
-        modelCount: models.length, 
+        modelCount: models ? models.length : 0,
         tokensPerTurn,
         reset,
-        promptLength: prompt ? prompt.length : 0,
-        hasExistingSession: sessions.has(sessionId)
+        promptLength: prompt ? prompt.length : 0
     });
-    
-    // If it's a reset request, clear session completely
-    if (reset) {
-        sessions.delete(sessionId);
-        console.log(`Session ${sessionId} reset - all history cleared`);
-        return res.json({ success: true, message: 'Session reset successfully' });
-    }
-    
-    // Get or initialize session state
-    let session = sessions.get(sessionId);
-    if (!session) {
-        // Create a completely fresh session
-        session = {
-            currentTurn: 0,
-            fullContent: prompt,
-            conversationHistory: [
-                { role: "system", content: "Your task is to continue the following piece of writing (you must only output the added content, and must not include this input prompt in the output). Do not repeat any existing text - only add new content to continue." },
-                { role: "user", content: prompt }
-            ]
-        };
-        sessions.set(sessionId, session);
-        console.log(`New session ${sessionId} created with fresh state`);
-    }
-    
-    // Select current turn's model
-    const currentModelIndex = session.currentTurn % models.length;
-    const currentModelInfo = models[currentModelIndex];
-    const { modelName, apiKey, provider } = currentModelInfo;
-    
-    console.log(`Turn ${session.currentTurn}, using model: ${modelName} (${provider})`);
 
+    if (!claimChatTurn(res, sessionId)) return;
     try {
-        let response = '';
-
-        // Create a fresh conversation context for this turn
-        const currentMessages = [
-            { role: "system", content: `Your task is to continue the following piece of writing (you must only output the added content, and must not include this input prompt in the output). The content so far: "${session.fullContent}". Continue this content. Do not repeat any existing text - only add new content to continue.` },
-            { role: "user", content: `Continue this from where it left off: ${session.fullContent}` }
-        ];
+        // If it's a reset request, clear session completely
+        if (reset) {
+            const existing = await sessions.get(sessionId);
+            if (existing && !requireOwner(req, res, existing)) return;
+            await sessions.delete(sessionId);
+            rooms.announce(sessionId, { type: 'deleted' });
+            console.log(`Session ${sessionId} reset - all history cleared`);
+            return res.json({ success: true, message: 'Session reset successfully' });
+        }
 
-        console.log(`Creating context for turn ${session.currentTurn}: story length = ${session.fullContent.length} chars`);
+        const session = await getOrCreateSession(sessionId, { prompt, models, tokensPerTurn, template, mode, language });
+        if (!session) {
+            return res.status(400).json({ error: NO_PROMPT_ERROR });
+        }
+        if (!requireOwner(req, res, session)) return;
+        const budgetError = checkSessionBudget(session, tokensPerTurn);
+        if (budgetError) {
+            return res.status(400).json({ error: budgetError });
+        }
 
-        switch (provider) {
-            case 'openai': {
-                const openaiClient = new OpenAI({ apiKey: apiKey });
+        try {
+            const turn = await runTurn(session, models, tokensPerTurn, { schedule, context, templates });
+            await sessions.set(sessionId, session);
+            rooms.announce(sessionId, { type: 'changed' });
+            res.json(turn);
+        } catch (error) {
+            await sessions.set(sessionId, session);
+            res.status(500).json(describeError(error));
+        }
+    } finally {
+        releaseChatTurn(sessionId);
+    }
+});
 
-                const openaiResponse = await openaiClient.chat.completions.create({
-                    model: modelName,
-                    messages: currentMessages,
-                    max_tokens: tokensPerTurn,
-                    temperature: 0.7,
-                });
+// Streaming variant of /chat: relays provider output as Server-Sent Events.
+//   event: start  { modelName, provider, turn }
+//   event: delta  { text }            raw provider output as it arrives
+//   event: retry  { attempt, ... }    the model hit a retryable error
+//   event: failed { error, ... }      the model gave up; the turn passes on
+//   event: done   { reply, ... }      same payload as /chat, after cleanup
+//   event: error  { error, ... }      every model failed
+app.post('/chat/stream', async (req, res) => {
+    const request = chatRequest(req, res, CHAT_STREAM_FIELDS);
+    if (!request) return;
+    const { sessionId, models, prompt, tokensPerTurn, schedule, context, template, mode, language } = request;
 
-                response = openaiResponse.choices[0].message.content;
-                break;
-            }
+    console.log('Received streaming request:', {
+        sessionId,
+        modelCount: models.length,
+        tokensPerTurn
+    });
 
-            case 'perplexity':
-                const perplexityClient = new OpenAI({
-                    apiKey: apiKey,
-                    baseURL: 'https://api.perplexity.ai'
-                });
-                
-                // Use a different approach for Perplexity to avoid repetition
-                const perplexityMessages = [
-                    { role: "system", content: "Your task is to continue the following piece of writing (you must only output the added content, and must not include this input prompt in the output). Continue the given content with new content only. Never repeat existing text." },
-                    { role: "user", content: `Write ONLY the next part (${tokensPerTurn} tokens max). Do not repeat any existing text.Content so far: "${session.fullContent}"` }
-                ];
-                
-                const perplexityResponse = await perplexityClient.chat.completions.create({
-                    model: modelName,
-                    messages: perplexityMessages,
-                    max_tokens: tokensPerTurn,
-                    temperature: 0.7,
-                });
-                response = perplexityResponse.choices[0].message.content;
-                break;
-
-            case 'deepseek':
-                const deepseekClient = new OpenAI({
-                    apiKey: apiKey,
-                    baseURL: 'https://api.deepseek.com'
-                });
-                const deepseekResponse = await deepseekClient.chat.completions.create({
-                    model: modelName,
-                    messages: currentMessages,
-                    max_tokens: tokensPerTurn,
-                    temperature: 0.7,
-                });
-                response = deepseekResponse.choices[0].message.content;
-                break;
-
-            case 'gemini':
-                const genAI = new GoogleGenerativeAI(apiKey);
-                const model = genAI.getGenerativeModel({ model: modelName });
-                
-                const geminiPrompt = `Your task is to continue the following piece of writing (you must only output the added content, and must not include this input prompt in the output). Continue this content. Do not repeat any existing text - only add new content: ${session.fullContent}`;
-                
-                // For very small token counts, we need to be more explicit with Gemini
-                const generationConfig = {
-                    maxOutputTokens: Math.max(tokensPerTurn, 10), // Gemini has a minimum, so use at least 10
-                    temperature: 0.7,
-                    stopSequences: ['\n\n'] // Stop at paragraph breaks to limit output
-                };
-                
-                // If tokens per turn is very small, add additional stopping criteria
-                if (tokensPerTurn <= 10) {
-                    generationConfig.stopSequences.push('.', '!', '?', ',', ';');
-                }
-                
-                const result = await model.generateContent(geminiPrompt, {
-                    generationConfig: generationConfig
-                });
-                
-                let geminiResponse = result.response.text();
-                
-                // If Gemini still generates too much, manually truncate to approximate token count
-                if (tokensPerTurn <= 10) {
-                    const words = geminiResponse.split(' ');
-                    if (words.length > tokensPerTurn * 1.2) { // Allow some flexibility
-                        geminiResponse = words.slice(0, Math.max(tokensPerTurn, 3)).join(' ');
-                        console.log(`Manually truncated Gemini response to ${tokensPerTurn} tokens`);
-                    }
-                }
-                
-                response = geminiResponse;
-                break;
-
-            case 'cloudflare':
-                // Use server-side Cloudflare credentials configured via environment variables
-                const cfApiKey = process.env.CLOUDFLARE_API_KEY;
-                const cfAccountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-                const cfApiBase = process.env.CLOUDFLARE_API_BASE || 'https://api.cloudflare.com/client/v4';
-
-                if (!cfApiKey || !cfAccountId) {
-                    throw new Error('Cloudflare API key and account ID must be configured on the server (CLOUDFLARE_API_KEY and CLOUDFLARE_ACCOUNT_ID).');
-                }
-
-                // Normalize base URL to avoid duplicate slashes
-                const normalizedBase = cfApiBase.replace(/\/$/, '');
-                const cloudflareUrl = `${normalizedBase}/accounts/${cfAccountId}/ai/run/${modelName}`;
-                
-                // Some Cloudflare model backends are strict about ByteString/ASCII-only inputs.
-                // To avoid failures, sanitize the context to ASCII before sending.
-                const sanitizeToAscii = (text) => text ? text.replace(/[^\x00-\x7F]/g, '?') : '';
-                const safeFullContent = sanitizeToAscii(session.fullContent);
-
-                // Build payload depending on model family.
-                let cloudflarePayload;
-                const isGptOss = modelName.startsWith('@cf/openai/gpt-oss');
-
-                if (isGptOss) {
-                    // GPT-OSS models expect `input` or `requests` at the top level, not `messages`.
-                    const cloudflarePrompt = [
-                        "System: Your task is to continue the following piece of writing. You must only output the added content, and must not include this input prompt in the output. Do not repeat any existing text - only add new content to continue.",
-                        `User: Continue this from where it left off (add only new content, max ${tokensPerTurn} tokens): ${safeFullContent}`
-                    ].join("\\n\\n");
-
-                    cloudflarePayload = {
-                        input: cloudflarePrompt,
-                        max_tokens: tokensPerTurn
-                    };
-                } else {
-                    // Llama, Gemma, Mistral etc. work with a messages-style payload.
-                    cloudflarePayload = {
-                        messages: [
-                            {
-                                role: "system",
-                                content: "Your task is to continue the following piece of writing. You must only output the added content, and must not include this input prompt in the output. Do not repeat any existing text - only add new content to continue."
-                            },
-                            {
-                                role: "user", 
-                                content: `Continue this from where it left off (add only new content, max ${tokensPerTurn} tokens): ${safeFullContent}`
-                            }
-                        ],
-                        max_tokens: tokensPerTurn
-                    };
-                }
-                
-                const cloudflareResponse = await fetch(cloudflareUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${cfApiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(cloudflarePayload)
-                });
-                
-                if (!cloudflareResponse.ok) {
-                    const errorText = await cloudflareResponse.text();
-                    throw new Error(`Cloudflare API error: ${cloudflareResponse.status} - ${errorText}`);
-                }
-                
-                const cloudflareData = await cloudflareResponse.json();
-                console.log('Cloudflare response structure:', JSON.stringify(cloudflareData, null, 2));
-                
-                // Extract response text from Cloudflare's response format
-                const resultPayload = cloudflareData.result;
-                const stringifyPayload = (payload) => {
-                    if (payload == null) return '';
-                    return typeof payload === 'string' ? payload : JSON.stringify(payload);
-                };
-
-                if (resultPayload && resultPayload.response) {
-                    response = resultPayload.response;
-                } else if (resultPayload && resultPayload.choices && resultPayload.choices[0]) {
-                    response = resultPayload.choices[0].message?.content || resultPayload.choices[0].text;
-                } else if (resultPayload && typeof resultPayload === 'string') {
-                    response = resultPayload;
-                } else if (Array.isArray(resultPayload) && resultPayload.length > 0) {
-                    response = stringifyPayload(resultPayload[0]);
-                } else if (typeof resultPayload === 'object' && resultPayload !== null) {
-                    response = stringifyPayload(resultPayload);
-                } else {
-                    response = stringifyPayload(cloudflareData);
-                }
-                break;
-
-            default:
-                throw new Error(`Unsupported provider: ${provider}`);
+    if (!claimChatTurn(res, sessionId)) return;
+    try {
+        const session = await getOrCreateSession(sessionId, { prompt, models, tokensPerTurn, template, mode, language });
+        if (!session) {
+            return res.status(400).json({ error: NO_PROMPT_ERROR });
         }
-        
-        // Normalize response to string for downstream processing
-        if (typeof response !== 'string') {
-            response = response != null ? String(response) : '';
+        if (!requireOwner(req, res, session)) return;
+        const budgetError = checkSessionBudget(session, tokensPerTurn);
+        if (budgetError) {
+            return res.status(400).json({ error: budgetError });
         }
+        openEventStream(res);
 
-        // Clean up response to avoid repetition
-        // Note: No trimming to preserve the exact LLM output format
-        console.log(`Raw response from ${modelName}: "${response}"`);
-        
-        // Enhanced repetition detection and removal
-        // Remove repeated assistant labels that some models prepend.
-        response = response.replace(/^(Assistant:\s*)+/i, '');
-
-        if (response.startsWith(session.fullContent)) {
-            response = response.substring(session.fullContent.length);
-            console.log(`Removed full content prefix, remaining: "${response}"`);
+        try {
+            const turn = await runTurn(session, models, tokensPerTurn, {
+                schedule,
+                context,
+                templates,
+                onStart: (info) => sendEvent(res, 'start', info),
+                onDelta: (text) => sendEvent(res, 'delta', { text }),
+                onRetry: (info) => sendEvent(res, 'retry', info),
+                onFailure: (failure) => sendEvent(res, 'failed', failure)
+            });
+            await sessions.set(sessionId, session);
+            rooms.announce(sessionId, { type: 'changed' });
+            sendEvent(res, 'done', turn);
+        } catch (error) {
+            await sessions.set(sessionId, session);
+            sendEvent(res, 'error', describeError(error));
         }
-        
-        // Check if response starts with any part of the existing content
-        const existingWords = session.fullContent.split(' ');
-        const responseWords = response.split(' ');
-        
-        // Find the longest matching suffix-prefix overlap
-        let maxOverlap = 0;
-        for (let i = 1; i <= Math.min(5, existingWords.length, responseWords.length); i++) {
-            const existingSuffix = existingWords.slice(-i).join(' ').toLowerCase();
-            const responsePrefix = responseWords.slice(0, i).join(' ').toLowerCase();
-            
-            if (existingSuffix === responsePrefix) {
-                maxOverlap = i;
-            }
+        res.end();
+    } finally {
+        releaseChatTurn(sessionId);
+    }
+});
+
+// Check the body of POST /runs; returns an error message or null.
+function validateRunRequest({ models, prompt, tokensPerTurn, maxTurns, sessionId, schedule, context, stop, template, mode, language, message }) {
+    const modelsError = validateModels(models);
+    if (modelsError) {
+        return modelsError;
+    }
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+        return 'sessionId must be a string of letters, digits, "_" or "-"';
+    }
+    if (sessionId === undefined && (typeof prompt !== 'string' || !prompt.trim())) {
+        return 'prompt must be a non-empty string';
+    }
+    if (message !== undefined && (sessionId === undefined || typeof message !== 'string' || !message.trim())) {
+        return 'message must be a non-empty string sent with the sessionId of a chat session';
+    }
+    if (!Number.isInteger(tokensPerTurn) || tokensPerTurn <= 0) {
+        return 'tokensPerTurn must be a positive integer';
+    }
+    if (!Number.isInteger(maxTurns) || maxTurns <= 0) {
+        return 'maxTurns must be a positive integer';
+    }
+    if (tokensPerTurn * maxTurns > MAX_TOTAL_TOKENS) {
+        return `tokensPerTurn × maxTurns must be at most ${MAX_TOTAL_TOKENS}`;
+    }
+    return validateSchedule(schedule, models) || validateContext(context, models) || validateStop(stop, models) || validateTemplateName(template) || validateMode(mode) || validateLanguage(language);
+}
+
+// Start a server-driven run; the server keeps rotating models until
+// maxTurns is reached, the `stop` conditions hold (see lib/stop.js), a turn
+// fails or the run is cancelled. Passing the
+// sessionId of a stored session continues it with maxTurns more turns;
+// for chat sessions, `message` adds a user follow-up that those turns answer.
+// A new session is owned by its creator: the reply carries its ownerToken.
+// Models may name a stored key by keyHandle (see POST /keys).
+app.post('/runs', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object') {
+        return res.status(400).json({ error: 'The request body must be a JSON object' });
+    }
+    const { models, error: keyError } = requestModels(req);
+    const validationError = keyError || validateRunRequest({ ...req.body, models });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const { prompt, tokensPerTurn, maxTurns, stream, sessionId, schedule, context, stop, template, mode, language, message } = req.body;
+
+    let session;
+    if (sessionId !== undefined) {
+        session = await sessions.get(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: `Session ${sessionId} not found` });
         }
-        
-        // If we found overlapping words, remove them from response
-        if (maxOverlap > 0) {
-            response = responseWords.slice(maxOverlap).join(' ');
-            console.log(`Removed ${maxOverlap} overlapping words, remaining: "${response}"`);
+        if (!requireOwner(req, res, session)) return;
+        if (isSessionInUse(sessionId)) {
+            return res.status(409).json({ error: `Session ${sessionId} already has a run or a turn in progress` });
+        }
+        if (message !== undefined && session.mode !== 'chat') {
+            return res.status(400).json({ error: `Session ${sessionId} is not a chat session; it cannot take follow-up messages` });
+        }
+    }
+
+    const owner = session ? null : createOwnerToken();
+    const run = await startRun({ models, prompt, tokensPerTurn, maxTurns, schedule, context, stop, template, mode, language, message, stream: stream !== false, session, ownerTokenHash: owner && owner.hash });
+    rooms.announce(run.session.id, { type: 'run', run });
+    res.status(201).json({ ...serializeRun(run), ...(owner ? { ownerToken: owner.token } : {}) });
+});
+
+// The run of a control request, or null after answering 404 or 403.
+function ownedRun(req, res) {
+    const run = getRun(req.params.id);
+    if (!run) {
+        res.status(404).json({ error: `Run ${req.params.id} not found` });
+        return null;
+    }
+    return requireOwner(req, res, run.session) ? run : null;
+}
+
+// Progress and turns of a run; ?since=N returns only turns from index N on.
+app.get('/runs/:id', (req, res) => {
+    const run = getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run ${req.params.id} not found` });
+    }
+    res.json(serializeRun(run, parseInt(req.query.since, 10) || 0));
+});
+
+app.post('/runs/:id/cancel', (req, res) => {
+    const run = ownedRun(req, res);
+    if (!run) return;
+    res.json(serializeRun(cancelRun(run.id)));
+});
+
+// The human participant's turn: { text }, at most tokensPerTurn tokens.
+app.post('/runs/:id/human-turn', (req, res) => {
+    const run = ownedRun(req, res);
+    if (!run) return;
+    if (awaitedInput(run) !== 'human') {
+        return res.status(409).json({ error: `Run ${req.params.id} is not waiting for a human turn` });
+    }
+
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'text must be a non-empty string' });
+    }
+    const tokens = countTokens(text);
+    if (tokens > run.tokensPerTurn) {
+        return res.status(400).json({ error: `Your text is ${tokens} tokens; this turn allows at most ${run.tokensPerTurn}` });
+    }
+
+    submitHumanTurn(run.id, text);
+    res.json({ success: true });
+});
+
+// Pick the winner of a race decided by the user: { index } of the candidate.
+app.post('/runs/:id/choice', (req, res) => {
+    const run = ownedRun(req, res);
+    if (!run) return;
+    if (awaitedInput(run) !== 'choice') {
+        return res.status(409).json({ error: `Run ${req.params.id} is not waiting for a race choice` });
+    }
+
+    const { index } = req.body;
+    const { candidates } = run.awaiting.info;
+    if (!Number.isInteger(index) || index < 0 || index >= candidates.length) {
+        return res.status(400).json({ error: `index must be a candidate number from 0 to ${candidates.length - 1}` });
+    }
+
+    submitChoice(run.id, index);
+    res.json({ success: true });
+});
+
+// Pause a run after the turn in flight; its session can then be edited or
+// branched, and /resume carries on with the remaining turns.
+app.post('/runs/:id/pause', (req, res) => {
+    const run = ownedRun(req, res);
+    if (!run) return;
+    res.json(serializeRun(pauseRun(run.id)));
+});
+
+app.post('/runs/:id/resume', (req, res) => {
+    const run = ownedRun(req, res);
+    if (!run) return;
+    res.json(serializeRun(resumeRun(run.id)));
+});
+
+// Live feed of a run for the browser. Starts with a `snapshot` event holding
+// every turn so far, so a reloaded tab can reattach, then relays run events.
+app.get('/runs/:id/events', (req, res) => {
+    const run = getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: `Run ${req.params.id} not found` });
+    }
+
+    openEventStream(res);
+    sendEvent(res, 'snapshot', serializeRun(run));
+    if (!ACTIVE_STATUSES.includes(run.status)) {
+        return res.end();
+    }
+
+    // A paused run keeps its feed open for when it resumes
+    const stopRelay = relayRun(res, run, () => res.end());
+    res.on('close', stopRelay);
+});
+
+// Relay the events of a run to an event stream until it finishes, then call
+// onFinish. Returns the function that stops relaying.
+function relayRun(res, run, onFinish) {
+    const listeners = {
+        'turn-start': (info) => sendEvent(res, 'turn-start', info),
+        'delta': (delta) => sendEvent(res, 'delta', delta),
+        'turn-retry': (info) => sendEvent(res, 'turn-retry', info),
+        'turn-failed': (failure) => sendEvent(res, 'turn-failed', failure),
+        'race-start': (info) => sendEvent(res, 'race-start', info),
+        'race-choice': (info) => sendEvent(res, 'race-choice', info),
+        'turn': (turn) => sendEvent(res, 'turn', turn),
+        'status': (status) => {
+            sendEvent(res, 'status', status);
+            if (!ACTIVE_STATUSES.includes(status.status)) {
+                stop();
+                onFinish();
+            }
         }
-        
-        // If response is still extremely short after cleanup, just log it
-        // but do not replace it with a placeholder marker.
-        if (!response || response.trim().length < 2) {
-            console.log(`Response too short after cleanup: "${response}"`);
+    };
+    const stop = () => Object.entries(listeners).forEach(([event, listener]) => run.events.off(event, listener));
+    Object.entries(listeners).forEach(([event, listener]) => run.events.on(event, listener));
+    return stop;
+}
+
+// Stored sessions, most recently updated first.
+app.get('/sessions', async (req, res) => {
+    const stored = await sessions.list();
+    res.json({ sessions: stored.map(summarizeSession) });
+});
+
+app.get('/sessions/:id', async (req, res) => {
+    if (!isValidSessionId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const run = findRun(req.params.id);
+    const session = run ? run.session : await sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+    res.json(sessionDetails(session, run));
+});
+
+// Everything about a session the browser shows; `run` is its unfinished run
+function sessionDetails(session, run) {
+    return {
+        ...summarizeSession(session),
+        prompt: session.prompt,
+        tokensPerTurn: session.tokensPerTurn,
+        template: session.template || null,
+        language: session.language || DEFAULT_LANGUAGE,
+        fullContent: session.fullContent,
+        turns: sessionTurns(session),
+        messages: sessionMessages(session),
+        usage: sessionUsage(session),
+        failures: session.failures || [],
+        activeBranch: session.activeBranch || MAIN_BRANCH,
+        branches: listBranches(session),
+        runId: run ? run.id : null,
+        busy: isSessionBusy(session.id),
+        owned: Boolean(session.ownerTokenHash)
+    };
+}
+
+// Live feed of a shared session (a room, see lib/rooms.js). Sends a `room`
+// event { session, run, viewers } on connecting and whenever the session
+// changes or a run starts on it, then relays the events of its run as
+// /runs/:id/events does. The feed stays open between runs; `deleted` tells
+// viewers the session is gone.
+app.get('/sessions/:id/events', async (req, res) => {
+    if (!isValidSessionId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid session id' });
+    }
+    const sessionId = req.params.id;
+    const active = findRun(sessionId);
+    const stored = active ? active.session : await sessions.get(sessionId);
+    if (!stored) {
+        return res.status(404).json({ error: `Session ${sessionId} not found` });
+    }
+
+    openEventStream(res);
+    let stopRelay = () => {};
+    const sendRoom = (session, run) => sendEvent(res, 'room', {
+        session: sessionDetails(session, run),
+        run: run ? serializeRun(run) : null,
+        viewers: rooms.viewers(sessionId)
+    });
+    const follow = (run) => {
+        stopRelay();
+        sendRoom(run.session, run);
+        stopRelay = relayRun(res, run, () => { stopRelay = () => {}; });
+    };
+
+    // A feed that cannot read the session ends; the browser reconnects and
+    // gets the whole room again
+    const endFeed = (error) => {
+        console.error(`Room feed of session ${sessionId} ended:`, error.message);
+        stopRelay();
+        stopWatching();
+        res.end();
+    };
+    const stopWatching = rooms.watch(sessionId, async (announcement) => {
+        try {
+            if (announcement.type === 'run') {
+                follow(announcement.run);
+            } else if (announcement.type === 'deleted') {
+                stopRelay();
+                sendEvent(res, 'deleted', { sessionId });
+            } else {
+                const run = findRun(sessionId);
+                const session = run ? run.session : await sessions.get(sessionId);
+                if (session) sendRoom(session, run);
+            }
+        } catch (error) {
+            endFeed(error);
         }
-        
-        // Update session state
-        session.fullContent += ' ' + response;
-        session.conversationHistory.push({ 
-            role: "assistant", 
-            content: response,
-            model: modelName,
-            turn: session.currentTurn 
-        });
-        session.currentTurn++;
-        sessions.set(sessionId, session);
-        
-        console.log(`Model ${modelName} generated: "${response}"`);
-        console.log(`Session state - Turn: ${session.currentTurn}, Content length: ${session.fullContent.length}`);
-        res.json({ 
-            reply: response || " ",
-            modelName: modelName,
-            provider: provider,
-            turn: session.currentTurn - 1, // Return the actual turn that was just completed
-            sessionTurn: session.currentTurn - 1
-        });
+    });
+    if (active) {
+        follow(active);
+    } else {
+        sendRoom(stored, null);
+    }
+
+    res.on('close', () => {
+        stopRelay();
+        stopWatching();
+    });
+});
+
+// Replace the text of a turn on the active branch: { text }.
+app.patch('/sessions/:id/turns/:turn', async (req, res) => {
+    const session = await editableSession(req, res);
+    if (!session) return;
+
+    const { text } = req.body;
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+    if (!editTurn(session, Number(req.params.turn), text)) {
+        return res.status(404).json({ error: `Session ${session.id} has no turn ${req.params.turn}` });
+    }
+    await sessions.set(session.id, session);
+    rooms.announce(session.id, { type: 'changed' });
+    res.json({ turns: sessionTurns(session), fullContent: session.fullContent });
+});
+
+// Add the user's own text as the next turn: { text }.
+app.post('/sessions/:id/turns', async (req, res) => {
+    const session = await editableSession(req, res);
+    if (!session) return;
+
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'text must be a non-empty string' });
+    }
+    const turn = injectText(session, text);
+    await sessions.set(session.id, session);
+    rooms.announce(session.id, { type: 'changed' });
+    res.status(201).json(turn);
+});
+
+// Fork a branch from the active one after turn `afterTurn` and switch to it:
+// { afterTurn, name }. afterTurn -1 starts again from the prompt.
+app.post('/sessions/:id/branches', async (req, res) => {
+    const session = await editableSession(req, res);
+    if (!session) return;
+
+    const { afterTurn, name } = req.body;
+    const forkError = validateFork(session, afterTurn);
+    if (forkError) {
+        return res.status(400).json({ error: forkError });
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > 64)) {
+        return res.status(400).json({ error: 'name must be a string of at most 64 characters' });
+    }
+
+    const branch = forkBranch(session, afterTurn, { name });
+    await sessions.set(session.id, session);
+    rooms.announce(session.id, { type: 'changed' });
+    console.log(`Session ${session.id} - branch ${branch.id} forked from ${branch.parentId} at turn ${branch.forkTurn}`);
+    res.status(201).json({ activeBranch: session.activeBranch, branches: listBranches(session) });
+});
+
+app.post('/sessions/:id/branches/:branchId/activate', async (req, res) => {
+    const session = await editableSession(req, res);
+    if (!session) return;
+
+    if (!(session.branches || {})[req.params.branchId] && req.params.branchId !== MAIN_BRANCH) {
+        return res.status(404).json({ error: `Session ${session.id} has no branch ${req.params.branchId}` });
+    }
+    switchBranch(session, req.params.branchId);
+    await sessions.set(session.id, session);
+    rooms.announce(session.id, { type: 'changed' });
+    console.log(`Session ${session.id} - switched to branch ${session.activeBranch}`);
+    res.json({ activeBranch: session.activeBranch, branches: listBranches(session) });
+});
+
+// Per-model latency, cost, token and contribution figures for a session.
+app.get('/sessions/:id/analytics', async (req, res) => {
+    if (!isValidSessionId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const run = findRun(req.params.id);
+    const session = run ? run.session : await sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+    res.json(sessionAnalytics(session, { currency: prices.currency }));
+});
+
+app.delete('/sessions/:id', async (req, res) => {
+    if (!isValidSessionId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid session id' });
+    }
+    if (isSessionInUse(req.params.id)) {
+        return res.status(409).json({ error: `Session ${req.params.id} has a run or a turn in progress` });
+    }
+
+    const session = await sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+    if (!requireOwner(req, res, session)) return;
+    await sessions.delete(req.params.id);
+    rooms.announce(req.params.id, { type: 'deleted' });
+    console.log(`Session ${req.params.id} deleted`);
+    res.json({ success: true });
+});
+
+// Download a session transcript: ?format=jsonl (default), md, html or csv.
+app.get('/sessions/:id/export', async (req, res) => {
+    if (!isValidSessionId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const session = await sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+
+    let transcript;
+    try {
+        transcript = exportSession(session, req.query.format || 'jsonl');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.type(transcript.contentType)
+        .attachment(transcript.filename)
+        .send(transcript.body);
+});
+
+// Rebuild a session from a JSONL transcript sent as the raw request body.
+// The importer owns the new session: the reply carries its ownerToken.
+app.post('/sessions/import', express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the JSONL transcript as an application/x-ndjson body' });
+    }
+
+    let session;
+    try {
+        session = importSession(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: `Invalid transcript: ${error.message}` });
+    }
+
+    const owner = createOwnerToken();
+    session.ownerTokenHash = owner.hash;
+    await sessions.set(session.id, session);
+    console.log(`Session ${session.id} imported with ${session.currentTurn} turns`);
+    res.status(201).json({ ...summarizeSession(session), ownerToken: owner.token });
+});
+
+// Prompt templates with the per-mode defaults and per-family overrides.
+app.get('/templates', (req, res) => {
+    res.json({ templates: templates.list(), ...templates.describe() });
+});
+
+// Only the creator of a custom template may change it (see lib/templates.js);
+// answers 403 and returns false for anyone else.
+function requireTemplateOwner(req, res, name) {
+    if (isOwner(templates.ownership(name), req.get(OWNER_HEADER))) return true;
+    res.status(403).json({ error: `Only the creator of template ${name} can change it; save your changes under a new name` });
+    return false;
+}
+
+// Create or replace a custom template: { mode, description, system, user }.
+// The creator of a new template gets its ownerToken (201); replacing one
+// takes that token in the X-Owner-Token header.
+app.put('/templates/:name', async (req, res) => {
+    const validationError = templates.validate(req.params.name, req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const existing = templates.get(req.params.name);
+    if (existing && !requireTemplateOwner(req, res, req.params.name)) return;
+
+    const owner = existing ? null : createOwnerToken();
+    const template = await templates.save(req.params.name, req.body, { ownerTokenHash: owner && owner.hash });
+    console.log(`Prompt template ${template.name} saved`);
+    res.status(owner ? 201 : 200).json({ ...template, ...(owner ? { ownerToken: owner.token } : {}) });
+});
+
+app.delete('/templates/:name', async (req, res) => {
+    const existing = templates.get(req.params.name);
+    if (existing && existing.builtIn) {
+        return res.status(400).json({ error: `"${req.params.name}" is a built-in template and cannot be deleted` });
+    }
+    if (!existing) {
+        return res.status(404).json({ error: `Template ${req.params.name} not found` });
+    }
+    if (!requireTemplateOwner(req, res, req.params.name)) return;
 
+    await templates.remove(req.params.name);
+    console.log(`Prompt template ${req.params.name} deleted`);
+    res.json({ success: true });
+});
+
+// Bring-your-own API keys (see lib/vault.js). POST /keys { provider, apiKey }
+// stores a key for this browser session, which the `vault` cookie names, and
+// answers { handle, provider, hint, createdAt, lastUsedAt }; models then send
+// { keyHandle } in place of { apiKey }.
+app.post('/keys', (req, res) => {
+    if (rateLimited(res, chatLimits.ip, req.ip, 'from your address')) return;
+    const { provider, apiKey } = req.body || {};
+    const key = typeof apiKey === 'string' ? apiKey.trim() : apiKey;
+    const keyError = catalog.validateKey(provider, key);
+    if (keyError) {
+        return res.status(400).json({ error: keyError });
+    }
+
+    let vaultId = vaultIdFromCookies(req.get('Cookie'));
+    if (!vaultId) {
+        vaultId = createVaultId();
+        res.set('Set-Cookie', vaultCookie(vaultId, { secure: req.secure }));
+    }
+    try {
+        const stored = vault.register(vaultId, provider, key);
+        console.log(`Stored a ${provider} key as ${stored.handle}`);
+        res.status(201).json(stored);
     } catch (error) {
-        console.error(`Error with ${modelName}:`, error);
-        
-        // Ensure error messages are also in JSON format
-        const errorMessage = error.message || 'Unknown error occurred';
-        res.status(500).json({ 
-            error: `Error with ${modelName}: ${errorMessage}`,
-            modelName: modelName || 'unknown',
-            provider: provider || 'unknown'
-        });
+        res.status(409).json({ error: error.message });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Server running at http://localhost:${PORT}`);
+// The keys of this browser session, without the keys themselves
+app.get('/keys', (req, res) => {
+    const vaultId = vaultIdFromCookies(req.get('Cookie'));
+    res.json(vaultId ? vault.list(vaultId) : []);
 });
+
+app.delete('/keys/:handle', (req, res) => {
+    const vaultId = vaultIdFromCookies(req.get('Cookie'));
+    if (!vaultId || !vault.remove(vaultId, req.params.handle)) {
+        return res.status(404).json({ error: `Key ${req.params.handle} not found` });
+    }
+    console.log(`Removed key ${req.params.handle}`);
+    res.json({ success: true });
+});
+
+// Malformed or oversized JSON bodies answer with a JSON error like every other bad request
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'The request body is not valid JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'The request body is too large' });
+    }
+    next(error);
+});
+
+// Started directly it listens on PORT; required (by the tests) it only exports the app
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
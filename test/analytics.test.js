@@ -0,0 +1,85 @@
+// test/analytics.test.js
+//
+// Session analytics (lib/analytics.js, GET /sessions/:id/analytics): each
+// model's share of the text, latency and cost, with race candidates counted
+// for the model that wrote them.
+
+const path = require('path');
+
+process.env.PRICE_TABLE_FILE = path.join(__dirname, 'fixtures', 'prices.json');
+process.env.TURN_RETRY_BASE_MS = '1';
+process.env.TURN_MAX_RETRIES = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mock, useServer } = require('./helpers');
+
+const { request, post, waitForRun } = useServer();
+
+const PROMPT = 'A pig lived on a farm.';
+
+// Run to the end and answer { run, analytics }
+async function analyze(body) {
+    const { status, body: started } = await post('/runs', { prompt: PROMPT, tokensPerTurn: 5, ...body });
+    assert.equal(status, 201, JSON.stringify(started));
+    const run = await waitForRun(started.id);
+    const { body: analytics } = await request('GET', `/sessions/${run.sessionId}/analytics`);
+    return { run, analytics };
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} is not ${expected}`);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+test('share, latency and cost are given per model', async () => {
+    const slow = mock('scripted?replies=it rolled over slowly&delayMs=40');
+    const quick = mock('scripted?replies=and slept');
+    const { run, analytics } = await analyze({ models: [slow, quick], maxTurns: 4 });
+
+    assert.equal(analytics.currency, 'USD');
+    assert.equal(analytics.totals.turns, 4);
+    const [slowEntry, quickEntry] = analytics.models;
+    assert.equal(slowEntry.modelName, slow.modelName);
+    assert.equal(slowEntry.turns, 2);
+    assert.equal(slowEntry.keptCharacters, 2 * 'it rolled over slowly'.length);
+    near(slowEntry.share, slowEntry.keptCharacters / (slowEntry.keptCharacters + quickEntry.keptCharacters));
+    near(slowEntry.share + quickEntry.share, 1);
+    assert.ok(slowEntry.averageLatencyMs >= 40);
+    assert.ok(quickEntry.averageLatencyMs < slowEntry.averageLatencyMs);
+
+    const turnCosts = (modelName) => run.turns.filter(turn => turn.modelName === modelName).map(turn => turn.cost);
+    assert.ok(slowEntry.cost > 0);
+    near(slowEntry.cost, sum(turnCosts(slow.modelName)));
+    near(quickEntry.cost, sum(turnCosts(quick.modelName)));
+    near(analytics.totals.cost, sum(run.turns.map(turn => turn.cost)));
+});
+
+test('a race turn\'s cost is split between the models that wrote the candidates', async () => {
+    const winner = mock('scripted?replies=it ran');
+    const loser = mock('scripted?replies=it slept all day&delayMs=40');
+    const { run, analytics } = await analyze({ models: [winner, loser], maxTurns: 1, schedule: { strategy: 'race', policy: 'fastest' } });
+
+    const [turn] = run.turns;
+    const [kept, dropped] = turn.race.candidates;
+    const [winnerEntry, loserEntry] = analytics.models;
+
+    assert.deepEqual([winnerEntry.turns, winnerEntry.candidates], [1, 1]);
+    assert.deepEqual([loserEntry.turns, loserEntry.candidates], [0, 1]);
+    assert.equal(loserEntry.share, 0);
+    near(winnerEntry.cost, kept.cost);
+    near(loserEntry.cost, dropped.cost);
+    near(analytics.totals.cost, turn.cost);
+    assert.equal(loserEntry.averageLatencyMs, dropped.latencyMs);
+    assert.equal(loserEntry.completionTokens, dropped.usage.completionTokens);
+});
+
+test('failed calls count against the model that gave up the turn', async () => {
+    const broken = mock('echo?fail=500');
+    const backup = mock('scripted?replies=it slept');
+    const { analytics } = await analyze({ models: [broken, backup], maxTurns: 1 });
+
+    const [brokenEntry, backupEntry] = analytics.models;
+    assert.deepEqual([brokenEntry.failures, brokenEntry.turns, brokenEntry.share], [1, 0, 0]);
+    assert.deepEqual([backupEntry.failures, backupEntry.turns, backupEntry.share], [0, 1, 1]);
+    assert.equal(analytics.totals.failures, 1);
+});
@@ -0,0 +1,76 @@
+// test/chat-mode.test.js
+//
+// Chat sessions (mode "chat"): turns write one reply to the user together,
+// the conversation goes to the models as role-tagged history, and follow-up
+// messages start the next reply.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSession, recordTurn, addUserMessage, prepareTurn } = require('../lib/turns');
+const { mock, useServer } = require('./helpers');
+
+const { request: send, waitForRun } = useServer();
+
+// A request made as the holder of `token`, if any
+const request = (method, path, body, token) => send(method, path, body, token ? { 'X-Owner-Token': token } : {});
+
+const record = (session, text) => recordTurn(session, text, { modelName: 'echo', provider: 'mock', strategy: 'round-robin' });
+
+// A chat session with a finished reply, a follow-up and half of its reply
+function conversation() {
+    const session = createSession('Who is a pig?', { id: 'chat-mode-test', mode: 'chat' });
+    record(session, 'A pig is');
+    record(session, 'a farm animal.');
+    addUserMessage(session, 'What does it eat?');
+    record(session, 'Pigs eat');
+    return session;
+}
+
+test('the conversation goes to the models as history, with the reply so far in the prompt', () => {
+    const session = conversation();
+    const { template, ctx } = prepareTurn(session, mock('echo'), 5);
+
+    assert.equal(template, 'chat');
+    assert.deepEqual(ctx.messages.slice(1, -1), [
+        { role: 'user', content: 'Who is a pig?' },
+        { role: 'assistant', content: 'A pig is a farm animal.' },
+        { role: 'user', content: 'What does it eat?' }
+    ]);
+    const last = ctx.messages[ctx.messages.length - 1];
+    assert.equal(last.role, 'user');
+    assert.match(last.content, /Reply so far: "Pigs eat"/);
+});
+
+test('follow-ups and replies each start a new paragraph of the text', () => {
+    const session = conversation();
+    assert.equal(session.fullContent, 'Who is a pig?\n\nA pig is a farm animal.\n\nWhat does it eat?\n\nPigs eat');
+});
+
+test('a follow-up message continues a chat session with a new reply', async () => {
+    const models = [mock('scripted?replies=A pig is|a farm animal.|Pigs eat|almost anything.')];
+    const { body: first } = await request('POST', '/runs', { models, prompt: 'Who is a pig?', tokensPerTurn: 5, maxTurns: 2, mode: 'chat' });
+    await waitForRun(first.id);
+
+    const { status, body: second } = await request('POST', '/runs', { sessionId: first.sessionId, models, tokensPerTurn: 5, maxTurns: 2, message: 'What does it eat?' }, first.ownerToken);
+    assert.equal(status, 201, JSON.stringify(second));
+    const run = await waitForRun(second.id);
+
+    assert.equal(run.mode, 'chat');
+    assert.deepEqual(run.messages.map(({ content, turn }) => ({ content, turn })), [{ content: 'What does it eat?', turn: 2 }]);
+    assert.deepEqual(run.turns.map(turn => turn.reply), ['A pig is', 'a farm animal.', 'Pigs eat', 'almost anything.']);
+    assert.equal(run.fullContent, 'Who is a pig?\n\nA pig is a farm animal.\n\nWhat does it eat?\n\nPigs eat almost anything.');
+
+    const { body: session } = await request('GET', `/sessions/${first.sessionId}`);
+    assert.deepEqual(session.messages.map(message => message.content), ['What does it eat?']);
+});
+
+test('follow-up messages need a chat session', async () => {
+    const { body: story } = await request('POST', '/runs', { models: [mock('echo')], prompt: 'A pig lived on a farm.', tokensPerTurn: 5, maxTurns: 1 });
+    await waitForRun(story.id);
+
+    const followUp = (body) => request('POST', '/runs', { models: [mock('echo')], tokensPerTurn: 5, maxTurns: 1, ...body }, story.ownerToken);
+    assert.equal((await followUp({ sessionId: story.sessionId, message: 'And then?' })).status, 400);
+    assert.equal((await followUp({ prompt: 'Who is a pig?', mode: 'chat', message: 'And then?' })).status, 400);
+    assert.equal((await followUp({ sessionId: story.sessionId, message: '  ' })).status, 400);
+});
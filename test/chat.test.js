@@ -0,0 +1,281 @@
+// test/chat.test.js
+//
+// Drives /chat and /chat/stream end to end with the offline mock provider
+// (lib/providers/mock.js): no network and no keys needed.
+
+process.env.TURN_RETRY_BASE_MS = '1';
+process.env.TURN_MAX_RETRIES = '1';
+// These tests make more /chat requests than a minute allows; test/vault.test.js covers the limits
+process.env.CHAT_RATE_LIMIT_PER_IP = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { countTokens } = require('../lib/tokens');
+const { summarizeSession } = require('../lib/turns');
+const { mock, parseEvents, useServer } = require('./helpers');
+
+const PROMPT = 'Once upon a time a pig lived on a farm.';
+
+const { request, post, waitForRun } = useServer();
+let sessionCount = 0;
+
+function chat(sessionId, models, extra = {}) {
+    return post('/chat', { sessionId, models, prompt: PROMPT, tokensPerTurn: 5, ...extra });
+}
+
+const newSessionId = () => `test-${++sessionCount}`;
+
+test('a seeded mock gives the same reply to the same text', async () => {
+    const first = await chat(newSessionId(), [mock('seeded?seed=3')]);
+    const second = await chat(newSessionId(), [mock('seeded?seed=3')]);
+    const otherSeed = await chat(newSessionId(), [mock('seeded?seed=4')]);
+
+    assert.equal(first.status, 200);
+    assert.ok(first.body.reply);
+    assert.equal(second.body.reply, first.body.reply);
+    assert.notEqual(otherSeed.body.reply, first.body.reply);
+});
+
+test('turns rotate through the models in order', async () => {
+    const sessionId = newSessionId();
+    const models = [mock('scripted?replies=one|two'), mock('scripted?replies=red|blue'), mock('seeded?seed=1')];
+
+    const turns = [];
+    for (let i = 0; i < 5; i++) {
+        const { status, body } = await chat(sessionId, models);
+        assert.equal(status, 200);
+        turns.push(body);
+    }
+
+    assert.deepEqual(turns.map(turn => turn.turn), [0, 1, 2, 3, 4]);
+    assert.deepEqual(turns.map(turn => turn.modelName), models.map(model => model.modelName).concat(models.slice(0, 2).map(model => model.modelName)));
+    assert.deepEqual([turns[0].reply, turns[1].reply, turns[3].reply, turns[4].reply], ['one', 'red', 'two', 'blue']);
+});
+
+test('reset clears the session', async () => {
+    const sessionId = newSessionId();
+    await chat(sessionId, [mock('echo')]);
+    await chat(sessionId, [mock('echo')]);
+
+    const reset = await post('/chat', { sessionId, reset: true });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.success, true);
+
+    const after = await chat(sessionId, [mock('scripted?replies=fresh start')]);
+    assert.equal(after.body.turn, 0);
+    assert.equal(after.body.reply, 'fresh start');
+});
+
+test('a reply that repeats the whole text is cut back to the new words', async () => {
+    const { status, body } = await chat(newSessionId(), [mock('scripted?replies=and then it rained&repeatPrompt=1')]);
+
+    assert.equal(status, 200);
+    assert.equal(body.reply, 'and then it rained');
+    assert.ok(body.removed.length > 0);
+});
+
+test('a reply that ignores max_tokens is truncated to tokensPerTurn', async () => {
+    const { body } = await chat(newSessionId(), [mock('seeded?seed=2&ignoreMaxTokens=1')], { tokensPerTurn: 4 });
+
+    assert.ok(countTokens(body.reply) <= 4);
+    assert.ok(body.usage.completionTokens > 4);
+    assert.ok(body.usage.keptTokens <= 4);
+});
+
+test('an echoing model loses its whole reply to deduplication', async () => {
+    // Ten words echo the whole ten-word prompt, sentence start included
+    const { status, body } = await chat(newSessionId(), [mock('echo')], { tokensPerTurn: 10 });
+
+    assert.equal(status, 200);
+    assert.equal(body.reply.trim(), '');
+});
+
+test('retryable errors are retried on the same model', async () => {
+    const { status, body } = await chat(newSessionId(), [mock('scripted?replies=second try&fail=503&failTimes=1'), mock('echo')]);
+
+    assert.equal(status, 200);
+    assert.equal(body.reply, 'second try');
+    assert.equal(body.failover, false);
+});
+
+test('a model that fails for good passes the turn to the next one', async () => {
+    const { status, body } = await chat(newSessionId(), [mock('seeded?fail=401'), mock('scripted?replies=stepping in')]);
+
+    assert.equal(status, 200);
+    assert.equal(body.reply, 'stepping in');
+    assert.equal(body.failover, true);
+    assert.equal(body.failures.length, 1);
+    assert.equal(body.failures[0].modelName, 'seeded?fail=401');
+});
+
+test('a model that keeps failing is benched for a few turns, then tried again', async () => {
+    const sessionId = newSessionId();
+    // Fails its first three calls, which is enough to bench it (BENCH_AFTER_FAILURES)
+    const broken = mock('seeded?fail=401&failTimes=3');
+    const models = [broken, mock('scripted?replies=stepping in')];
+
+    const turns = [];
+    for (let i = 0; i < 11; i++) {
+        const { status, body } = await chat(sessionId, models);
+        assert.equal(status, 200);
+        turns.push(body);
+    }
+
+    // The broken model's turns are 0, 2, 4, ...; the third failure benches it
+    assert.deepEqual([0, 2, 4].map(turn => turns[turn].failures[0].benched), [false, false, true]);
+    // Benched until turn 10 (BENCH_TURNS): its turns pass on without calling it
+    for (const turn of [6, 8]) {
+        assert.equal(turns[turn].modelName, 'scripted?replies=stepping in');
+        assert.deepEqual(turns[turn].failures.map(({ modelName, skipped, attempts }) => ({ modelName, skipped, attempts })), [{ modelName: broken.modelName, skipped: true, attempts: 0 }]);
+    }
+    assert.equal(turns[10].modelName, broken.modelName);
+    assert.equal(turns[10].failover, false);
+    assert.deepEqual(turns[10].failures, []);
+});
+
+test('every model failing answers 500 with the last error', async () => {
+    const { status, body } = await chat(newSessionId(), [mock('seeded?fail=401'), mock('echo?fail=500')]);
+
+    assert.equal(status, 500);
+    assert.match(body.error, /Mock API error/);
+    assert.equal(body.provider, 'mock');
+});
+
+test('an unknown mock behaviour fails without retries', async () => {
+    const { status, body } = await chat(newSessionId(), [mock('chatty')]);
+
+    assert.equal(status, 500);
+    assert.match(body.error, /Unknown mock behaviour/);
+});
+
+test('invalid requests answer 400', async () => {
+    const cases = [
+        { sessionId: '../etc', models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 0 },
+        { sessionId: newSessionId(), models: [{ provider: 'human', modelName: 'human' }], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5, template: 'no-such-template' },
+        { sessionId: newSessionId(), models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5, schedule: { strategy: 'shuffle' } },
+        { sessionId: newSessionId(), models: [{ provider: 'openai', modelName: 'gpt-4o', apiKey: '' }], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [{ provider: 'openai', modelName: 'not-in-the-catalog', apiKey: 'sk-test' }], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [{ provider: 'carrier-pigeon', modelName: 'coo', apiKey: '' }], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5, language: 'not a language' },
+        { sessionId: newSessionId(), models: [{ ...mock('echo'), sampling: { temperature: 0.5 } }], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [{ ...mock('echo'), sampling: { seed: 1.5 } }], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [{ ...mock('echo'), sampling: { creativity: 11 } }], prompt: PROMPT, tokensPerTurn: 5 },
+        { sessionId: newSessionId(), models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5, context: { policy: 'window' } },
+        { sessionId: newSessionId(), models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5, context: { policy: 'summary', tokens: 50, summarizer: 1 } }
+    ];
+
+    for (const body of cases) {
+        const response = await post('/chat', body);
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.ok(response.body.error);
+    }
+});
+
+test('a new session needs a prompt, a session that exists does not', async () => {
+    const sessionId = newSessionId();
+    for (const prompt of [undefined, '', '   ']) {
+        const response = await post('/chat', { sessionId, models: [mock('echo')], prompt, tokensPerTurn: 5 });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /prompt must be a non-empty string/);
+    }
+    const streamed = await post('/chat/stream', { sessionId, models: [mock('echo')], tokensPerTurn: 5 });
+    assert.equal(streamed.status, 400);
+    assert.equal((await request('GET', `/sessions/${sessionId}`)).status, 404);
+    assert.equal((await request('GET', '/sessions')).status, 200);
+
+    await chat(sessionId, [mock('echo')]);
+    const followUp = await post('/chat', { sessionId, models: [mock('scripted?replies=and slept')], tokensPerTurn: 5 });
+    assert.equal(followUp.status, 200);
+    assert.equal(followUp.body.reply, 'and slept');
+});
+
+test('a stored session without text is still listed', () => {
+    assert.equal(summarizeSession({ id: 'broken', currentTurn: 0 }).preview, '');
+});
+
+test('the sampling seed is used and stored with the turn', async () => {
+    const seeded = (seed) => ({ ...mock('seeded?seed=1'), sampling: { seed } });
+    const first = await chat(newSessionId(), [seeded(5)]);
+    const querySeed = await chat(newSessionId(), [mock('seeded?seed=5')]);
+    const unset = await chat(newSessionId(), [mock('seeded?seed=1')]);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.reply, querySeed.body.reply);
+    assert.deepEqual(first.body.sampling, { seed: 5 });
+    assert.deepEqual(unset.body.sampling, {});
+});
+
+test('a turn records the context it was sent', async () => {
+    const sessionId = newSessionId();
+    const models = [mock('scripted?replies=it rolled in the mud|and fell asleep')];
+    await chat(sessionId, models, { context: { policy: 'window', tokens: 4 } });
+    const { status, body } = await chat(sessionId, models, { context: { policy: 'window', tokens: 4 } });
+
+    assert.equal(status, 200);
+    assert.equal(body.context.policy, 'window');
+    assert.ok(body.context.contentTokens <= 4);
+    assert.ok(body.context.textTokens > 4);
+    assert.equal(body.context.cut, false);
+});
+
+test('a Chinese session joins turns without spaces', async () => {
+    const sessionId = newSessionId();
+    const models = [mock('scripted?replies=它看见一只鸡'), mock('scripted?replies=然后睡着了。')];
+    await chat(sessionId, models, { prompt: '小猪走进了农场。', language: 'zh', tokensPerTurn: 20 });
+    await chat(sessionId, models, { prompt: '小猪走进了农场。', language: 'zh', tokensPerTurn: 20 });
+
+    const { body: session } = await request('GET', `/sessions/${sessionId}`);
+    assert.equal(session.language, 'zh');
+    assert.equal(session.fullContent, '小猪走进了农场。它看见一只鸡然后睡着了。');
+});
+
+test('/models lists the catalog with each model\'s traits', async () => {
+    const { status, body } = await request('GET', '/models');
+
+    assert.equal(status, 200);
+    assert.equal(body.providers.cloudflare.keys, 'server');
+    assert.ok(body.categories.every(category => Object.values(body.providers).some(provider => provider.category === category.id)));
+    const gemini = body.models.find(model => model.provider === 'gemini');
+    assert.equal(gemini.minTokens, 10);
+    const cloudflare = body.models.find(model => model.provider === 'cloudflare');
+    assert.equal(cloudflare.asciiOnly, false);
+    assert.equal(cloudflare.payload, 'messages');
+});
+
+test('/chat/stream relays deltas and ends with the turn', async () => {
+    const response = await post('/chat/stream', { sessionId: newSessionId(), models: [mock('scripted?replies=a slow brown pig')], prompt: PROMPT, tokensPerTurn: 5 });
+    const events = parseEvents(response.body);
+
+    assert.equal(events[0].event, 'start');
+    const deltas = events.filter(({ event }) => event === 'delta').map(({ data }) => data.text);
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.join(''), 'a slow brown pig');
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.reply, 'a slow brown pig');
+});
+
+test('a session driven by a run or another turn answers 409', async () => {
+    const { body: run } = await post('/runs', { models: [mock('seeded?seed=1&delayMs=20')], prompt: PROMPT, tokensPerTurn: 5, maxTurns: 50 });
+    const busy = await chat(run.sessionId, [mock('echo')]);
+    assert.equal(busy.status, 409);
+    assert.match(busy.body.error, /in progress/);
+    assert.equal((await post('/chat/stream', { sessionId: run.sessionId, models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5 })).status, 409);
+    assert.equal((await post('/chat', { sessionId: run.sessionId, reset: true }, { 'X-Owner-Token': run.ownerToken })).status, 409);
+
+    // A paused run would overwrite the turn when it resumes
+    await post(`/runs/${run.id}/pause`, undefined, { 'X-Owner-Token': run.ownerToken });
+    await waitForRun(run.id, ({ status }) => status === 'paused');
+    assert.equal((await chat(run.sessionId, [mock('echo')])).status, 409);
+    await post(`/runs/${run.id}/cancel`, undefined, { 'X-Owner-Token': run.ownerToken });
+
+    const sessionId = newSessionId();
+    const [first, second] = await Promise.all([chat(sessionId, [mock('seeded?seed=1&delayMs=50')]), chat(sessionId, [mock('seeded?seed=1&delayMs=50')])]);
+    assert.deepEqual([first.status, second.status].sort(), [200, 409]);
+    assert.equal((await chat(sessionId, [mock('seeded?seed=1')])).body.turn, 1);
+});
@@ -0,0 +1,150 @@
+// test/cloudflare.test.js
+//
+// The Cloudflare provider against a local stub of the Workers AI API: the
+// request it sends and every response shape it has to read.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { generate, generateStream } = require('../lib/providers');
+const { silenceLogs } = require('./helpers');
+
+const messages = [
+    { role: 'system', content: 'Continue the story.' },
+    { role: 'user', content: 'Le cochon était très content.' }
+];
+const ctx = (modelName) => ({ modelName, tokensPerTurn: 5, fullContent: '', messages });
+
+let server;
+let reply = { status: 200, body: {} };
+let received = null;
+
+test.before(async () => {
+    silenceLogs();
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received = { url: req.url, authorization: req.headers.authorization, raw: body, body: JSON.parse(body) };
+            const isStream = typeof reply.body === 'string';
+            res.writeHead(reply.status, { 'Content-Type': isStream ? 'text/event-stream' : 'application/json' });
+            res.end(isStream ? reply.body : JSON.stringify(reply.body));
+        });
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    process.env.CLOUDFLARE_API_BASE = `http://127.0.0.1:${server.address().port}/client/v4/`;
+    process.env.CLOUDFLARE_API_KEY = 'test-key';
+    process.env.CLOUDFLARE_ACCOUNT_ID = 'account-1';
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const respond = (body, status = 200) => { reply = { status, body }; };
+
+test('sends Unicode text intact in a plain ASCII body', async () => {
+    respond({ result: { response: 'It rolled in the mud.' } });
+    await generate('cloudflare', ctx('@cf/meta/llama-3.1-8b-instruct'));
+
+    assert.equal(received.url, '/client/v4/accounts/account-1/ai/run/@cf/meta/llama-3.1-8b-instruct');
+    assert.equal(received.authorization, 'Bearer test-key');
+    assert.equal(received.body.max_tokens, 5);
+    assert.equal(received.body.messages[1].content, 'Le cochon était très content.');
+    assert.match(received.raw, /^[\x00-\x7F]*$/);
+});
+
+test('sends Chinese text intact', async () => {
+    respond({ result: { response: '然后它睡着了。' } });
+    const { text } = await generate('cloudflare', { ...ctx('@cf/meta/llama-3.1-8b-instruct'), messages: [{ role: 'user', content: '小猪走进了农场。' }] });
+
+    assert.equal(received.body.messages[0].content, '小猪走进了农场。');
+    assert.equal(text, '然后它睡着了。');
+});
+
+test('transliterates for models marked asciiOnly', async () => {
+    respond({ result: { response: 'ok' } });
+    await generate('cloudflare', { ...ctx('@cf/meta/llama-3.1-8b-instruct'), traits: { asciiOnly: true, minTokens: 1, payload: 'messages' } });
+
+    assert.equal(received.body.messages[1].content, 'Le cochon etait tres content.');
+});
+
+test('sends gpt-oss models a single input string', async () => {
+    respond({ result: { response: 'ok' } });
+    await generate('cloudflare', ctx('@cf/openai/gpt-oss-20b'));
+
+    assert.equal(received.body.messages, undefined);
+    assert.match(received.body.input, /^System: Continue the story\..*User: Le cochon/);
+});
+
+test('sends sampling settings under the Workers AI names', async () => {
+    respond({ result: { response: 'ok' } });
+    const { sampling } = await generate('cloudflare', { ...ctx('@cf/meta/llama-3.1-8b-instruct'), sampling: { temperature: 0.2, topP: 0.9, seed: 42 } });
+
+    assert.equal(received.body.temperature, 0.2);
+    assert.equal(received.body.top_p, 0.9);
+    assert.equal(received.body.seed, 42);
+    assert.deepEqual(sampling, { temperature: 0.2, topP: 0.9, seed: 42 });
+});
+
+test('leaves sampling to the model when nothing is set', async () => {
+    respond({ result: { response: 'ok' } });
+    await generate('cloudflare', ctx('@cf/meta/llama-3.1-8b-instruct'));
+
+    assert.equal(received.body.temperature, undefined);
+    assert.equal(received.body.top_p, undefined);
+});
+
+const SHAPES = [
+    ['result.response', { result: { response: 'from response' } }, 'from response'],
+    ['chat completion message', { result: { choices: [{ message: { content: 'from message' } }] } }, 'from message'],
+    ['completion text', { result: { choices: [{ text: 'from text' }] } }, 'from text'],
+    ['string result', { result: 'a plain string' }, 'a plain string'],
+    ['array result', { result: ['first', 'second'] }, 'first'],
+    ['object result', { result: { output: 'other' } }, '{"output":"other"}']
+];
+
+SHAPES.forEach(([name, body, expected]) => {
+    test(`reads the text of a ${name}`, async () => {
+        respond(body);
+        const { text } = await generate('cloudflare', ctx('@cf/meta/llama-3.1-8b-instruct'));
+        assert.equal(text, expected);
+    });
+});
+
+test('reads reported token usage', async () => {
+    respond({ result: { response: 'ok', usage: { prompt_tokens: 12, completion_tokens: 3 } } });
+    const { usage } = await generate('cloudflare', ctx('@cf/meta/llama-3.1-8b-instruct'));
+    assert.deepEqual(usage, { promptTokens: 12, completionTokens: 3 });
+
+    respond({ result: { response: 'ok' } });
+    const { usage: missing } = await generate('cloudflare', ctx('@cf/meta/llama-3.1-8b-instruct'));
+    assert.equal(missing, null);
+});
+
+test('API errors carry the HTTP status', async () => {
+    respond({ errors: [{ message: 'rate limited' }] }, 429);
+    await assert.rejects(generate('cloudflare', ctx('@cf/meta/llama-3.1-8b-instruct')), (error) => {
+        assert.equal(error.status, 429);
+        assert.match(error.message, /rate limited/);
+        return true;
+    });
+});
+
+test('streams both response and chat completion events', async () => {
+    respond([
+        'data: {"response":"It "}',
+        'data: {"choices":[{"delta":{"content":"rolled "}}]}',
+        'data: {"choices":[{"text":"over."}]}',
+        'data: [DONE]',
+        ''
+    ].join('\n\n'));
+
+    const deltas = [];
+    const { text } = await generateStream('cloudflare', ctx('@cf/meta/llama-3.1-8b-instruct'), delta => deltas.push(delta));
+
+    assert.equal(received.body.stream, true);
+    assert.deepEqual(deltas, ['It ', 'rolled ', 'over.']);
+    assert.equal(text, 'It rolled over.');
+});
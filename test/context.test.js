@@ -0,0 +1,168 @@
+// test/context.test.js
+//
+// Context policies (lib/context.js): what part of a long text a turn sends,
+// and how it is fitted to a model's context length.
+
+const path = require('path');
+
+// A mock summarizer with a 600-token context length, and a short call timeout
+process.env.MODEL_CATALOG_FILE = path.join(__dirname, 'fixtures', 'models.json');
+process.env.TURN_TIMEOUT_MS = '300';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateContext, refreshSummary, renderContext } = require('../lib/context');
+const { createSession } = require('../lib/turns');
+const { builtInTemplates } = require('../lib/templates');
+const { countTokens } = require('../lib/tokens');
+const { getProvider } = require('../lib/providers');
+const { silenceLogs, mock } = require('./helpers');
+
+const template = builtInTemplates().get('continue');
+const variables = { tokensPerTurn: 5, prompt: '', model: 'test', reply: '', question: '' };
+
+// A session whose text is `words` numbered words long
+function longSession(words) {
+    const text = Array.from({ length: words }, (_, index) => `word${index}`).join(' ');
+    const session = createSession(text, { id: 'context-test' });
+    session.fullContent = text;
+    return session;
+}
+
+const render = (session, options) => renderContext(session, template, variables, [], { tokensPerTurn: 5, ...options });
+
+test.before(silenceLogs);
+
+test.beforeEach(() => getProvider('mock').reset());
+
+test('the full policy sends the whole text', () => {
+    const session = longSession(200);
+    const { messages, context } = render(session, {});
+
+    assert.ok(messages[1].content.endsWith(session.fullContent));
+    assert.equal(context.policy, 'full');
+    assert.equal(context.contentTokens, context.textTokens);
+    assert.equal(context.cut, false);
+    assert.equal(context.limit, null);
+});
+
+test('a sliding window sends only the last tokens', () => {
+    const session = longSession(500);
+    const { messages, context } = render(session, { context: { policy: 'window', tokens: 50 } });
+
+    assert.ok(context.contentTokens <= 50);
+    assert.ok(context.textTokens > 500);
+    assert.ok(messages[1].content.endsWith('word499'));
+    assert.ok(!messages[1].content.includes('word0 '));
+});
+
+test('the prompt is cut to the model\'s context length', () => {
+    const session = longSession(1000);
+    const { messages, context } = render(session, { contextTokens: 600 });
+
+    assert.equal(context.cut, true);
+    assert.equal(context.limit, 600);
+    assert.ok(context.promptTokens <= 600 - 5, `${context.promptTokens} prompt tokens`);
+    // Both copies of the content keep the end of the text
+    assert.ok(messages[0].content.includes('word999'));
+    assert.ok(messages[1].content.endsWith('word999'));
+});
+
+test('the oldest chat history goes first when it does not fit', () => {
+    const session = longSession(10);
+    const history = Array.from({ length: 40 }, (_, index) => ({
+        role: index % 2 ? 'assistant' : 'user',
+        content: `message ${index} `.repeat(20)
+    }));
+    const { messages, context } = renderContext(session, template, variables, history, { tokensPerTurn: 5, contextTokens: 1000 });
+
+    assert.equal(context.cut, true);
+    assert.ok(context.promptTokens <= 995);
+    assert.equal(messages[1].role, 'user');
+    assert.match(messages[messages.length - 2].content, /message 39/);
+});
+
+test('a rolling summary replaces the older text', async () => {
+    const session = longSession(400);
+    const models = [mock('scripted?replies=A pig lived on a farm.')];
+    const context = { policy: 'summary', tokens: 100, summarizer: 0 };
+
+    await refreshSummary(session, models, context);
+    assert.equal(session.contextSummary.text, 'A pig lived on a farm.');
+
+    const { messages, context: sent } = render(session, { context });
+    assert.match(messages[1].content, /Summary of the earlier text: A pig lived on a farm\./);
+    assert.ok(messages[1].content.endsWith('word399'));
+    assert.ok(!messages[1].content.includes('word0 '));
+    assert.ok(sent.summaryTokens > 0);
+    assert.ok(sent.contentTokens < 200);
+});
+
+test('the summary is only extended once enough new text has built up', async () => {
+    const session = longSession(400);
+    const models = [mock('scripted?replies=first|second')];
+    const context = { policy: 'summary', tokens: 100, summarizer: 0 };
+
+    await refreshSummary(session, models, context);
+    session.fullContent += ' a few more words';
+    await refreshSummary(session, models, context);
+    assert.equal(session.contextSummary.text, 'first');
+
+    session.fullContent += ' more'.repeat(60);
+    await refreshSummary(session, models, context);
+    assert.equal(session.contextSummary.text, 'second');
+});
+
+test('a summary of text that was since rewritten is not used', async () => {
+    const session = longSession(400);
+    const context = { policy: 'summary', tokens: 100, summarizer: 0 };
+    await refreshSummary(session, [mock('scripted?replies=stale')], context);
+
+    session.fullContent = 'An edited beginning. ' + session.fullContent.slice(30);
+    const { messages, context: sent } = render(session, { context });
+    assert.ok(!messages[1].content.includes('stale'));
+    assert.equal(sent.summaryTokens, 0);
+});
+
+test('a failing summarizer leaves the turn to go on', async () => {
+    const session = longSession(400);
+    await refreshSummary(session, [mock('echo?fail=500')], { policy: 'summary', tokens: 100, summarizer: 0 });
+
+    assert.equal(session.contextSummary, undefined);
+    const { context } = render(session, { context: { policy: 'summary', tokens: 100, summarizer: 0 } });
+    assert.ok(countTokens(session.fullContent) > context.contentTokens);
+});
+
+test('the text sent to the summarizer is cut to its context length, keeping the end', async () => {
+    const session = longSession(2000);
+    // Starts its reply with the text it was sent
+    await refreshSummary(session, [mock('echo?repeatPrompt=1')], { policy: 'summary', tokens: 100, summarizer: 0 });
+
+    // The cut may fall inside a word: "1871 word1872 ..."
+    const firstWord = Number(session.contextSummary.text.match(/^(?:word)?(\d+) /)[1]);
+    assert.ok(firstWord > 1000, `the summarizer was sent the text from word ${firstWord}`);
+    assert.ok(session.contextSummary.upTo > session.fullContent.indexOf('word1900'));
+});
+
+test('a summarizer that does not answer in time is given up on', async () => {
+    const session = longSession(400);
+    const started = Date.now();
+    await refreshSummary(session, [mock('echo?delayMs=2000')], { policy: 'summary', tokens: 100, summarizer: 0 });
+
+    assert.ok(Date.now() - started < 1500);
+    assert.equal(session.contextSummary, undefined);
+});
+
+test('invalid contexts are rejected', () => {
+    const models = [mock('echo'), { provider: 'human', modelName: 'human' }];
+    assert.equal(validateContext(undefined, models), null);
+    assert.equal(validateContext({ policy: 'full' }, models), null);
+    assert.equal(validateContext({ policy: 'window', tokens: 100 }, models), null);
+    assert.ok(validateContext({ policy: 'everything' }, models));
+    assert.ok(validateContext({ policy: 'window' }, models));
+    assert.ok(validateContext({ policy: 'window', tokens: -1 }, models));
+    assert.ok(validateContext({ policy: 'summary', tokens: 100 }, models));
+    assert.ok(validateContext({ policy: 'summary', tokens: 100, summarizer: 2 }, models));
+    assert.ok(validateContext({ policy: 'summary', tokens: 100, summarizer: 1 }, models));
+});
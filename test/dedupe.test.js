@@ -0,0 +1,90 @@
+// test/dedupe.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalize, removeOverlap, removeRepeatedNgrams, dedupeResponse } = require('../lib/dedupe');
+const transcripts = require('./fixtures/transcripts.json');
+
+// Replay each transcript the way lib/turns.js records turns: every cleaned
+// reply is appended to the text with a single space.
+transcripts.forEach(({ name, prompt, turns }) => {
+    test(`transcript: ${name}`, () => {
+        let fullContent = prompt;
+        turns.forEach(({ raw, expected, removed }, index) => {
+            const result = dedupeResponse(fullContent, raw);
+            assert.equal(result.text, expected, `turn ${index + 1} text`);
+            assert.deepEqual(result.removed, removed, `turn ${index + 1} removals`);
+            fullContent += ' ' + result.text;
+        });
+    });
+});
+
+test('normalize folds case, punctuation and whitespace and maps back to the original', () => {
+    const { normalized, map } = normalize('  Short legs,\n and  a SNOUT!');
+    assert.equal(normalized, 'short legs and a snout');
+    assert.equal(map.length, normalized.length);
+    assert.equal(map[normalized.indexOf('and')], '  Short legs,\n and  a SNOUT!'.indexOf('and'));
+});
+
+test('removeOverlap removes a reply that repeats the whole text first', () => {
+    const result = removeOverlap('Once upon a time', 'Once upon a time there was a king.');
+    assert.equal(result.text, 'there was a king.');
+    assert.equal(result.removed, 'Once upon a time ');
+});
+
+test('removeOverlap only matches whole words', () => {
+    assert.equal(removeOverlap('The black cat', 'category of its own').text, 'category of its own');
+    assert.equal(removeOverlap('He sat on the mat', 'thematic choices').text, 'thematic choices');
+});
+
+test('removeOverlap ignores overlaps shorter than minOverlapChars', () => {
+    assert.equal(removeOverlap('There once was a', 'a king who ruled').text, 'a king who ruled');
+    assert.equal(removeOverlap('There once was a', 'a king who ruled', { minOverlapChars: 1 }).text, 'king who ruled');
+});
+
+test('removeOverlap does not treat an answer that echoes a question as repetition', () => {
+    assert.equal(removeOverlap('Who is a pig?', 'A pig is a mammal.').text, 'A pig is a mammal.');
+    assert.equal(removeOverlap('It was dark. Very dark.', 'Very dark. The wind howled.').text, 'The wind howled.');
+});
+
+test('removeOverlap keeps punctuation that follows the overlap', () => {
+    assert.equal(removeOverlap('short legs and a snout', 'and a snout, used for digging').text, ', used for digging');
+});
+
+test('removeOverlap leaves replies without overlap untouched', () => {
+    const result = removeOverlap('The story begins.', '  It was raining.');
+    assert.equal(result.text, '  It was raining.');
+    assert.equal(result.removed, null);
+});
+
+test('removeRepeatedNgrams removes phrases already in the text', () => {
+    const existing = 'She opened the door and stepped into the cold night air.';
+    const result = removeRepeatedNgrams(existing, 'Then she stepped into the cold night air again.');
+    assert.equal(result.text, 'Then she again.');
+    assert.deepEqual(result.removed, ['stepped into the cold night air ']);
+});
+
+test('removeRepeatedNgrams keeps repeats shorter than ngramSize', () => {
+    const existing = 'It was the best of times.';
+    assert.equal(removeRepeatedNgrams(existing, 'It was the worst of times.').text, 'It was the worst of times.');
+    assert.equal(removeRepeatedNgrams(existing, 'it was the best, of times', { ngramSize: 5 }).text, '');
+});
+
+test('dedupeResponse strips assistant labels before matching', () => {
+    const result = dedupeResponse('The sun rose over the hills', 'Assistant: Assistant: over the hills and far away');
+    assert.equal(result.text, 'and far away');
+    assert.deepEqual(result.removed.map(removal => removal.type), ['label', 'overlap']);
+});
+
+test('removeOverlap finds word boundaries in text without spaces', () => {
+    assert.equal(removeOverlap('他最喜欢巧克力蛋糕', '巧克力蛋糕店今天开门了', { language: 'zh' }).text, '店今天开门了');
+    assert.equal(removeOverlap('他最喜欢巧克力蛋糕', '克力蛋糕店今天开门了', { language: 'zh' }).text, '克力蛋糕店今天开门了');
+    assert.equal(removeOverlap('ฉันชอบกินข้าวกับแม่ที่บ้าน', 'แม่ที่บ้านทุกวัน', { language: 'th' }).text, 'ทุกวัน');
+});
+
+test('removeRepeatedNgrams counts words of text without spaces', () => {
+    const result = removeRepeatedNgrams('我们今天去公园散步然后回家吃饭', '后来我们今天去公园散步然后回家', { language: 'zh' });
+    assert.equal(result.text, '后来');
+    assert.deepEqual(result.removed, ['我们今天去公园散步然后回家']);
+});
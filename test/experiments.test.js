@@ -0,0 +1,124 @@
+// test/experiments.test.js
+//
+// Headless experiments (lib/experiments.js): checking an experiment file,
+// expanding it into runs, and running them into transcripts and a summary.
+
+process.env.TURN_RETRY_BASE_MS = '1';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateExperiment, expandRuns, runExperiment } = require('../lib/experiments');
+const { builtInTemplates } = require('../lib/templates');
+const { getProvider } = require('../lib/providers');
+
+const templates = builtInTemplates();
+const quiet = { log() {}, error() {} };
+
+const experiment = (overrides = {}) => ({
+    name: 'pig',
+    models: {
+        seeded: { provider: 'mock', modelName: 'seeded' },
+        echo: { provider: 'mock', modelName: 'echo' }
+    },
+    prompts: ['A pig lived on a farm.'],
+    orderings: [['seeded', 'echo']],
+    tokensPerTurn: 3,
+    maxTurns: 2,
+    ...overrides
+});
+
+// The assistant records of a JSONL transcript
+const readTurns = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line)).filter(record => record.role === 'assistant');
+
+let outDir;
+
+test.beforeEach(() => {
+    getProvider('mock').reset();
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'experiments-test-'));
+});
+
+test.afterEach(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+test('every combination runs `repeats` times, in a stable order', () => {
+    const runs = expandRuns(experiment({
+        prompts: ['One.', 'Two.'],
+        orderings: [['seeded', 'echo'], ['echo', 'seeded']],
+        tokensPerTurn: [3, 5],
+        seeds: [1, 2],
+        repeats: 2
+    }));
+
+    assert.equal(runs.length, 2 * 2 * 2 * 2 * 2);
+    assert.deepEqual(runs.map(run => run.number), runs.map((run, index) => index + 1));
+    assert.deepEqual(runs[0], { number: 1, prompt: 'One.', promptIndex: 0, ordering: ['seeded', 'echo'], tokensPerTurn: 3, maxTurns: 2, seed: 1, repeat: 1 });
+    assert.deepEqual(runs.slice(0, 4).map(run => [run.seed, run.repeat]), [[1, 1], [1, 2], [2, 1], [2, 2]]);
+    assert.equal(runs[31].prompt, 'Two.');
+});
+
+test('experiments are checked against the catalog and the template store', () => {
+    assert.equal(validateExperiment(experiment(), templates), null);
+
+    const invalid = [
+        [{ models: { gpt: { provider: 'openai', modelName: 'gpt-unknown' } }, orderings: [['gpt']] }, /Model "gpt": Unknown OpenAI model: gpt-unknown/],
+        [{ models: { local: { provider: 'openai-compatible', modelName: 'llama', baseURL: 'http://10.0.0.1/v1' } }, orderings: [['local']] }, /base URL .* is not allowed/],
+        [{ models: { you: { provider: 'human', modelName: 'human' } }, orderings: [['you']] }, /human participant/],
+        [{ orderings: [['seeded', 'nobody']] }, /unknown model "nobody"/],
+        [{ template: 'no-such-template' }, /Unknown prompt template/],
+        [{ seeds: [1.5] }, /"seeds"/]
+    ];
+    invalid.forEach(([overrides, message]) => assert.match(validateExperiment(experiment(overrides), templates), message));
+});
+
+test('a model whose key is only in the environment passes the check', () => {
+    const gpt = { provider: 'openai', modelName: 'gpt-4o-mini', apiKeyEnv: 'OPENAI_API_KEY' };
+    assert.equal(validateExperiment(experiment({ models: { gpt }, orderings: [['gpt']] }), templates), null);
+});
+
+test('runs write a transcript each and a summary without API keys', async () => {
+    const models = { ...experiment().models, keyed: { provider: 'mock', modelName: 'echo?delayMs=1', apiKeyEnv: 'EXPERIMENT_TEST_KEY' } };
+    const progress = [];
+    const rows = await runExperiment(experiment({ models, orderings: [['seeded', 'keyed'], ['keyed', 'seeded']] }), {
+        outDir,
+        templates,
+        env: { EXPERIMENT_TEST_KEY: 'secret-key' },
+        logger: quiet,
+        onRunDone: (row, done, total) => progress.push(`${done}/${total}`)
+    });
+
+    assert.deepEqual(rows.map(row => [row.run, row.ordering, row.status, row.turns]), [
+        ['run-001', 'seeded > keyed', 'completed', 2],
+        ['run-002', 'keyed > seeded', 'completed', 2]
+    ]);
+    assert.deepEqual(progress, ['1/2', '2/2']);
+    assert.deepEqual(readTurns(path.join(outDir, 'run-002.jsonl')).map(record => record.model), ['echo?delayMs=1', 'seeded']);
+
+    const summary = fs.readFileSync(path.join(outDir, 'summary.json'), 'utf8');
+    assert.deepEqual(JSON.parse(summary).runs, rows);
+    assert.ok(!summary.includes('secret-key'));
+    const csv = fs.readFileSync(path.join(outDir, 'summary.csv'), 'utf8').trim().split('\n');
+    assert.equal(csv.length, 3);
+    assert.ok(csv[0].startsWith('run,prompt,ordering'));
+});
+
+test('each run\'s seed becomes the models\' sampling seed unless a model sets its own', async () => {
+    const models = { seeded: { provider: 'mock', modelName: 'seeded' }, pinned: { provider: 'mock', modelName: 'seeded?seed=3', sampling: { seed: 7 } } };
+    const rows = await runExperiment(experiment({ models, orderings: [['seeded', 'pinned']], seeds: [1, 2] }), { outDir, templates, logger: quiet });
+
+    const [first, second] = rows.map(row => readTurns(path.join(outDir, row.file)));
+    assert.deepEqual(first.map(record => record.sampling.seed), [1, 7]);
+    assert.deepEqual(second.map(record => record.sampling.seed), [2, 7]);
+    assert.notEqual(first[0].text, second[0].text);
+});
+
+test('a run whose turn fails for good is reported as failed', async () => {
+    const models = { broken: { provider: 'mock', modelName: 'echo?fail=400' } };
+    const [row] = await runExperiment(experiment({ models, orderings: [['broken']] }), { outDir, templates, logger: quiet });
+
+    assert.equal(row.status, 'failed');
+    assert.equal(row.turns, 0);
+    assert.match(row.error, /All models failed on turn 1/);
+});
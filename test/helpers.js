@@ -0,0 +1,109 @@
+// test/helpers.js
+//
+// Setup shared by the test files: a quiet log, the mock model helper, and an
+// app listening on a free port (with the memory session store) that the
+// tests talk to over fetch. Set any environment the server reads before the
+// first test runs; the app is only required then.
+
+process.env.SESSION_STORE = 'memory';
+
+const test = require('node:test');
+
+// The server logs every turn; keep the test output readable
+function silenceLogs() {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+// A model of the offline mock provider (lib/providers/mock.js)
+const mock = (modelName) => ({ provider: 'mock', modelName, apiKey: '' });
+
+// Split a Server-Sent Events body into { event, data } records
+function parseEvents(text) {
+    return text.trim().split('\n\n').filter(Boolean).map(parseEvent);
+}
+
+function parseEvent(block) {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+}
+
+// Start the app for the tests of this file and reset the mock provider
+// before each one. Returns the client:
+//   url(path)                                the address of a path
+//   request(method, path, body, headers)     { status, headers, body } (JSON parsed)
+//   post(path, body, headers)
+//   waitForRun(runId)                        the run once it is no longer running
+//   watchEvents(path, until)                 events of a feed until until(events) holds
+function useServer() {
+    let server;
+    let baseURL;
+
+    test.before(async () => {
+        silenceLogs();
+        const app = require('../server');
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    test.after(() => new Promise(resolve => server.close(resolve)));
+
+    test.beforeEach(() => require('../lib/providers').getProvider('mock').reset());
+
+    const url = (path) => baseURL + path;
+
+    async function request(method, path, body, headers = {}) {
+        const response = await fetch(url(path), {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const isJSON = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJSON ? await response.json() : await response.text() };
+    }
+
+    const post = (path, body, headers) => request('POST', path, body, headers);
+
+    async function waitForRun(runId, isDone = (run) => run.status !== 'running') {
+        for (let attempt = 0; attempt < 300; attempt++) {
+            const { body } = await request('GET', `/runs/${runId}`);
+            if (isDone(body)) return body;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(`Run ${runId} did not finish`);
+    }
+
+    async function watchEvents(path, until) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 5000);
+        const events = [];
+        try {
+            const response = await fetch(url(path), { signal: controller.signal });
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    events.push(parseEvent(buffer.slice(0, boundary)));
+                    buffer = buffer.slice(boundary + 2);
+                    if (until(events)) return events;
+                }
+            }
+            return events;
+        } finally {
+            clearTimeout(timer);
+            controller.abort();
+        }
+    }
+
+    return { url, request, post, waitForRun, watchEvents };
+}
+
+module.exports = {
+    silenceLogs,
+    mock,
+    parseEvents,
+    useServer
+};
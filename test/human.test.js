@@ -0,0 +1,68 @@
+// test/human.test.js
+//
+// The human participant (provider "human"): a run waits for the person's
+// turn, which is held to the turn's token budget, and failover never hands a
+// model's turn to them.
+
+process.env.TURN_RETRY_BASE_MS = '1';
+process.env.TURN_MAX_RETRIES = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mock, useServer } = require('./helpers');
+
+const { request: send, waitForRun } = useServer();
+
+// A request made as the holder of `token`, if any
+const request = (method, path, body, token) => send(method, path, body, token ? { 'X-Owner-Token': token } : {});
+
+const human = { provider: 'human', modelName: 'human', displayName: 'You' };
+
+async function startRun(models, maxTurns) {
+    const { status, body } = await request('POST', '/runs', { models, prompt: 'A pig lived on a farm.', tokensPerTurn: 5, maxTurns });
+    assert.equal(status, 201, JSON.stringify(body));
+    return body;
+}
+
+test('a run waits for the human participant and goes on with their text', async () => {
+    const { id, ownerToken } = await startRun([mock('scripted?replies=it rolled over|and slept'), human], 3);
+
+    const waiting = await waitForRun(id, run => Boolean(run.awaitingHuman));
+    assert.equal(waiting.status, 'running');
+    assert.deepEqual(waiting.awaitingHuman, { modelName: 'human', provider: 'human', turn: 1, tokensPerTurn: 5 });
+    assert.equal(waiting.turns.length, 1);
+
+    assert.equal((await request('POST', `/runs/${id}/human-turn`, { text: 'It woke.' })).status, 403);
+    assert.equal((await request('POST', `/runs/${id}/human-turn`, { text: '  ' }, ownerToken)).status, 400);
+    const tooLong = await request('POST', `/runs/${id}/human-turn`, { text: 'Then it woke up and ran all the way to the river.' }, ownerToken);
+    assert.equal(tooLong.status, 400);
+    assert.match(tooLong.body.error, /at most 5/);
+
+    assert.equal((await request('POST', `/runs/${id}/human-turn`, { text: 'It woke.' }, ownerToken)).status, 200);
+    const run = await waitForRun(id);
+    assert.equal(run.status, 'completed');
+    assert.deepEqual(run.turns.map(turn => [turn.provider, turn.reply]), [
+        ['mock', 'it rolled over'],
+        ['human', 'It woke.'],
+        ['mock', 'and slept']
+    ]);
+});
+
+test('a human turn is refused when the run is not waiting for one', async () => {
+    const { id, ownerToken } = await startRun([mock('echo')], 1);
+    await waitForRun(id);
+
+    assert.equal((await request('POST', `/runs/${id}/human-turn`, { text: 'It woke.' }, ownerToken)).status, 409);
+});
+
+test('failover passes a failed turn to the next model, never to the human', async () => {
+    const { id } = await startRun([mock('echo?fail=500'), human, mock('scripted?replies=it slept')], 1);
+
+    const run = await waitForRun(id);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.awaitingHuman, null);
+    assert.equal(run.turns[0].modelName, 'scripted?replies=it slept');
+    assert.equal(run.failures[0].modelName, 'echo?fail=500');
+    assert.deepEqual(run.failures[0].passedTo, { modelName: 'scripted?replies=it slept', provider: 'mock' });
+});
@@ -0,0 +1,89 @@
+// test/judge.test.js
+//
+// Judge calls (lib/judge.js): the prompt fitted to the judge's context
+// length, the judge schedule and the race judge's vote.
+
+// Judges that do not answer are given up on quickly
+process.env.TURN_TIMEOUT_MS = '300';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fitJudgeText, pickNumber } = require('../lib/judge');
+const { pickModelIndex } = require('../lib/schedulers');
+const { selectCandidate } = require('../lib/race');
+const { createSession } = require('../lib/turns');
+const { countRequestTokens } = require('../lib/tokens');
+const { getProvider } = require('../lib/providers');
+const { silenceLogs, mock } = require('./helpers');
+
+const system = 'You are judging a collaborative writing session.';
+const question = 'Reply with only YES or NO.';
+
+function longSession(words) {
+    const session = createSession('', { id: 'judge-test' });
+    session.fullContent = Array.from({ length: words }, (_, index) => `word${index}`).join(' ');
+    return session;
+}
+
+test.before(silenceLogs);
+
+test.beforeEach(() => getProvider('mock').reset());
+
+test('the judge prompt keeps the end of a text too long for the judge', () => {
+    const { fullContent } = longSession(2000);
+    const text = fitJudgeText(fullContent, { system, question, contextTokens: 300 });
+    const messages = [
+        { role: 'system', content: system },
+        { role: 'user', content: `The text so far: "${text}"\n\n${question}` }
+    ];
+
+    assert.ok(text.length < fullContent.length);
+    assert.ok(fullContent.endsWith(text));
+    assert.ok(countRequestTokens({ messages }) + 5 <= 300);
+});
+
+test('the judge gets the whole text when it fits or its context length is unknown', () => {
+    const { fullContent } = longSession(50);
+
+    assert.equal(fitJudgeText(fullContent, { system, question, contextTokens: 128000 }), fullContent);
+    assert.equal(fitJudgeText(fullContent, { system, question }), fullContent);
+});
+
+test('a judge reply must name one of the options', () => {
+    assert.equal(pickNumber('2.', 3, 'a writer'), 1);
+    assert.throws(() => pickNumber('4', 3, 'a writer'), /does not name a writer/);
+    assert.throws(() => pickNumber('nobody', 3, 'a writer'), /does not name a writer/);
+});
+
+test('the judge schedule follows the judge, and round-robin when it is confused', async () => {
+    const session = longSession(10);
+    const models = [mock('scripted?replies=3|nobody'), mock('echo'), mock('seeded?seed=1')];
+    const schedule = { strategy: 'judge', judge: 0 };
+
+    assert.equal(await pickModelIndex(session, models, schedule), 2);
+    session.currentTurn = 1;
+    assert.equal(await pickModelIndex(session, models, schedule), 1);
+});
+
+test('the race judge keeps the candidate it votes for, and the fastest when it is confused', async () => {
+    const session = longSession(10);
+    const models = [mock('scripted?replies=2|9'), mock('echo')];
+    const candidates = [{ text: 'first', latencyMs: 5, removed: [] }, { text: 'second', latencyMs: 40, removed: [] }];
+    const race = { policy: 'judge', judge: 0 };
+
+    assert.equal((await selectCandidate(session, candidates, race, models)).index, 1);
+    const fallback = await selectCandidate(session, candidates, race, models);
+    assert.equal(fallback.index, 0);
+    assert.match(fallback.reason, /the judge failed/);
+});
+
+test('a judge that does not answer in time is passed over', async () => {
+    const session = longSession(10);
+    session.currentTurn = 1;
+    const models = [mock('scripted?replies=3&delayMs=2000'), mock('echo'), mock('seeded?seed=1')];
+
+    const started = Date.now();
+    assert.equal(await pickModelIndex(session, models, { strategy: 'judge', judge: 0 }), 1);
+    assert.ok(Date.now() - started < 1500);
+});
@@ -0,0 +1,38 @@
+// test/language.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateLanguage, joinSeparator, splitRun } = require('../lib/language');
+
+test('turns of unspaced scripts are joined without a space', () => {
+    assert.equal(joinSeparator('小猪走进了农场。', '它看见一只鸡'), '');
+    assert.equal(joinSeparator('ぶたは', 'のはらに'), '');
+    assert.equal(joinSeparator('ฉันชอบ', 'กินข้าว'), '');
+    assert.equal(joinSeparator('我喜欢', 'Apple'), '');
+});
+
+test('turns of spaced scripts keep their space', () => {
+    assert.equal(joinSeparator('The pig', 'walked on'), ' ');
+    assert.equal(joinSeparator('돼지가', '걸었다'), ' ');
+    assert.equal(joinSeparator('The pig', ','), ' ');
+});
+
+test('an unspaced session language drops the space before punctuation only', () => {
+    assert.equal(joinSeparator('I like Apple', ',', 'zh'), '');
+    assert.equal(joinSeparator('I like', 'Apple', 'zh'), ' ');
+    assert.equal(joinSeparator('I like', 'Apple', 'zh-Hant'), ' ');
+});
+
+test('splitRun segments runs without spaces into words', () => {
+    assert.deepEqual(splitRun('pig'), [{ text: 'pig', index: 0 }]);
+    assert.deepEqual(splitRun('巧克力蛋糕', 'zh').map(word => word.text), ['巧克力', '蛋糕']);
+});
+
+test('validateLanguage accepts auto and language tags', () => {
+    assert.equal(validateLanguage(undefined), null);
+    assert.equal(validateLanguage('auto'), null);
+    assert.equal(validateLanguage('zh-Hans'), null);
+    assert.ok(validateLanguage('not a tag!'));
+    assert.ok(validateLanguage(7));
+});
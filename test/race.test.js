@@ -0,0 +1,86 @@
+// test/race.test.js
+//
+// Race turns (lib/race.js): every model writes a candidate, the schedule's
+// policy keeps one, and the others are stored with the turn, which costs
+// all of them.
+
+const path = require('path');
+
+process.env.PRICE_TABLE_FILE = path.join(__dirname, 'fixtures', 'prices.json');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mock, useServer } = require('./helpers');
+
+const { request: send, waitForRun } = useServer();
+
+// A request made as the holder of `token`, if any
+const request = (method, path, body, token) => send(method, path, body, token ? { 'X-Owner-Token': token } : {});
+
+const PROMPT = 'A pig lived on a farm.';
+
+const race = (policy, extra = {}) => ({ strategy: 'race', policy, ...extra });
+
+async function startRace(models, schedule, maxTurns = 1) {
+    const { status, body } = await request('POST', '/runs', { models, prompt: PROMPT, tokensPerTurn: 5, maxTurns, schedule });
+    assert.equal(status, 201, JSON.stringify(body));
+    return body;
+}
+
+test('the fastest candidate wins and every candidate is stored with the turn', async () => {
+    const { id } = await startRace([mock('scripted?replies=it slept&delayMs=80'), mock('scripted?replies=it ran')], race('fastest'));
+
+    const { turns: [turn] } = await waitForRun(id);
+    assert.equal(turn.strategy, 'race');
+    assert.equal(turn.reply, 'it ran');
+    assert.equal(turn.modelName, 'scripted?replies=it ran');
+    assert.equal(turn.race.policy, 'fastest');
+    assert.match(turn.race.reason, /^fastest \(\d+ ms\)$/);
+    assert.deepEqual(turn.race.candidates.map(candidate => [candidate.text, candidate.selected]), [['it slept', false], ['it ran', true]]);
+    assert.ok(turn.race.candidates[0].latencyMs > turn.race.candidates[1].latencyMs);
+});
+
+test('least repetition keeps the candidate that lost the least text', async () => {
+    const { id } = await startRace([mock('scripted?replies=it ran&repeatPrompt=1'), mock('scripted?replies=a new day began&delayMs=30')], race('least-repetition'));
+
+    const { turns: [turn] } = await waitForRun(id);
+    assert.equal(turn.reply, 'a new day began');
+    assert.match(turn.race.reason, /^least repetition \(0 characters removed\)$/);
+    assert.ok(turn.race.candidates[0].removed.length > 0);
+});
+
+test('a race decided by the user waits for their choice', async () => {
+    const { id, ownerToken } = await startRace([mock('scripted?replies=it slept'), mock('scripted?replies=it ran')], race('user'));
+
+    const waiting = await waitForRun(id, run => Boolean(run.awaitingChoice));
+    assert.equal(waiting.status, 'running');
+    assert.deepEqual(waiting.awaitingChoice.candidates.map(candidate => candidate.text), ['it slept', 'it ran']);
+
+    assert.equal((await request('POST', `/runs/${id}/choice`, { index: 1 })).status, 403);
+    assert.equal((await request('POST', `/runs/${id}/choice`, { index: 2 }, ownerToken)).status, 400);
+    assert.equal((await request('POST', `/runs/${id}/choice`, { index: 0 }, ownerToken)).status, 200);
+
+    const run = await waitForRun(id);
+    assert.equal(run.turns[0].reply, 'it slept');
+    assert.equal(run.turns[0].race.reason, 'user choice');
+    assert.equal((await request('POST', `/runs/${id}/choice`, { index: 0 }, ownerToken)).status, 409);
+});
+
+test('a race turn costs every candidate, not just the kept one', async () => {
+    const { id } = await startRace([mock('scripted?replies=it slept all day'), mock('scripted?replies=it ran')], race('fastest'));
+
+    const { turns: [turn] } = await waitForRun(id);
+    const costs = turn.race.candidates.map(candidate => candidate.cost);
+    assert.ok(costs.every(cost => cost > 0));
+    assert.ok(Math.abs(turn.cost - (costs[0] + costs[1])) < 1e-12);
+});
+
+test('a race needs two models, no human participant and a judge among them', async () => {
+    const human = { provider: 'human', modelName: 'human' };
+    const start = (models, schedule = race('fastest')) => request('POST', '/runs', { models, prompt: PROMPT, tokensPerTurn: 5, maxTurns: 1, schedule });
+
+    assert.equal((await start([mock('echo')])).status, 400);
+    assert.equal((await start([mock('echo'), human])).status, 400);
+    assert.equal((await start([mock('echo'), mock('seeded?seed=1')], race('judge', { judge: 2 }))).status, 400);
+});
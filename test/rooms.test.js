@@ -0,0 +1,116 @@
+// test/rooms.test.js
+//
+// Shared rooms (lib/rooms.js): only the owner of a session controls it, and
+// anyone can follow it live over GET /sessions/:id/events.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mock, useServer } = require('./helpers');
+
+const { request: send, waitForRun, watchEvents } = useServer();
+
+// A request made as the holder of `token`, if any
+const request = (method, path, body, token) => send(method, path, body, token ? { 'X-Owner-Token': token } : {});
+
+// A finished run on a new session: { sessionId, ownerToken }
+async function ownedSession(maxTurns = 2) {
+    const { status, body } = await request('POST', '/runs', { models: [mock('scripted?replies=it rolled over|and slept')], prompt: 'A pig lived on a farm.', tokensPerTurn: 5, maxTurns });
+    assert.equal(status, 201);
+    await waitForRun(body.id);
+    return { sessionId: body.sessionId, ownerToken: body.ownerToken };
+}
+
+// Read events from a room feed until `until(events)` holds
+const watchRoom = (sessionId, until) => watchEvents(`/sessions/${sessionId}/events`, until);
+
+test('a new run hands its creator an owner token that is never shown again', async () => {
+    const { sessionId, ownerToken } = await ownedSession();
+    assert.ok(ownerToken);
+
+    const { body } = await request('GET', `/sessions/${sessionId}`);
+    assert.equal(body.owned, true);
+    assert.ok(!JSON.stringify(body).includes(ownerToken));
+    assert.equal(body.ownerTokenHash, undefined);
+});
+
+test('only the owner can continue, edit or delete a session', async () => {
+    const { sessionId, ownerToken } = await ownedSession();
+    const more = { sessionId, models: [mock('echo')], tokensPerTurn: 5, maxTurns: 1 };
+
+    assert.equal((await request('POST', '/runs', more)).status, 403);
+    assert.equal((await request('POST', '/runs', more, 'not-the-token')).status, 403);
+    assert.equal((await request('PATCH', `/sessions/${sessionId}/turns/0`, { text: 'edited' })).status, 403);
+    assert.equal((await request('POST', `/sessions/${sessionId}/turns`, { text: 'mine now' })).status, 403);
+    assert.equal((await request('POST', `/sessions/${sessionId}/branches`, { afterTurn: 0 })).status, 403);
+    assert.equal((await request('DELETE', `/sessions/${sessionId}`)).status, 403);
+    assert.equal((await request('POST', '/chat', { sessionId, reset: true })).status, 403);
+
+    const continued = await request('POST', '/runs', more, ownerToken);
+    assert.equal(continued.status, 201);
+    assert.equal(continued.body.ownerToken, undefined);
+    await waitForRun(continued.body.id);
+    assert.equal((await request('PATCH', `/sessions/${sessionId}/turns/0`, { text: 'edited' }, ownerToken)).status, 200);
+    assert.equal((await request('DELETE', `/sessions/${sessionId}`, undefined, ownerToken)).status, 200);
+});
+
+test('only the owner can pause or stop a run', async () => {
+    const { status, body: run } = await request('POST', '/runs', { models: [mock('seeded?seed=1&delayMs=20')], prompt: 'A pig.', tokensPerTurn: 5, maxTurns: 50 });
+    assert.equal(status, 201);
+
+    assert.equal((await request('POST', `/runs/${run.id}/pause`)).status, 403);
+    assert.equal((await request('POST', `/runs/${run.id}/cancel`)).status, 403);
+    assert.equal((await request('GET', `/runs/${run.id}`)).body.status, 'running');
+
+    const cancelled = await request('POST', `/runs/${run.id}/cancel`, undefined, run.ownerToken);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.status, 'cancelled');
+});
+
+test('sessions made through /chat stay open to everyone', async () => {
+    const sessionId = 'room-chat-session';
+    await request('POST', '/chat', { sessionId, models: [mock('echo')], prompt: 'A pig.', tokensPerTurn: 5 });
+
+    assert.equal((await request('GET', `/sessions/${sessionId}`)).body.owned, false);
+    assert.equal((await request('POST', `/sessions/${sessionId}/turns`, { text: 'anyone may add' })).status, 201);
+});
+
+test('a viewer joining late sees the turns so far, then every new run live', async () => {
+    const { sessionId, ownerToken } = await ownedSession();
+
+    const watching = watchRoom(sessionId, events => events.some(({ event, data }) => event === 'status' && data.status === 'completed'));
+    // Let the viewer connect before the owner starts the next run
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const continued = await request('POST', '/runs', { sessionId, models: [mock('scripted?replies=then it woke up')], tokensPerTurn: 5, maxTurns: 1 }, ownerToken);
+    assert.equal(continued.status, 201);
+    const events = await watching;
+
+    const [joined, runStarted] = events.filter(({ event }) => event === 'room');
+    assert.equal(joined.data.session.turns.length, 2);
+    assert.equal(joined.data.run, null);
+    assert.equal(joined.data.viewers, 1);
+    assert.equal(runStarted.data.run.id, continued.body.id);
+
+    const turns = events.filter(({ event }) => event === 'turn').map(({ data }) => data.reply);
+    assert.deepEqual(turns, ['then it woke up']);
+    assert.equal(events[events.length - 1].data.stopReason.by, 'maxTurns');
+});
+
+test('viewers hear about edits and deletion', async () => {
+    const { sessionId, ownerToken } = await ownedSession();
+
+    const watching = watchRoom(sessionId, events => events.some(({ event }) => event === 'deleted'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await request('PATCH', `/sessions/${sessionId}/turns/1`, { text: 'and dreamed' }, ownerToken);
+    await request('DELETE', `/sessions/${sessionId}`, undefined, ownerToken);
+    const events = await watching;
+
+    const rooms = events.filter(({ event }) => event === 'room');
+    assert.equal(rooms.length, 2);
+    assert.match(rooms[1].data.session.fullContent, /and dreamed$/);
+    assert.deepEqual(events[events.length - 1], { event: 'deleted', data: { sessionId } });
+});
+
+test('a room that does not exist answers 404', async () => {
+    assert.equal((await request('GET', '/sessions/no-such-room/events')).status, 404);
+});
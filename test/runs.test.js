@@ -0,0 +1,159 @@
+// test/runs.test.js
+//
+// Server-driven runs (lib/runs.js): pausing and resuming, and what can be
+// done to their session meanwhile: editing turns, adding the user's own
+// text, forking and switching branches (lib/branches.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRunManager } = require('../lib/runs');
+const { createSessionStore } = require('../lib/store');
+const { builtInTemplates } = require('../lib/templates');
+const { mock, useServer } = require('./helpers');
+
+const { request: send, waitForRun } = useServer();
+
+// A request made as the holder of `token`, if any
+const request = (method, path, body, token) => send(method, path, body, token ? { 'X-Owner-Token': token } : {});
+
+const PROMPT = 'A pig lived on a farm.';
+
+// Start a run: { runId, sessionId, ownerToken }
+async function startRun(body) {
+    const { status, body: run } = await request('POST', '/runs', { prompt: PROMPT, tokensPerTurn: 5, ...body }, body.ownerToken);
+    assert.equal(status, 201, JSON.stringify(run));
+    return { runId: run.id, sessionId: run.sessionId, ownerToken: run.ownerToken || body.ownerToken };
+}
+
+// A session whose run wrote `replies` in order: { sessionId, ownerToken }
+async function finishedSession(replies) {
+    const { runId, sessionId, ownerToken } = await startRun({ models: [mock(`scripted?replies=${replies.join('|')}`)], maxTurns: replies.length });
+    await waitForRun(runId);
+    return { sessionId, ownerToken };
+}
+
+const getSession = async (sessionId) => (await request('GET', `/sessions/${sessionId}`)).body;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait until the run's status passes `isDone`
+async function waitForStatus(run, isDone) {
+    for (let attempt = 0; attempt < 300 && !isDone(run.status); attempt++) {
+        await sleep(10);
+    }
+    return run.status;
+}
+
+test('a run left paused is cancelled after the timeout', async () => {
+    const store = createSessionStore();
+    const manager = createRunManager({ store, templates: builtInTemplates(), pausedRunTimeoutMs: 50 });
+    const run = await manager.startRun({ models: [mock('echo?delayMs=20')], prompt: PROMPT, tokensPerTurn: 5, maxTurns: 10 });
+
+    manager.pauseRun(run.id);
+    assert.equal(run.status, 'paused');
+    assert.equal(await waitForStatus(run, status => status !== 'paused'), 'cancelled');
+    assert.equal(run.session.stopReason.by, 'idle');
+    assert.equal(manager.findRun(run.session.id), undefined);
+    assert.equal((await store.get(run.session.id)).stopReason.by, 'idle');
+});
+
+test('resuming a paused run stops the timeout', async () => {
+    const manager = createRunManager({ store: createSessionStore(), templates: builtInTemplates(), pausedRunTimeoutMs: 50 });
+    const run = await manager.startRun({ models: [mock('echo?delayMs=20')], prompt: PROMPT, tokensPerTurn: 5, maxTurns: 6 });
+
+    manager.pauseRun(run.id);
+    manager.resumeRun(run.id);
+    assert.equal(await waitForStatus(run, status => status !== 'running'), 'completed');
+    await sleep(80);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.session.stopReason.by, 'maxTurns');
+});
+
+test('a run that fails outside the models reports the error without a model name', async () => {
+    const store = createSessionStore();
+    let writes = 0;
+    const failingStore = { ...store, set: (id, session) => ++writes > 1 ? Promise.reject(new Error('disk full')) : store.set(id, session) };
+    const manager = createRunManager({ store: failingStore, templates: builtInTemplates() });
+    const run = await manager.startRun({ models: [mock('echo')], prompt: PROMPT, tokensPerTurn: 5, maxTurns: 2 });
+
+    assert.equal(await waitForStatus(run, status => status !== 'running'), 'failed');
+    assert.equal(run.error, 'disk full');
+    assert.equal(run.session.stopReason.reason, 'disk full');
+});
+
+test('a paused run goes on from the edited text when resumed', async () => {
+    const { runId, sessionId, ownerToken } = await startRun({ models: [mock('scripted?replies=one|two|three&delayMs=50')], maxTurns: 3 });
+
+    assert.equal((await request('POST', `/runs/${runId}/pause`, {}, ownerToken)).body.status, 'paused');
+    const paused = await waitForRun(runId, run => run.status === 'paused' && run.turns.length === 1);
+    assert.equal(paused.turns[0].reply, 'one');
+
+    const edited = await request('PATCH', `/sessions/${sessionId}/turns/0`, { text: 'ONE' }, ownerToken);
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.turns[0].edited, true);
+    assert.ok(edited.body.fullContent.endsWith('ONE'));
+    assert.equal((await request('PATCH', `/sessions/${sessionId}/turns/5`, { text: 'x' }, ownerToken)).status, 404);
+
+    assert.equal((await request('POST', `/runs/${runId}/resume`, {}, ownerToken)).body.status, 'running');
+    const run = await waitForRun(runId);
+    assert.equal(run.status, 'completed');
+    assert.deepEqual(run.turns.map(turn => turn.reply), ['ONE', 'two', 'three']);
+    assert.ok(run.fullContent.startsWith(PROMPT));
+    assert.ok(run.fullContent.includes('ONE') && !run.fullContent.includes('one'));
+});
+
+test('editing a turn rebuilds the text from the history', async () => {
+    const { sessionId, ownerToken } = await finishedSession(['it rolled over', 'and slept']);
+    const before = await getSession(sessionId);
+
+    await request('PATCH', `/sessions/${sessionId}/turns/0`, { text: 'it ran off' }, ownerToken);
+    const after = await getSession(sessionId);
+    assert.equal(after.fullContent, before.fullContent.replace('it rolled over', 'it ran off'));
+    assert.equal(after.currentTurn, 2);
+});
+
+test('the user\'s own text becomes the next turn', async () => {
+    const { sessionId, ownerToken } = await finishedSession(['it rolled over']);
+
+    assert.equal((await request('POST', `/sessions/${sessionId}/turns`, { text: ' ' }, ownerToken)).status, 400);
+    const injected = await request('POST', `/sessions/${sessionId}/turns`, { text: 'The farmer came.' }, ownerToken);
+    assert.equal(injected.status, 201);
+    assert.equal(injected.body.provider, 'human');
+    assert.equal(injected.body.strategy, 'manual');
+    assert.equal(injected.body.turn, 1);
+
+    const { runId } = await startRun({ sessionId, ownerToken, models: [mock('scripted?replies=and left')], maxTurns: 1 });
+    const run = await waitForRun(runId);
+    assert.deepEqual(run.turns.map(turn => turn.reply), ['it rolled over', 'The farmer came.', 'and left']);
+    assert.ok(run.fullContent.endsWith('The farmer came. and left'));
+});
+
+test('a fork keeps the turns before it, and switching back restores the branch', async () => {
+    const { sessionId, ownerToken } = await finishedSession(['it rolled over', 'and slept', 'all day']);
+    const main = await getSession(sessionId);
+
+    assert.equal((await request('POST', `/sessions/${sessionId}/branches`, { afterTurn: 3 }, ownerToken)).status, 400);
+    const forked = await request('POST', `/sessions/${sessionId}/branches`, { afterTurn: 0, name: 'Awake' }, ownerToken);
+    assert.equal(forked.status, 201);
+    assert.equal(forked.body.activeBranch, 'branch-2');
+
+    const branch = await getSession(sessionId);
+    assert.equal(branch.currentTurn, 1);
+    assert.deepEqual(branch.turns.map(turn => turn.reply), ['it rolled over']);
+
+    const { runId } = await startRun({ sessionId, ownerToken, models: [mock('scripted?replies=and ran')], maxTurns: 1 });
+    await waitForRun(runId);
+    const { branches } = await getSession(sessionId);
+    const awake = branches.find(entry => entry.id === 'branch-2');
+    assert.equal(awake.name, 'Awake');
+    assert.equal(awake.forkTurn, 1);
+    assert.deepEqual(awake.divergence, { text: 'and ran', parentText: 'and slept' });
+
+    assert.equal((await request('POST', `/sessions/${sessionId}/branches/nope/activate`, {}, ownerToken)).status, 404);
+    const switched = await request('POST', `/sessions/${sessionId}/branches/main/activate`, {}, ownerToken);
+    assert.equal(switched.body.activeBranch, 'main');
+    const back = await getSession(sessionId);
+    assert.equal(back.fullContent, main.fullContent);
+    assert.equal(back.currentTurn, 3);
+});
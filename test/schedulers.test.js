@@ -0,0 +1,63 @@
+// test/schedulers.test.js
+//
+// Turn scheduling (lib/schedulers.js): which model writes each turn under
+// the round-robin, weighted, random and block strategies, and the checks on
+// a schedule. The judge strategy is covered in test/judge.test.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pickModelIndex, validateSchedule } = require('../lib/schedulers');
+const { seededRandom } = require('../lib/random');
+const { mock } = require('./helpers');
+
+const models = [mock('echo'), mock('seeded?seed=1'), mock('seeded?seed=2')];
+
+// The writers of the first `turns` turns
+async function order(schedule, turns = 10) {
+    const picks = [];
+    for (let currentTurn = 0; currentTurn < turns; currentTurn++) {
+        picks.push(await pickModelIndex({ currentTurn }, models, schedule));
+    }
+    return picks;
+}
+
+test('round-robin takes the models in order', async () => {
+    assert.deepEqual(await order({ strategy: 'round-robin' }, 7), [0, 1, 2, 0, 1, 2, 0]);
+    assert.deepEqual(await order(undefined, 4), [0, 1, 2, 0]);
+});
+
+test('weighted spreads each model\'s turns through a cycle as long as the weights add up to', async () => {
+    assert.deepEqual(await order({ strategy: 'weighted', weights: [3, 1, 1] }), [0, 1, 0, 2, 0, 0, 1, 0, 2, 0]);
+    // A model weighted 0 never writes
+    assert.deepEqual(await order({ strategy: 'weighted', weights: [2, 1, 0] }, 6), [0, 1, 0, 0, 1, 0]);
+});
+
+test('random follows the seed, turn by turn', async () => {
+    const expected = (seed) => Array.from({ length: 10 }, (_, turn) => Math.floor(seededRandom(seed * 1000003 + turn)() * models.length));
+
+    assert.deepEqual(await order({ strategy: 'random', seed: 7 }), expected(7));
+    assert.deepEqual(await order({ strategy: 'random', seed: 7 }), await order({ strategy: 'random', seed: 7 }));
+    assert.notDeepEqual(await order({ strategy: 'random', seed: 8 }), expected(7));
+    assert.deepEqual(await order({ strategy: 'random' }), expected(0));
+});
+
+test('block gives each model blockSize turns in a row', async () => {
+    assert.deepEqual(await order({ strategy: 'block', blockSize: 2 }, 8), [0, 0, 1, 1, 2, 2, 0, 0]);
+    assert.deepEqual(await order({ strategy: 'block', blockSize: 1 }, 4), [0, 1, 2, 0]);
+});
+
+test('a schedule whose options do not fit the models is rejected', () => {
+    assert.equal(validateSchedule({ strategy: 'weighted', weights: [1, 2, 3] }, models), null);
+
+    const invalid = [
+        [{ strategy: 'shuffle' }, /schedule.strategy must be one of/],
+        [{ strategy: 'weighted', weights: [1, 2] }, /schedule.weights/],
+        [{ strategy: 'weighted', weights: [0, 0, 0] }, /schedule.weights/],
+        [{ strategy: 'weighted', weights: [1, -1, 1] }, /schedule.weights/],
+        [{ strategy: 'random', seed: 1.5 }, /schedule.seed/],
+        [{ strategy: 'block', blockSize: 0 }, /schedule.blockSize/],
+        [{ strategy: 'judge', judge: 3 }, /schedule.judge/]
+    ];
+    invalid.forEach(([schedule, message]) => assert.match(validateSchedule(schedule, models), message));
+});
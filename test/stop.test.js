@@ -0,0 +1,157 @@
+// test/stop.test.js
+//
+// Stop conditions (lib/stop.js): each condition on its own, how they
+// combine, and a server-driven run that ends on one.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateStop, checkStop } = require('../lib/stop');
+const { createSession } = require('../lib/turns');
+const { mock, useServer } = require('./helpers');
+
+const { request, post, waitForRun } = useServer();
+const judge = mock('scripted?replies=no|YES');
+
+// A session holding `text` whose last turn wrote `reply` (and cut `removed`)
+function afterTurn(text, reply, removed = []) {
+    const session = createSession(text, { id: 'stop-test' });
+    return { session, turn: { reply, removed } };
+}
+
+const check = (stop, { session, turn }, turns = [turn]) => checkStop(stop, session, [judge], turn, turns);
+const any = (...conditions) => ({ combine: 'any', conditions });
+const all = (...conditions) => ({ combine: 'all', conditions });
+
+test('no conditions never stop a run', async () => {
+    assert.equal(await check(undefined, afterTurn('The end.', 'end.')), null);
+    assert.equal(await check(any(), afterTurn('The end.', 'end.')), null);
+});
+
+test('a sentence end stops only after the minimum length', async () => {
+    const sentence = { type: 'sentence', minTokens: 5 };
+    assert.equal(await check(any(sentence), afterTurn('The pig sat.', 'sat.')), null);
+    assert.equal(await check(any(sentence), afterTurn('The pig sat down in the mud and', 'and')), null);
+
+    const stopped = await check(any(sentence), afterTurn('The pig sat down in the mud.', 'mud.'));
+    assert.equal(stopped.by, 'conditions');
+    assert.equal(stopped.conditions[0].type, 'sentence');
+    assert.match(stopped.reason, /^Stopped: the text ended a sentence/);
+});
+
+test('a paragraph ends when the last turn writes a line break', async () => {
+    const paragraph = { type: 'paragraph' };
+    const stopped = await check(any(paragraph), afterTurn('The pig sat.\n\nThen', '\n\nThen'));
+    assert.equal(stopped.conditions[0].type, 'paragraph');
+    assert.equal(await check(any(paragraph), afterTurn('The pig sat.\n\nThen it', 'it')), null);
+});
+
+test('a phrase is found in the last turn, across the join and ignoring case', async () => {
+    const phrase = { type: 'phrase', phrase: 'The End' };
+    assert.ok(await check(any(phrase), afterTurn('and so it was. the end', 'the end')));
+    assert.ok(await check(any(phrase), afterTurn('and so it was. The End', 'End')));
+    // Only new text counts: the prompt may contain the phrase
+    assert.equal(await check(any(phrase), afterTurn('The End of the farm was near, said the pig', 'the pig')), null);
+});
+
+test('character and token budgets', async () => {
+    const state = afterTurn('one two three four five six', 'six');
+    assert.ok(await check(any({ type: 'characters', limit: 20 }), state));
+    assert.equal(await check(any({ type: 'characters', limit: 100 }), state), null);
+    assert.ok(await check(any({ type: 'tokens', limit: 6 }), state));
+    assert.equal(await check(any({ type: 'tokens', limit: 50 }), state), null);
+});
+
+test('repetition must be cut from enough turns in a row', async () => {
+    const repeated = { reply: 'again', removed: [{ type: 'repetition', text: 'the pig walked slowly through a' }] };
+    const overlapOnly = { reply: 'again', removed: [{ type: 'overlap', text: 'field' }] };
+    const { session } = afterTurn('text', 'again');
+    const repetition = any({ type: 'repetition', turns: 2 });
+
+    assert.ok(await checkStop(repetition, session, [], repeated, [repeated, repeated]));
+    assert.equal(await checkStop(repetition, session, [], repeated, [overlapOnly, repeated]), null);
+    assert.equal(await checkStop(repetition, session, [], repeated, [repeated]), null);
+});
+
+test('the judge is asked after every turn until it says complete', async () => {
+    const state = afterTurn('The pig went home.', 'home.');
+    const judged = any({ type: 'judge', judge: 0 });
+
+    assert.equal(await check(judged, state), null);
+    const stopped = await check(judged, state);
+    assert.equal(stopped.conditions[0].type, 'judge');
+    assert.match(stopped.reason, /the judge \(scripted\?replies=no\|YES\) called the piece complete/);
+});
+
+test('a failing judge lets the run go on', async () => {
+    const { session, turn } = afterTurn('The pig went home.', 'home.');
+    assert.equal(await checkStop(any({ type: 'judge', judge: 0 }), session, [mock('echo?fail=500')], turn, [turn]), null);
+});
+
+test('"any" stops on one condition without asking the judge', async () => {
+    const stopped = await check(any({ type: 'tokens', limit: 1 }, { type: 'judge', judge: 0 }), afterTurn('The pig.', 'pig.'));
+    assert.deepEqual(stopped.conditions.map(({ type }) => type), ['tokens']);
+
+    // The judge's first answer is still unused
+    assert.equal(await check(any({ type: 'judge', judge: 0 }), afterTurn('The pig.', 'pig.')), null);
+});
+
+test('"all" needs every condition and asks the judge last', async () => {
+    const conditions = [{ type: 'phrase', phrase: 'the end' }, { type: 'judge', judge: 0 }];
+    assert.equal(await check(all(...conditions), afterTurn('The pig went home.', 'home.')), null);
+
+    // The judge was not asked above, so it answers "no" first
+    assert.equal(await check(all(...conditions), afterTurn('The pig went home. The end', 'The end')), null);
+    const stopped = await check(all(...conditions), afterTurn('The pig went home. The end', 'The end'));
+    assert.deepEqual(stopped.conditions.map(({ type }) => type), ['phrase', 'judge']);
+    assert.match(stopped.reason, / and /);
+});
+
+test('invalid stop conditions are rejected', () => {
+    const models = [mock('echo'), { provider: 'human', modelName: 'human' }];
+    assert.equal(validateStop(undefined, models), null);
+    assert.equal(validateStop(any({ type: 'sentence', minTokens: 10 }, { type: 'judge', judge: 0 }), models), null);
+    assert.ok(validateStop({ conditions: 'sentence' }, models));
+    assert.ok(validateStop({ combine: 'xor', conditions: [] }, models));
+    assert.ok(validateStop(any({ type: 'weather' }), models));
+    assert.ok(validateStop(any({ type: 'phrase', phrase: ' ' }), models));
+    assert.ok(validateStop(any({ type: 'tokens' }), models));
+    assert.ok(validateStop(any({ type: 'repetition', turns: 0 }), models));
+    assert.ok(validateStop(any({ type: 'judge', judge: 2 }), models));
+    assert.ok(validateStop(any({ type: 'judge', judge: 1 }), models));
+});
+
+test('a run ends when its conditions hold and saves why', async () => {
+    const response = await post('/runs', {
+        models: [mock('scripted?replies=it rolled over|and that was the end|of nothing')],
+        prompt: 'Once upon a time a pig lived on a farm.',
+        tokensPerTurn: 5,
+        maxTurns: 10,
+        stop: any({ type: 'phrase', phrase: 'the end' })
+    });
+    assert.equal(response.status, 201);
+
+    const run = await waitForRun(response.body.id);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.currentTurn, 2);
+    assert.equal(run.stopReason.by, 'conditions');
+    assert.equal(run.stopReason.reason, 'Stopped: "the end" was written');
+
+    const { body: session } = await request('GET', `/sessions/${run.sessionId}`);
+    assert.deepEqual(session.stopReason, run.stopReason);
+});
+
+test('a run that uses all its turns saves that as the reason', async () => {
+    const response = await post('/runs', { models: [mock('seeded?seed=1')], prompt: 'A pig.', tokensPerTurn: 5, maxTurns: 2 });
+    const run = await waitForRun(response.body.id);
+
+    assert.equal(run.status, 'completed');
+    assert.equal(run.stopReason.by, 'maxTurns');
+    assert.equal(run.stopReason.reason, 'Completed all 2 turns');
+});
+
+test('POST /runs rejects invalid stop conditions', async () => {
+    const response = await post('/runs', { models: [mock('echo')], prompt: 'A pig.', tokensPerTurn: 5, maxTurns: 2, stop: any({ type: 'judge', judge: 3 }) });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /judge/);
+});
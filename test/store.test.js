@@ -0,0 +1,88 @@
+// test/store.test.js
+//
+// Session storage (lib/store.js): expiry after ttlMs, eviction beyond
+// maxSessions, and the file backend's writes and unreadable files.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSessionStore } = require('../lib/store');
+const { silenceLogs } = require('./helpers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const session = (id, extra = {}) => ({ id, fullContent: `Session ${id}`, ...extra });
+
+let dir;
+
+test.before(silenceLogs);
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+for (const backend of ['memory', 'file']) {
+    test(`${backend}: sessions idle for longer than ttlMs expire`, async () => {
+        const store = createSessionStore({ backend, dir, ttlMs: 30 });
+        await store.set('old', session('old'));
+        await sleep(50);
+        await store.set('new', session('new'));
+
+        assert.deepEqual((await store.list()).map(entry => entry.id), ['new']);
+        assert.equal(await store.get('old'), undefined);
+        assert.equal(await store.has('new'), true);
+    });
+
+    test(`${backend}: beyond maxSessions the least recently updated are evicted`, async () => {
+        const store = createSessionStore({ backend, dir, maxSessions: 2 });
+        for (const id of ['a', 'b', 'c']) {
+            await store.set(id, session(id));
+            await sleep(5);
+        }
+        // Updating a session keeps it
+        await store.set('a', session('a', { fullContent: 'Changed' }));
+        await sleep(5);
+        await store.set('d', session('d'));
+
+        assert.deepEqual((await store.list()).map(entry => entry.id), ['d', 'a']);
+        assert.equal((await store.get('a')).fullContent, 'Changed');
+    });
+}
+
+test('file: writes of one session made at once land in order, without temp files left', async () => {
+    const store = createSessionStore({ backend: 'file', dir });
+    await Promise.all([1, 2, 3, 4, 5].map(turn => store.set('busy', session('busy', { currentTurn: turn }))));
+
+    assert.equal((await store.get('busy')).currentTurn, 5);
+    assert.deepEqual(fs.readdirSync(dir), ['busy.json']);
+});
+
+test('file: a session saved by one store is read by another', async () => {
+    await createSessionStore({ backend: 'file', dir }).set('kept', session('kept', { currentTurn: 2 }));
+
+    const reopened = createSessionStore({ backend: 'file', dir });
+    assert.equal((await reopened.get('kept')).currentTurn, 2);
+    assert.equal(await reopened.delete('kept'), true);
+    assert.equal(await reopened.get('kept'), undefined);
+});
+
+test('file: an unreadable session file is skipped by the listing and the limit', async () => {
+    const store = createSessionStore({ backend: 'file', dir, maxSessions: 2 });
+    fs.writeFileSync(path.join(dir, 'corrupt.json'), '{"id": "corr');
+    await store.set('a', session('a'));
+    await store.set('b', session('b'));
+
+    assert.deepEqual((await store.list()).map(entry => entry.id).sort(), ['a', 'b']);
+    await assert.rejects(store.get('corrupt'), SyntaxError);
+});
+
+test('session ids that could leave the directory are refused', async () => {
+    const store = createSessionStore({ backend: 'file', dir });
+    await assert.rejects(store.get('../etc'), /Invalid session id/);
+    await assert.rejects(store.set('a/b', session('a/b')), /Invalid session id/);
+});
@@ -0,0 +1,112 @@
+// test/templates.test.js
+//
+// Prompt templates (lib/templates.js): which template a turn uses, and
+// saving and deleting custom templates, which only their creator may change.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-test-'));
+process.env.CUSTOM_TEMPLATES_FILE = path.join(templatesDir, 'prompt-templates.json');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { builtInTemplates } = require('../lib/templates');
+const { mock, useServer } = require('./helpers');
+
+const { request: send, waitForRun } = useServer();
+
+// A request made as the holder of `token`, if any
+const request = (method, path, body, token) => send(method, path, body, token ? { 'X-Owner-Token': token } : {});
+
+const template = { mode: 'continue', description: 'Short and plain', system: 'Write plainly.', user: 'Continue: {{content}}' };
+
+test.after(() => fs.rmSync(templatesDir, { recursive: true, force: true }));
+
+test('a turn uses the chosen template, else its family\'s, else the mode default', () => {
+    const store = builtInTemplates();
+    const gemini = { provider: 'gemini', modelName: 'gemini-2.5-flash' };
+    const openai = { provider: 'openai', modelName: 'gpt-4o-mini' };
+
+    assert.equal(store.resolve({ mode: 'continue', model: gemini }).name, 'continue-single-prompt');
+    assert.equal(store.resolve({ mode: 'continue', model: { provider: 'perplexity', modelName: 'sonar' } }).name, 'continue-next-part');
+    assert.equal(store.resolve({ mode: 'continue', model: openai }).name, 'continue');
+    assert.equal(store.resolve({ mode: 'continue', model: gemini, name: 'continue-with-budget' }).name, 'continue-with-budget');
+    // A template of another mode is passed over
+    assert.equal(store.resolve({ mode: 'continue', model: gemini, name: 'chat' }).name, 'continue-single-prompt');
+    assert.equal(store.resolve({ mode: 'chat', model: gemini }).name, 'chat');
+    assert.equal(store.resolve({ mode: 'chat', model: openai, name: 'continue' }).name, 'chat');
+});
+
+test('a run\'s turns record the template they used', async () => {
+    const { status, body } = await request('POST', '/runs', { models: [mock('echo')], prompt: 'A pig lived on a farm.', tokensPerTurn: 5, maxTurns: 1, template: 'continue-with-budget' });
+    assert.equal(status, 201);
+    const run = await waitForRun(body.id);
+    assert.equal(run.turns[0].template, 'continue-with-budget');
+
+    const unknown = await request('POST', '/runs', { models: [mock('echo')], prompt: 'A pig lived on a farm.', tokensPerTurn: 5, maxTurns: 1, template: 'no-such-template' });
+    assert.equal(unknown.status, 400);
+});
+
+test('templates are checked before they are saved', async () => {
+    const invalid = [
+        ['has space', template, /Template name/],
+        ['bad-mode', { ...template, mode: 'poem' }, /mode must be one of/],
+        ['no-user', { ...template, user: '  ' }, /user must be a non-empty string/],
+        ['bad-system', { ...template, system: 42 }, /system must be a string/],
+        ['bad-variable', { ...template, user: 'Go on: {{story}}' }, /Unknown variable \{\{story\}\}/]
+    ];
+    for (const [name, body, message] of invalid) {
+        const response = await request('PUT', `/templates/${encodeURIComponent(name)}`, body);
+        assert.equal(response.status, 400, name);
+        assert.match(response.body.error, message);
+    }
+});
+
+test('a saved template can be used by a run', async () => {
+    await request('PUT', '/templates/terse', { ...template, user: 'Add {{tokensPerTurn}} tokens to: {{content}}' });
+    const { body } = await request('POST', '/runs', { models: [mock('echo')], prompt: 'A pig lived on a farm.', tokensPerTurn: 5, maxTurns: 1, template: 'terse' });
+    const run = await waitForRun(body.id);
+    assert.equal(run.template, 'terse');
+    assert.equal(run.turns[0].template, 'terse');
+});
+
+test('a new template hands its creator an owner token', async () => {
+    const { status, body } = await request('PUT', '/templates/plain', template);
+    assert.equal(status, 201);
+    assert.ok(body.ownerToken);
+    assert.equal(body.owned, true);
+
+    const { body: listed } = await request('GET', '/templates');
+    const saved = listed.templates.find(entry => entry.name === 'plain');
+    assert.equal(saved.user, template.user);
+    assert.equal(saved.ownerTokenHash, undefined);
+    assert.ok(!JSON.stringify(listed).includes(body.ownerToken));
+});
+
+test('only the creator can replace or delete a template', async () => {
+    const { body: { ownerToken } } = await request('PUT', '/templates/mine', template);
+    const changed = { ...template, user: 'Go on: {{content}}' };
+
+    assert.equal((await request('PUT', '/templates/mine', changed)).status, 403);
+    assert.equal((await request('PUT', '/templates/mine', changed, 'not-the-token')).status, 403);
+    assert.equal((await request('DELETE', '/templates/mine')).status, 403);
+
+    const replaced = await request('PUT', '/templates/mine', changed, ownerToken);
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.user, changed.user);
+    assert.equal(replaced.body.ownerToken, undefined);
+
+    assert.equal((await request('DELETE', '/templates/mine', undefined, ownerToken)).status, 200);
+    assert.equal((await request('DELETE', '/templates/mine', undefined, ownerToken)).status, 404);
+});
+
+test('built-in templates cannot be replaced or deleted', async () => {
+    const { body } = await request('GET', '/templates');
+    const builtIn = body.templates.find(entry => entry.builtIn).name;
+
+    assert.equal((await request('PUT', `/templates/${builtIn}`, template)).status, 400);
+    assert.equal((await request('DELETE', `/templates/${builtIn}`)).status, 400);
+});
@@ -0,0 +1,85 @@
+// test/transcripts.test.js
+//
+// Transcripts (lib/transcripts.js): exporting a session, and importing a
+// JSONL transcript back into a new session that the importer owns.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mock, useServer } = require('./helpers');
+
+const { request, post, url, waitForRun } = useServer();
+
+const PROMPT = 'A pig lived on a farm.';
+
+// POST a JSONL transcript to /sessions/import: { status, body }
+async function importTranscript(jsonl) {
+    const response = await fetch(url('/sessions/import'), { method: 'POST', headers: { 'Content-Type': 'application/x-ndjson' }, body: jsonl });
+    return { status: response.status, body: await response.json() };
+}
+
+const exportJsonl = async (sessionId) => (await request('GET', `/sessions/${sessionId}/export?format=jsonl`)).body;
+
+const toJsonl = (records) => records.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+const promptRecord = { role: 'user', mode: 'continue', language: 'en', text: PROMPT };
+const turnRecord = { role: 'assistant', turn: 0, model: 'echo', provider: 'mock', strategy: 'round-robin', text: 'it slept' };
+
+// A session with a race turn and a plain one, exported as JSONL
+async function exportedSession() {
+    const schedule = { strategy: 'race', policy: 'fastest' };
+    const { body } = await post('/runs', { models: [mock('scripted?replies=it ran'), mock('scripted?replies=it slept&delayMs=30')], prompt: PROMPT, tokensPerTurn: 5, maxTurns: 1, schedule });
+    const run = await waitForRun(body.id);
+    return { run, jsonl: await exportJsonl(run.sessionId) };
+}
+
+test('an exported session imports into a new session with the same turns', async () => {
+    const { run, jsonl } = await exportedSession();
+
+    const imported = await importTranscript(jsonl);
+    assert.equal(imported.status, 201, JSON.stringify(imported.body));
+    assert.notEqual(imported.body.id, run.sessionId);
+    assert.ok(imported.body.ownerToken);
+    assert.equal(imported.body.currentTurn, 1);
+    assert.equal(await exportJsonl(imported.body.id), jsonl);
+
+    const { body: session } = await request('GET', `/sessions/${imported.body.id}`);
+    assert.equal(session.fullContent, run.fullContent);
+    const analytics = await request('GET', `/sessions/${imported.body.id}/analytics`);
+    assert.equal(analytics.status, 200);
+    assert.deepEqual(analytics.body.models.map(entry => entry.candidates), [1, 1]);
+});
+
+test('every export format names the models', async () => {
+    const { run } = await exportedSession();
+
+    for (const format of ['md', 'html', 'csv']) {
+        const { status, headers, body } = await request('GET', `/sessions/${run.sessionId}/export?format=${format}`);
+        assert.equal(status, 200, format);
+        assert.match(headers.get('content-disposition'), new RegExp(`session-${run.sessionId}\\.${format}`));
+        assert.ok(body.includes('scripted?replies=it ran'), format);
+    }
+    assert.equal((await request('GET', `/sessions/${run.sessionId}/export?format=pdf`)).status, 400);
+});
+
+test('malformed transcripts are rejected', async () => {
+    const invalid = [
+        ['not json', /Line 1 is not valid JSON/],
+        [toJsonl([promptRecord, 5]), /Line 2 is not a JSON object/],
+        [toJsonl([turnRecord]), /no prompt record/],
+        [toJsonl([promptRecord, { ...turnRecord, model: { a: 1 } }]), /Record 2: needs text, model and provider/],
+        [toJsonl([promptRecord, { ...turnRecord, provider: 7 }]), /Record 2: needs text, model and provider/],
+        [toJsonl([promptRecord, { ...turnRecord, race: {} }]), /race must be an object with a candidates list/],
+        [toJsonl([promptRecord, { ...turnRecord, race: { candidates: [{ text: 'it slept' }] } }]), /every race candidate needs/],
+        [toJsonl([promptRecord, { ...turnRecord, sampling: 'hot' }]), /sampling must be an object/],
+        [toJsonl([promptRecord, { ...turnRecord, sampling: { temperature: 9 } }]), /sampling.temperature/],
+        [toJsonl([promptRecord, { role: 'user', turn: 1, text: 'And then?' }]), /only chat transcripts/]
+    ];
+
+    for (const [jsonl, message] of invalid) {
+        const { status, body } = await importTranscript(jsonl);
+        assert.equal(status, 400, jsonl);
+        assert.match(body.error, message);
+    }
+    assert.equal((await importTranscript(toJsonl([promptRecord, turnRecord]))).status, 201);
+});
@@ -0,0 +1,251 @@
+// test/vault.test.js
+//
+// Hardening of /chat: the key vault (lib/vault.js), body validation, rate
+// limits (lib/ratelimit.js) and what the log shows of the text (lib/log.js).
+// Keys reach a local stub of an OpenAI-compatible server, never the network:
+// the stub is the server's own endpoint (OPENAI_COMPATIBLE_BASE_URL).
+
+process.env.CHAT_RATE_LIMIT_PER_SESSION = '4';
+process.env.KEY_VAULT_SECRET = 'test-vault-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createKeyVault, resolveModelKeys, vaultIdFromCookies } = require('../lib/vault');
+const { createRateLimiter } = require('../lib/ratelimit');
+const { loggedText } = require('../lib/log');
+const { generate } = require('../lib/providers');
+const { useServer } = require('./helpers');
+
+const OPENAI_KEY = 'sk-test-0123456789abcdefghij';
+const PROMPT = 'Once upon a time a pig lived on a farm.';
+
+const { url, request: send } = useServer();
+let stub;
+let stubURL;
+let authorizations = [];
+let sessionCount = 0;
+
+test.before(async () => {
+    stub = http.createServer((req, res) => {
+        authorizations.push(req.headers.authorization);
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl-1',
+                object: 'chat.completion',
+                created: 0,
+                model: 'stub',
+                choices: [{ index: 0, message: { role: 'assistant', content: 'it rolled over' }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 }
+            }));
+        });
+    });
+    stub.listen(0);
+    await new Promise(resolve => stub.once('listening', resolve));
+    stubURL = `http://127.0.0.1:${stub.address().port}/v1`;
+    process.env.OPENAI_COMPATIBLE_BASE_URL = stubURL;
+});
+
+test.after(() => new Promise(resolve => stub.close(resolve)));
+
+test.beforeEach(() => {
+    authorizations = [];
+    delete process.env.OPENAI_COMPATIBLE_API_KEY;
+});
+
+const newSessionId = () => `vault-${++sessionCount}`;
+
+// A request made in the vault session `cookie` names, if any
+const request = (method, path, body, cookie) => send(method, path, body, cookie ? { Cookie: cookie } : {});
+
+// Register a key; returns { cookie, key } where cookie names the vault session
+async function registerKey(provider, apiKey, cookie) {
+    const response = await request('POST', '/keys', { provider, apiKey }, cookie);
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    const setCookie = response.headers.get('set-cookie');
+    return { cookie: cookie || setCookie.split(';')[0], key: response.body };
+}
+
+const compatible = (keyHandle) => ({ provider: 'openai-compatible', modelName: 'stub', keyHandle });
+
+test('a key is stored once and later requests name it by handle', async () => {
+    const { cookie, key } = await registerKey('openai-compatible', 'local-key-123');
+    assert.match(key.handle, /^key_/);
+    assert.equal(key.hint, '…-123');
+    assert.ok(!JSON.stringify(key).includes('local-key-123'));
+
+    const response = await request('POST', '/chat', { sessionId: newSessionId(), models: [compatible(key.handle)], prompt: PROMPT, tokensPerTurn: 5 }, cookie);
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.reply, 'it rolled over');
+    assert.deepEqual(authorizations, ['Bearer local-key-123']);
+
+    const listed = await request('GET', '/keys', undefined, cookie);
+    assert.deepEqual(listed.body.map(({ handle }) => handle), [key.handle]);
+});
+
+test('the vault cookie is HttpOnly', async () => {
+    const response = await request('POST', '/keys', { provider: 'openai', apiKey: OPENAI_KEY });
+    assert.match(response.headers.get('set-cookie'), /^vault=[\w-]+; Path=\/; HttpOnly; SameSite=Strict$/);
+});
+
+test('a handle is useless without its vault session', async () => {
+    const { key } = await registerKey('openai-compatible', 'local-key-123');
+    const { cookie: otherCookie } = await registerKey('openai', OPENAI_KEY);
+
+    for (const cookie of [undefined, otherCookie]) {
+        const response = await request('POST', '/chat', { sessionId: newSessionId(), models: [compatible(key.handle)], prompt: PROMPT, tokensPerTurn: 5 }, cookie);
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /unknown or expired key handle/);
+    }
+    assert.deepEqual(authorizations, []);
+});
+
+test('a handle only works for the provider of its key', async () => {
+    const { cookie, key } = await registerKey('openai', OPENAI_KEY);
+    const response = await request('POST', '/chat', { sessionId: newSessionId(), models: [compatible(key.handle)], prompt: PROMPT, tokensPerTurn: 5 }, cookie);
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /holds a key for openai, not openai-compatible/);
+});
+
+test('removed keys are gone', async () => {
+    const { cookie, key } = await registerKey('openai', OPENAI_KEY);
+    assert.equal((await request('DELETE', `/keys/${key.handle}`, undefined, cookie)).status, 200);
+    assert.equal((await request('DELETE', `/keys/${key.handle}`, undefined, cookie)).status, 404);
+    assert.deepEqual((await request('GET', '/keys', undefined, cookie)).body, []);
+});
+
+test('a base URL the catalog does not list is refused', async () => {
+    process.env.OPENAI_COMPATIBLE_API_KEY = 'server-secret-key';
+    for (const baseURL of [`${stubURL}/elsewhere`, 'http://169.254.169.254/latest', 42]) {
+        const model = { provider: 'openai-compatible', modelName: 'stub', baseURL };
+        const response = await request('POST', '/chat', { sessionId: newSessionId(), models: [model], prompt: PROMPT, tokensPerTurn: 5 });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /base URL .* is not allowed/);
+    }
+    assert.deepEqual(authorizations, []);
+});
+
+test('the server key only goes to the server endpoint', async () => {
+    process.env.OPENAI_COMPATIBLE_API_KEY = 'server-secret-key';
+    const response = await request('POST', '/chat', { sessionId: newSessionId(), models: [{ provider: 'openai-compatible', modelName: 'stub', baseURL: '' }], prompt: PROMPT, tokensPerTurn: 5 });
+    assert.equal(response.status, 200);
+
+    // Another base URL, however it got here, never gets the server key
+    const ctx = { modelName: 'stub', tokensPerTurn: 5, fullContent: '', messages: [{ role: 'user', content: 'A pig.' }] };
+    await generate('openai-compatible', { ...ctx, baseURL: `${stubURL}/elsewhere` });
+    await generate('openai-compatible', { ...ctx, baseURL: `${stubURL}/` });
+    assert.deepEqual(authorizations, ['Bearer server-secret-key', 'Bearer not-needed', 'Bearer server-secret-key']);
+});
+
+test('keys are checked before they are stored', async () => {
+    const cases = [
+        { provider: 'openai', apiKey: 'not-a-key' },
+        { provider: 'gemini', apiKey: OPENAI_KEY },
+        { provider: 'perplexity', apiKey: 'pplx-has spaces in it 1234' },
+        { provider: 'mock', apiKey: 'anything-at-all' },
+        { provider: 'carrier-pigeon', apiKey: 'coo' },
+        { provider: 'openai' }
+    ];
+    for (const body of cases) {
+        const response = await request('POST', '/keys', body);
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.ok(response.body.error);
+    }
+    assert.match((await request('POST', '/keys', cases[1])).body.error, /they look like AIza/);
+});
+
+test('raw keys sent with a model are checked too', async () => {
+    const response = await request('POST', '/chat', { sessionId: newSessionId(), models: [{ provider: 'openai', modelName: 'gpt-4o', apiKey: 'not-a-key' }], prompt: PROMPT, tokensPerTurn: 5 });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /does not look like an API key for OpenAI/);
+});
+
+test('malformed /chat bodies answer 400 with a clear error', async () => {
+    const sessionId = newSessionId();
+    const cases = [
+        [['not', 'an', 'object'], /JSON object/],
+        [{ sessionId, models: [{ provider: 'mock', modelName: 'echo' }], prompt: PROMPT, tokensPerTurn: 5, maxTurns: 3 }, /Unknown field: maxTurns/],
+        [{ sessionId, models: [{ provider: 'mock', modelName: 'echo' }], prompt: 42, tokensPerTurn: 5 }, /prompt must be a string/],
+        [{ sessionId, reset: 'yes' }, /reset must be true or false/],
+        [{ sessionId, models: 'mock', prompt: PROMPT, tokensPerTurn: 5 }, /models must be a non-empty array/],
+        [{ sessionId, models: [null], prompt: PROMPT, tokensPerTurn: 5 }, /provider and a modelName/]
+    ];
+    for (const [body, error] of cases) {
+        const response = await request('POST', '/chat', body);
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.match(response.body.error, error);
+    }
+
+    const broken = await fetch(url('/chat'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"sessionId": ' });
+    assert.equal(broken.status, 400);
+    assert.match((await broken.json()).error, /not valid JSON/);
+
+    const empty = await fetch(url('/chat'), { method: 'POST' });
+    assert.equal(empty.status, 400);
+    assert.match((await empty.json()).error, /JSON object/);
+});
+
+test('/chat/stream takes no reset', async () => {
+    const response = await request('POST', '/chat/stream', { sessionId: newSessionId(), reset: true });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /Unknown field: reset/);
+});
+
+test('a session over its rate limit answers 429 with Retry-After', async () => {
+    const sessionId = newSessionId();
+    const body = { sessionId, models: [{ provider: 'mock', modelName: 'seeded?seed=1' }], prompt: PROMPT, tokensPerTurn: 5 };
+    for (let call = 0; call < 4; call++) {
+        assert.equal((await request('POST', '/chat', body)).status, 200);
+    }
+    const limited = await request('POST', '/chat', body);
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /on session vault-\d+ \(at most 4 a minute\)/);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    // Other sessions are not held back
+    assert.equal((await request('POST', '/chat', { ...body, sessionId: newSessionId() })).status, 200);
+});
+
+test('a rate limiter allows `limit` requests per window and key', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+    assert.equal(limiter.take('a', 0).allowed, true);
+    assert.equal(limiter.take('a', 100).allowed, true);
+    assert.deepEqual(limiter.take('a', 400), { allowed: false, retryAfterMs: 600 });
+    assert.equal(limiter.take('b', 400).allowed, true);
+    assert.equal(limiter.take('a', 1000).allowed, true);
+
+    const off = createRateLimiter({ limit: 0 });
+    for (let call = 0; call < 10; call++) assert.equal(off.take('a').allowed, true);
+});
+
+test('vault keys are encrypted, scoped and forgotten when idle', async () => {
+    const vault = createKeyVault({ secret: 'secret', ttlMs: 50 });
+    const stored = vault.register('vault-session-aaaaaaaaaaaaaaaaaaaaaaaaaa', 'openai', OPENAI_KEY);
+
+    assert.deepEqual(vault.resolve('vault-session-aaaaaaaaaaaaaaaaaaaaaaaaaa', stored.handle), { provider: 'openai', apiKey: OPENAI_KEY });
+    assert.equal(vault.resolve('vault-session-bbbbbbbbbbbbbbbbbbbbbbbbbb', stored.handle), null);
+
+    const { models, error } = resolveModelKeys([{ provider: 'openai', modelName: 'gpt-4o', keyHandle: stored.handle }, { provider: 'mock', modelName: 'echo' }], vault, 'vault-session-aaaaaaaaaaaaaaaaaaaaaaaaaa');
+    assert.equal(error, null);
+    assert.deepEqual(models, [{ provider: 'openai', modelName: 'gpt-4o', apiKey: OPENAI_KEY }, { provider: 'mock', modelName: 'echo' }]);
+    assert.match(resolveModelKeys([{ provider: 'openai', modelName: 'gpt-4o', keyHandle: stored.handle, apiKey: OPENAI_KEY }], vault, 'vault-session-aaaaaaaaaaaaaaaaaaaaaaaaaa').error, /not both/);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.equal(vault.resolve('vault-session-aaaaaaaaaaaaaaaaaaaaaaaaaa', stored.handle), null);
+});
+
+test('only well-formed vault cookies are read', () => {
+    assert.equal(vaultIdFromCookies('theme=dark; vault=abcdefghijklmnopqrstuvwxyz0123456789'), 'abcdefghijklmnopqrstuvwxyz0123456789');
+    assert.equal(vaultIdFromCookies('vault=short'), null);
+    assert.equal(vaultIdFromCookies('vault=../../etc/passwd-aaaaaaaaaaaaaaaaaaaaaaaa'), null);
+    assert.equal(vaultIdFromCookies(undefined), null);
+});
+
+test('the log shows text only with DEBUG_CONTENT on', () => {
+    assert.equal(loggedText('The pig sat.', {}), '[12 chars]');
+    assert.equal(loggedText('The pig sat.', { DEBUG_CONTENT: '1' }), '"The pig sat."');
+    assert.equal(loggedText('The pig sat.', { DEBUG_CONTENT: 'no' }), '[12 chars]');
+});